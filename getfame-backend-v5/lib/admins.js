@@ -0,0 +1,341 @@
+// =====================================================
+// ADMIN ACCOUNTS - scrypt passwords, signed sessions, TOTP
+// =====================================================
+// Tokens are `<payload>.<signature>` where the payload carries the session ID
+// and expiry. The signature stops forgery; the admin_sessions row makes every
+// token individually revocable.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { getDb } = require('./db');
+
+const scrypt = promisify(crypto.scrypt);
+
+const {
+    ADMIN_SESSION_SECRET,
+    ADMIN_SESSION_TTL_HOURS = 12
+} = process.env;
+
+const ROLES = ['viewer', 'operator'];
+const MIN_PASSWORD_LENGTH = 10;
+
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Without a configured secret, sessions only survive until the next restart
+const sessionSecret = ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+if (!ADMIN_SESSION_SECRET) {
+    console.warn('ADMIN_SESSION_SECRET not set - admin sessions will not survive a restart');
+}
+
+// =====================================================
+// PASSWORDS
+// =====================================================
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, SCRYPT_KEYLEN, SCRYPT_PARAMS);
+    const { N, r, p } = SCRYPT_PARAMS;
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+}
+
+// =====================================================
+// ACCOUNTS
+// =====================================================
+function toAdmin(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        totpEnabled: !!row.totp_secret,
+        disabled: !!row.disabled,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function getAdminRow(id) {
+    return getDb().prepare('SELECT * FROM admins WHERE id = ?').get(id);
+}
+
+function getAdmin(id) {
+    return toAdmin(getAdminRow(id));
+}
+
+function listAdmins() {
+    return getDb().prepare('SELECT * FROM admins ORDER BY id').all().map(toAdmin);
+}
+
+function countAdmins() {
+    return getDb().prepare('SELECT COUNT(*) AS count FROM admins').get().count;
+}
+
+async function createAdmin({ username, password, role = 'viewer' }) {
+    const now = new Date().toISOString();
+    const result = getDb()
+        .prepare(`INSERT INTO admins (username, password_hash, role, created_at, updated_at) VALUES (?, ?, ?, ?, ?)`)
+        .run(username.trim().toLowerCase(), await hashPassword(password), role, now, now);
+    return getAdmin(result.lastInsertRowid);
+}
+
+function updateAdmin(id, { role, disabled }) {
+    const admin = getAdminRow(id);
+    if (!admin) return null;
+
+    getDb()
+        .prepare('UPDATE admins SET role = ?, disabled = ?, updated_at = ? WHERE id = ?')
+        .run(role ?? admin.role, disabled === undefined ? admin.disabled : (disabled ? 1 : 0), new Date().toISOString(), id);
+
+    if (disabled) revokeAdminSessions(id);
+    return getAdmin(id);
+}
+
+async function checkPassword(id, password) {
+    const admin = getAdminRow(id);
+    return !!admin && verifyPassword(password, admin.password_hash);
+}
+
+async function setPassword(id, password) {
+    getDb()
+        .prepare('UPDATE admins SET password_hash = ?, updated_at = ? WHERE id = ?')
+        .run(await hashPassword(password), new Date().toISOString(), id);
+}
+
+// Check username/password (and TOTP code when enabled).
+// Returns { admin } on success or { error, totpRequired? }.
+async function authenticate(username, password, code) {
+    const row = getDb().prepare('SELECT * FROM admins WHERE username = ?').get(String(username || '').trim().toLowerCase());
+
+    // Hash anyway so unknown usernames take as long as wrong passwords
+    const passwordOk = row
+        ? await verifyPassword(password, row.password_hash)
+        : (await hashPassword(String(password || '')), false);
+
+    if (!row || !passwordOk || row.disabled) {
+        return { error: 'Invalid credentials' };
+    }
+
+    if (row.totp_secret) {
+        if (!code) return { error: 'Two-factor code required', totpRequired: true };
+        if (!consumeTotp(row, code)) return { error: 'Invalid two-factor code', totpRequired: true };
+    }
+
+    return { admin: toAdmin(row) };
+}
+
+// =====================================================
+// SESSIONS
+// =====================================================
+function sign(payload) {
+    return crypto.createHmac('sha256', sessionSecret).update(payload).digest('base64url');
+}
+
+function createSession(adminId, { ip, userAgent } = {}) {
+    const id = crypto.randomBytes(18).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + Number(ADMIN_SESSION_TTL_HOURS) * 60 * 60 * 1000);
+
+    getDb()
+        .prepare(`INSERT INTO admin_sessions (id, admin_id, ip, user_agent, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)`)
+        .run(id, adminId, ip || null, userAgent || null, now.toISOString(), expiresAt.toISOString());
+
+    const payload = Buffer.from(JSON.stringify({ sid: id, exp: expiresAt.getTime() })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt: expiresAt.toISOString() };
+}
+
+// Returns { admin, sessionId } for a valid, unexpired, unrevoked token
+function verifySessionToken(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+    if (!claims.sid || claims.exp < Date.now()) return null;
+
+    return getActiveSession(claims.sid);
+}
+
+// Returns { admin, sessionId } while the session is unexpired and unrevoked
+// and its admin is enabled, else null
+function getActiveSession(sessionId) {
+    const session = getDb()
+        .prepare('SELECT * FROM admin_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?')
+        .get(sessionId, new Date().toISOString());
+    if (!session) return null;
+
+    const admin = getAdmin(session.admin_id);
+    if (!admin || admin.disabled) return null;
+
+    return { admin, sessionId: session.id };
+}
+
+function revokeSession(sessionId) {
+    getDb()
+        .prepare('UPDATE admin_sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+        .run(new Date().toISOString(), sessionId);
+}
+
+// Revoke every session of an admin, optionally keeping the current one
+function revokeAdminSessions(adminId, exceptSessionId = null) {
+    return getDb()
+        .prepare('UPDATE admin_sessions SET revoked_at = ? WHERE admin_id = ? AND revoked_at IS NULL AND id IS NOT ?')
+        .run(new Date().toISOString(), adminId, exceptSessionId)
+        .changes;
+}
+
+// =====================================================
+// TOTP (RFC 6238)
+// =====================================================
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    let bits = '';
+    for (const char of input.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value < 0) continue;
+        bits += value.toString(2).padStart(5, '0');
+    }
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    return Buffer.from(bytes);
+}
+
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+    return String(value).padStart(TOTP_DIGITS, '0');
+}
+
+// Step that matches `code` within one step of clock drift, or null
+function matchTotpStep(secret, code) {
+    const current = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (const step of [current - 1, current, current + 1]) {
+        if (totpCode(secret, step) === String(code).trim()) return step;
+    }
+    return null;
+}
+
+// Verify a login code and remember its step so it can't be replayed
+function consumeTotp(row, code) {
+    const step = matchTotpStep(row.totp_secret, code);
+    if (step === null || step <= (row.totp_last_step || 0)) return false;
+
+    getDb().prepare('UPDATE admins SET totp_last_step = ? WHERE id = ?').run(step, row.id);
+    return true;
+}
+
+// Check a current code of an admin with TOTP enabled (single use, like logins)
+function checkTotp(adminId, code) {
+    const row = getAdminRow(adminId);
+    return !!row?.totp_secret && consumeTotp(row, code);
+}
+
+// Start enrollment: store a pending secret until a code confirms it
+function beginTotpSetup(adminId) {
+    const admin = getAdminRow(adminId);
+    const secret = base32Encode(crypto.randomBytes(20));
+    getDb().prepare('UPDATE admins SET totp_pending_secret = ? WHERE id = ?').run(secret, adminId);
+
+    const label = encodeURIComponent(`GetFame:${admin.username}`);
+    return { secret, otpauthUrl: `otpauth://totp/${label}?secret=${secret}&issuer=GetFame&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}` };
+}
+
+function confirmTotpSetup(adminId, code) {
+    const admin = getAdminRow(adminId);
+    if (!admin?.totp_pending_secret) return false;
+
+    const step = matchTotpStep(admin.totp_pending_secret, code);
+    if (step === null) return false;
+
+    getDb()
+        .prepare('UPDATE admins SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_last_step = ?, updated_at = ? WHERE id = ?')
+        .run(step, new Date().toISOString(), adminId);
+    return true;
+}
+
+function disableTotp(adminId) {
+    getDb()
+        .prepare('UPDATE admins SET totp_secret = NULL, totp_pending_secret = NULL, totp_last_step = NULL, updated_at = ? WHERE id = ?')
+        .run(new Date().toISOString(), adminId);
+}
+
+// =====================================================
+// BOOTSTRAP
+// =====================================================
+// Create the first operator from ADMIN_USERNAME/ADMIN_PASSWORD when the
+// admins table is empty. Later changes happen through the admin API.
+async function bootstrapAdmin(username, password) {
+    if (countAdmins() > 0) return null;
+
+    if (!password || validatePassword(password)) {
+        console.warn(`No admin accounts exist - set ADMIN_PASSWORD (min ${MIN_PASSWORD_LENGTH} chars) to create the first one`);
+        return null;
+    }
+
+    const admin = await createAdmin({ username, password, role: 'operator' });
+    console.log(`Created initial admin account "${admin.username}"`);
+    return admin;
+}
+
+module.exports = {
+    ROLES,
+    validatePassword,
+    getAdmin,
+    listAdmins,
+    createAdmin,
+    updateAdmin,
+    checkPassword,
+    setPassword,
+    authenticate,
+    createSession,
+    verifySessionToken,
+    getActiveSession,
+    revokeSession,
+    revokeAdminSessions,
+    beginTotpSetup,
+    confirmTotpSetup,
+    checkTotp,
+    disableTotp,
+    bootstrapAdmin
+};
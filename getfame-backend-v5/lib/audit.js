@@ -0,0 +1,80 @@
+// =====================================================
+// AUDIT LOG - Append-only record of who changed what
+// =====================================================
+// The acting admin/webhook/worker is carried through async calls with
+// AsyncLocalStorage, so deep code (like order status updates) can attribute
+// changes without every caller passing an actor along.
+const { AsyncLocalStorage } = require('async_hooks');
+const { getDb } = require('./db');
+
+const actorStorage = new AsyncLocalStorage();
+const SYSTEM_ACTOR = { type: 'system', name: 'server' };
+
+// Run `fn` with `actor` ({ type, name, ip }) as the current actor
+function withActor(actor, fn) {
+    return actorStorage.run(actor, fn);
+}
+
+function currentActor() {
+    return actorStorage.getStore() || SYSTEM_ACTOR;
+}
+
+function record(action, { orderId = null, details = null, actor = currentActor() } = {}) {
+    getDb()
+        .prepare(`INSERT INTO audit_log (action, actor_type, actor, order_id, details, ip, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?)`)
+        .run(action, actor.type, actor.name, orderId, details ? JSON.stringify(details) : null, actor.ip || null, new Date().toISOString());
+}
+
+function recordStatusChange(orderId, from, to) {
+    record('order.status_changed', { orderId, details: { from, to } });
+}
+
+// Newest first. Filters: orderId, actor, action, from/to (ISO timestamps).
+function query({ orderId, actor, action, from, to, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+
+    if (orderId != null) {
+        where.push('order_id = ?');
+        params.push(orderId);
+    }
+    if (actor) {
+        where.push('actor = ?');
+        params.push(actor);
+    }
+    if (action) {
+        where.push('action = ?');
+        params.push(action);
+    }
+    if (from) {
+        where.push('created_at >= ?');
+        params.push(from);
+    }
+    if (to) {
+        where.push('created_at <= ?');
+        params.push(to);
+    }
+
+    return getDb()
+        .prepare(`SELECT * FROM audit_log ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`)
+        .all(...params, limit)
+        .map(row => ({
+            id: row.id,
+            action: row.action,
+            actorType: row.actor_type,
+            actor: row.actor,
+            orderId: row.order_id,
+            details: row.details ? JSON.parse(row.details) : null,
+            ip: row.ip,
+            createdAt: row.created_at
+        }));
+}
+
+module.exports = {
+    withActor,
+    currentActor,
+    record,
+    recordStatusChange,
+    query
+};
@@ -0,0 +1,188 @@
+// =====================================================
+// CUSTOMER ACCOUNTS - Magic-link login, sessions, saved links
+// =====================================================
+// Accounts are optional and passwordless: a customer asks for a login link,
+// the emailed one-time token is exchanged for a session token. Orders are
+// never attached to an account - they are matched by email, so every order
+// placed with that address shows up, whatever the payment method.
+//
+// Only SHA-256 hashes of login and session tokens are stored, so a leaked
+// database cannot be used to log in.
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+const {
+    CUSTOMER_LOGIN_TOKEN_MINUTES = 15,
+    CUSTOMER_SESSION_TTL_DAYS = 30
+} = process.env;
+
+const LOGIN_TOKEN_MINUTES = Number(CUSTOMER_LOGIN_TOKEN_MINUTES);
+
+// Login links per email within one token lifetime
+const MAX_LOGIN_TOKENS = 5;
+const MAX_SAVED_LINKS = 50;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function toCustomer(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        email: row.email,
+        createdAt: row.created_at,
+        lastLoginAt: row.last_login_at
+    };
+}
+
+function getCustomer(id) {
+    return toCustomer(getDb().prepare('SELECT * FROM customers WHERE id = ?').get(id));
+}
+
+// The account for an email, created if needed (e.g. to hold a wallet credit
+// for a customer who has never logged in)
+function ensureCustomer(email) {
+    const db = getDb();
+    db.prepare('INSERT OR IGNORE INTO customers (email, created_at) VALUES (?, ?)').run(email.toLowerCase(), new Date().toISOString());
+    return toCustomer(db.prepare('SELECT * FROM customers WHERE email = ?').get(email));
+}
+
+// =====================================================
+// MAGIC LINKS
+// =====================================================
+// Create a one-time login token for an email. Returns { token, expiresAt },
+// or null when too many links were requested for this email recently.
+function createLoginToken(email, { ip } = {}) {
+    const db = getDb();
+    const now = new Date();
+    const ttlMs = LOGIN_TOKEN_MINUTES * 60 * 1000;
+    const address = email.toLowerCase();
+
+    const recent = db
+        .prepare('SELECT COUNT(*) AS count FROM customer_login_tokens WHERE email = ? AND created_at > ?')
+        .get(address, new Date(now.getTime() - ttlMs).toISOString()).count;
+    if (recent >= MAX_LOGIN_TOKENS) return null;
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now.getTime() + ttlMs).toISOString();
+    db.prepare(`INSERT INTO customer_login_tokens (token_hash, email, ip, created_at, expires_at) VALUES (?, ?, ?, ?, ?)`)
+        .run(hashToken(token), address, ip || null, now.toISOString(), expiresAt);
+
+    return { token, expiresAt };
+}
+
+// Exchange a login token for the customer, creating the account on first
+// login. Each token works once. Returns the customer or null.
+function consumeLoginToken(token) {
+    const db = getDb();
+    const now = new Date().toISOString();
+
+    return db.transaction(() => {
+        const row = db
+            .prepare('SELECT * FROM customer_login_tokens WHERE token_hash = ? AND used_at IS NULL AND expires_at > ?')
+            .get(hashToken(token), now);
+        if (!row) return null;
+
+        db.prepare('UPDATE customer_login_tokens SET used_at = ? WHERE id = ?').run(now, row.id);
+        db.prepare('INSERT OR IGNORE INTO customers (email, created_at) VALUES (?, ?)').run(row.email, now);
+        db.prepare('UPDATE customers SET last_login_at = ? WHERE email = ?').run(now, row.email);
+
+        return toCustomer(db.prepare('SELECT * FROM customers WHERE email = ?').get(row.email));
+    })();
+}
+
+// =====================================================
+// SESSIONS
+// =====================================================
+function createSession(customerId, { ip, userAgent } = {}) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + Number(CUSTOMER_SESSION_TTL_DAYS) * 24 * 60 * 60 * 1000);
+
+    getDb()
+        .prepare(`INSERT INTO customer_sessions (token_hash, customer_id, ip, user_agent, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)`)
+        .run(hashToken(token), customerId, ip || null, userAgent || null, now.toISOString(), expiresAt.toISOString());
+
+    return { token, expiresAt: expiresAt.toISOString() };
+}
+
+// Returns { customer, sessionId } for a valid, unexpired, unrevoked token
+function verifySessionToken(token) {
+    if (!token) return null;
+
+    const session = getDb()
+        .prepare('SELECT * FROM customer_sessions WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?')
+        .get(hashToken(token), new Date().toISOString());
+    if (!session) return null;
+
+    const customer = getCustomer(session.customer_id);
+    return customer ? { customer, sessionId: session.id } : null;
+}
+
+function revokeSession(sessionId) {
+    getDb()
+        .prepare('UPDATE customer_sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+        .run(new Date().toISOString(), sessionId);
+}
+
+// =====================================================
+// SAVED LINKS
+// =====================================================
+function toSavedLink(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        platform: row.platform,
+        link: row.link,
+        label: row.label,
+        createdAt: row.created_at
+    };
+}
+
+function listSavedLinks(customerId) {
+    return getDb()
+        .prepare('SELECT * FROM customer_links WHERE customer_id = ? ORDER BY id DESC')
+        .all(customerId)
+        .map(toSavedLink);
+}
+
+// Save a link (saving the same link again updates its label).
+// Returns the saved link, or { error } when the list is full.
+function saveLink(customerId, { platform = null, link, label = null }) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const existing = db.prepare('SELECT id FROM customer_links WHERE customer_id = ? AND link = ?').get(customerId, link);
+        if (existing) {
+            db.prepare('UPDATE customer_links SET platform = COALESCE(?, platform), label = ? WHERE id = ?').run(platform, label, existing.id);
+            return toSavedLink(db.prepare('SELECT * FROM customer_links WHERE id = ?').get(existing.id));
+        }
+
+        const count = db.prepare('SELECT COUNT(*) AS count FROM customer_links WHERE customer_id = ?').get(customerId).count;
+        if (count >= MAX_SAVED_LINKS) return { error: `You can save up to ${MAX_SAVED_LINKS} links` };
+
+        const { lastInsertRowid } = db
+            .prepare('INSERT INTO customer_links (customer_id, platform, link, label, created_at) VALUES (?, ?, ?, ?, ?)')
+            .run(customerId, platform, link, label, new Date().toISOString());
+        return toSavedLink(db.prepare('SELECT * FROM customer_links WHERE id = ?').get(lastInsertRowid));
+    })();
+}
+
+function deleteSavedLink(customerId, id) {
+    return getDb().prepare('DELETE FROM customer_links WHERE id = ? AND customer_id = ?').run(id, customerId).changes > 0;
+}
+
+module.exports = {
+    LOGIN_TOKEN_MINUTES,
+    getCustomer,
+    ensureCustomer,
+    createLoginToken,
+    consumeLoginToken,
+    createSession,
+    verifySessionToken,
+    revokeSession,
+    listSavedLinks,
+    saveLink,
+    deleteSavedLink
+};
@@ -0,0 +1,503 @@
+// =====================================================
+// DATABASE - Embedded SQLite with versioned migrations
+// =====================================================
+const Database = require('better-sqlite3');
+const path = require('path');
+
+const {
+    DATABASE_PATH = path.join(__dirname, '..', 'getfame.db')
+} = process.env;
+
+// Migrations run once each, in order, tracked by PRAGMA user_version.
+// Only ever append to this list - never edit a migration that has shipped.
+const MIGRATIONS = [
+    // 1: orders
+    `
+    CREATE TABLE orders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id TEXT NOT NULL UNIQUE,
+        stripe_session_id TEXT,
+        invoice_id TEXT,
+        jap_order_id TEXT,
+        jap_service_id INTEGER,
+        email TEXT,
+        link TEXT,
+        quantity INTEGER,
+        amount REAL,
+        platform TEXT,
+        service TEXT,
+        quality TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        payment_method TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+    );
+    CREATE UNIQUE INDEX idx_orders_stripe_session ON orders(stripe_session_id) WHERE stripe_session_id IS NOT NULL;
+    CREATE INDEX idx_orders_invoice ON orders(invoice_id);
+    CREATE INDEX idx_orders_jap_order ON orders(jap_order_id);
+    CREATE INDEX idx_orders_status ON orders(status);
+    CREATE INDEX idx_orders_email ON orders(email);
+    `,
+    // 2: JAP delivery progress
+    `
+    ALTER TABLE orders ADD COLUMN jap_status TEXT;
+    ALTER TABLE orders ADD COLUMN start_count INTEGER;
+    ALTER TABLE orders ADD COLUMN remains INTEGER;
+    ALTER TABLE orders ADD COLUMN jap_checked_at TEXT;
+    `,
+    // 3: customer email queue / send log
+    `
+    CREATE TABLE order_emails (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL REFERENCES orders(id),
+        template TEXT NOT NULL,
+        recipient TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        provider_id TEXT,
+        last_error TEXT,
+        next_attempt_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        sent_at TEXT,
+        UNIQUE (order_id, template)
+    );
+    CREATE INDEX idx_order_emails_due ON order_emails(status, next_attempt_at);
+    `,
+    // 4: incoming webhook event ledger
+    `
+    CREATE TABLE webhook_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        type TEXT,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'received',
+        attempts INTEGER NOT NULL DEFAULT 1,
+        last_error TEXT,
+        received_at TEXT NOT NULL,
+        processed_at TEXT,
+        UNIQUE (provider, event_id)
+    );
+    CREATE INDEX idx_webhook_events_status ON webhook_events(status);
+    `,
+    // 5: JAP placement retry queue
+    `
+    CREATE TABLE fulfillment_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id),
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        next_attempt_at TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_fulfillment_queue_due ON fulfillment_queue(status, next_attempt_at);
+    `,
+    // 6: Stripe refunds & disputes
+    `
+    ALTER TABLE orders ADD COLUMN stripe_payment_intent_id TEXT;
+    ALTER TABLE orders ADD COLUMN refunded_amount REAL;
+    ALTER TABLE orders ADD COLUMN dispute_status TEXT;
+    ALTER TABLE orders ADD COLUMN pre_dispute_status TEXT;
+    CREATE INDEX idx_orders_payment_intent ON orders(stripe_payment_intent_id);
+    `,
+    // 7: admin accounts & sessions
+    `
+    CREATE TABLE admins (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        totp_secret TEXT,
+        totp_pending_secret TEXT,
+        totp_last_step INTEGER,
+        disabled INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE TABLE admin_sessions (
+        id TEXT PRIMARY KEY,
+        admin_id INTEGER NOT NULL REFERENCES admins(id),
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT
+    );
+    CREATE INDEX idx_admin_sessions_admin ON admin_sessions(admin_id);
+    `,
+    // 8: append-only audit log
+    `
+    CREATE TABLE audit_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        action TEXT NOT NULL,
+        actor_type TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        order_id INTEGER,
+        details TEXT,
+        ip TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_audit_log_order ON audit_log(order_id);
+    CREATE INDEX idx_audit_log_actor ON audit_log(actor);
+    CREATE INDEX idx_audit_log_created ON audit_log(created_at);
+    CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    CREATE TRIGGER audit_log_no_delete BEFORE DELETE ON audit_log
+    BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `,
+    // 9: multi-item cart orders
+    `
+    ALTER TABLE orders ADD COLUMN item_count INTEGER;
+    CREATE TABLE order_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL REFERENCES orders(id),
+        position INTEGER NOT NULL,
+        platform TEXT,
+        service TEXT,
+        quality TEXT,
+        link TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        jap_service_id INTEGER,
+        jap_order_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        jap_status TEXT,
+        start_count INTEGER,
+        remains INTEGER,
+        jap_checked_at TEXT,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+    );
+    CREATE INDEX idx_order_items_order ON order_items(order_id);
+    CREATE INDEX idx_order_items_status ON order_items(status);
+    CREATE INDEX idx_order_items_jap_order ON order_items(jap_order_id);
+    `,
+    // 10: SMM provider that placed an order/item (NULL = JAP, placed before providers existed)
+    `
+    ALTER TABLE orders ADD COLUMN provider TEXT;
+    ALTER TABLE order_items ADD COLUMN provider TEXT;
+    `,
+    // 11: supplier service list, synced from each provider's `services` action
+    `
+    CREATE TABLE supplier_services (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        service_id INTEGER NOT NULL,
+        name TEXT,
+        category TEXT,
+        type TEXT,
+        rate REAL,
+        min_quantity INTEGER,
+        max_quantity INTEGER,
+        refill INTEGER NOT NULL DEFAULT 0,
+        cancel INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        synced_at TEXT NOT NULL,
+        UNIQUE(provider, service_id)
+    );
+    `,
+    // 12: refill requests per order (and cart item)
+    `
+    CREATE TABLE order_refills (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        order_id INTEGER NOT NULL REFERENCES orders(id),
+        item_id INTEGER REFERENCES order_items(id),
+        provider TEXT,
+        jap_order_id TEXT NOT NULL,
+        refill_id TEXT,
+        status TEXT NOT NULL,
+        requested_by TEXT NOT NULL,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+    );
+    CREATE INDEX idx_order_refills_order ON order_refills(order_id);
+    CREATE INDEX idx_order_refills_status ON order_refills(status);
+    `,
+    // 13: promo codes, their confirmed redemptions, and the code/discount on each order
+    `
+    CREATE TABLE promo_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        code TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        type TEXT NOT NULL,
+        value REAL NOT NULL,
+        platforms TEXT,
+        services TEXT,
+        min_order REAL,
+        expires_at TEXT,
+        max_uses INTEGER,
+        max_uses_per_email INTEGER,
+        uses INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+    );
+    CREATE TABLE promo_redemptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        promo_code_id INTEGER NOT NULL REFERENCES promo_codes(id),
+        order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id),
+        email TEXT NOT NULL,
+        discount REAL NOT NULL,
+        amount REAL NOT NULL,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_promo_redemptions_code_email ON promo_redemptions(promo_code_id, email);
+    ALTER TABLE orders ADD COLUMN promo_code TEXT;
+    ALTER TABLE orders ADD COLUMN discount_amount REAL;
+    `,
+    // 14: optional customer accounts (magic-link login) and their saved links
+    `
+    CREATE TABLE customers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        created_at TEXT NOT NULL,
+        last_login_at TEXT
+    );
+    CREATE TABLE customer_login_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        email TEXT NOT NULL,
+        ip TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT
+    );
+    CREATE INDEX idx_customer_login_tokens_email ON customer_login_tokens(email, created_at);
+    CREATE TABLE customer_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        customer_id INTEGER NOT NULL REFERENCES customers(id),
+        ip TEXT,
+        user_agent TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT
+    );
+    CREATE TABLE customer_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        customer_id INTEGER NOT NULL REFERENCES customers(id),
+        platform TEXT,
+        link TEXT NOT NULL,
+        label TEXT,
+        created_at TEXT NOT NULL,
+        UNIQUE(customer_id, link)
+    );
+    CREATE INDEX idx_orders_email_nocase ON orders(email COLLATE NOCASE);
+    `,
+    // 15: customer wallets - append-only double-entry ledger and top-ups
+    `
+    CREATE TABLE wallet_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        type TEXT NOT NULL,
+        customer_id INTEGER REFERENCES customers(id),
+        order_id INTEGER REFERENCES orders(id),
+        reference TEXT UNIQUE,
+        description TEXT,
+        created_at TEXT NOT NULL
+    );
+    CREATE INDEX idx_wallet_transactions_order ON wallet_transactions(order_id);
+    CREATE TABLE wallet_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        transaction_id INTEGER NOT NULL REFERENCES wallet_transactions(id),
+        account TEXT NOT NULL,
+        amount_cents INTEGER NOT NULL
+    );
+    CREATE INDEX idx_wallet_entries_account ON wallet_entries(account);
+    CREATE TRIGGER wallet_transactions_no_update BEFORE UPDATE ON wallet_transactions
+    BEGIN SELECT RAISE(ABORT, 'wallet ledger is append-only'); END;
+    CREATE TRIGGER wallet_transactions_no_delete BEFORE DELETE ON wallet_transactions
+    BEGIN SELECT RAISE(ABORT, 'wallet ledger is append-only'); END;
+    CREATE TRIGGER wallet_entries_no_update BEFORE UPDATE ON wallet_entries
+    BEGIN SELECT RAISE(ABORT, 'wallet ledger is append-only'); END;
+    CREATE TRIGGER wallet_entries_no_delete BEFORE DELETE ON wallet_entries
+    BEGIN SELECT RAISE(ABORT, 'wallet ledger is append-only'); END;
+    CREATE TABLE wallet_topups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        topup_id TEXT NOT NULL UNIQUE,
+        customer_id INTEGER NOT NULL REFERENCES customers(id),
+        amount_cents INTEGER NOT NULL,
+        payment_method TEXT NOT NULL,
+        stripe_session_id TEXT UNIQUE,
+        invoice_id TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        created_at TEXT NOT NULL,
+        paid_at TEXT
+    );
+    ALTER TABLE orders ADD COLUMN wallet_credited REAL;
+    `,
+    // 16: crypto payment details reported by NOWPayments IPNs
+    `
+    ALTER TABLE orders ADD COLUMN crypto_payment_status TEXT;
+    ALTER TABLE orders ADD COLUMN crypto_paid_amount REAL;
+    ALTER TABLE orders ADD COLUMN crypto_expected_amount REAL;
+    ALTER TABLE orders ADD COLUMN crypto_currency TEXT;
+    ALTER TABLE wallet_topups ADD COLUMN paid_amount REAL;
+    ALTER TABLE wallet_topups ADD COLUMN paid_currency TEXT;
+    ALTER TABLE wallet_topups ADD COLUMN credited_cents INTEGER;
+    `,
+    // 17: fraud screening - checkout IP and risk score per order
+    `
+    ALTER TABLE orders ADD COLUMN client_ip TEXT;
+    ALTER TABLE orders ADD COLUMN risk_score INTEGER;
+    ALTER TABLE orders ADD COLUMN risk_reasons TEXT;
+    CREATE INDEX idx_orders_client_ip ON orders(client_ip);
+    CREATE INDEX idx_orders_link ON orders(link);
+    CREATE INDEX idx_order_items_link ON order_items(link);
+    `,
+    // 18: outbound webhooks - registered endpoints and their delivery log
+    `
+    CREATE TABLE webhook_endpoints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT,
+        description TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at TEXT NOT NULL,
+        updated_at TEXT
+    );
+    CREATE TABLE webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TEXT NOT NULL,
+        response_status INTEGER,
+        last_error TEXT,
+        created_at TEXT NOT NULL,
+        delivered_at TEXT,
+        UNIQUE(endpoint_id, event_id)
+    );
+    CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id);
+    `,
+    // 19: fraud screening, refunds and chargebacks of card top-ups
+    `
+    ALTER TABLE wallet_topups ADD COLUMN stripe_payment_intent_id TEXT;
+    ALTER TABLE wallet_topups ADD COLUMN client_ip TEXT;
+    ALTER TABLE wallet_topups ADD COLUMN risk_score INTEGER;
+    ALTER TABLE wallet_topups ADD COLUMN risk_reasons TEXT;
+    ALTER TABLE wallet_topups ADD COLUMN reversed_cents INTEGER NOT NULL DEFAULT 0;
+    CREATE INDEX idx_wallet_topups_payment_intent ON wallet_topups(stripe_payment_intent_id);
+    CREATE INDEX idx_wallet_topups_status ON wallet_topups(status);
+    `,
+    // 20: when a webhook event was last claimed, so stuck claims can expire
+    `
+    ALTER TABLE webhook_events ADD COLUMN claimed_at TEXT;
+    UPDATE webhook_events SET claimed_at = received_at;
+    `,
+    // 21: supplier service IDs as text - other panels' IDs need not be numeric
+    `
+    ALTER TABLE orders ADD COLUMN jap_service_id_text TEXT;
+    UPDATE orders SET jap_service_id_text = CAST(jap_service_id AS TEXT);
+    ALTER TABLE orders DROP COLUMN jap_service_id;
+    ALTER TABLE orders RENAME COLUMN jap_service_id_text TO jap_service_id;
+
+    ALTER TABLE order_items ADD COLUMN jap_service_id_text TEXT;
+    UPDATE order_items SET jap_service_id_text = CAST(jap_service_id AS TEXT);
+    ALTER TABLE order_items DROP COLUMN jap_service_id;
+    ALTER TABLE order_items RENAME COLUMN jap_service_id_text TO jap_service_id;
+
+    CREATE TABLE supplier_services_text (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider TEXT NOT NULL,
+        service_id TEXT NOT NULL,
+        name TEXT,
+        category TEXT,
+        type TEXT,
+        rate REAL,
+        min_quantity INTEGER,
+        max_quantity INTEGER,
+        refill INTEGER NOT NULL DEFAULT 0,
+        cancel INTEGER NOT NULL DEFAULT 0,
+        active INTEGER NOT NULL DEFAULT 1,
+        synced_at TEXT NOT NULL,
+        UNIQUE(provider, service_id)
+    );
+    INSERT INTO supplier_services_text
+        SELECT id, provider, CAST(service_id AS TEXT), name, category, type, rate, min_quantity, max_quantity, refill, cancel, active, synced_at
+        FROM supplier_services;
+    DROP TABLE supplier_services;
+    ALTER TABLE supplier_services_text RENAME TO supplier_services;
+    `
+];
+
+let db = null;
+
+// Callbacks waiting for the outermost transaction to commit
+let commitCallbacks = [];
+
+function migrate(database) {
+    const version = database.pragma('user_version', { simple: true });
+
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        database.transaction(() => {
+            database.exec(MIGRATIONS[i]);
+            database.pragma(`user_version = ${i + 1}`);
+        })();
+        console.log(`Database migrated to version ${i + 1}`);
+    }
+}
+
+// Lazily open the shared connection on first use
+function getDb() {
+    if (!db) {
+        db = new Database(DATABASE_PATH);
+        db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = ON');
+        trackCommits(db);
+        migrate(db);
+    }
+    return db;
+}
+
+// Make db.transaction() run afterCommit() callbacks once the outermost
+// transaction commits, and drop those queued by a transaction (or nested
+// savepoint) that rolls back.
+function trackCommits(database) {
+    const transaction = database.transaction.bind(database);
+
+    database.transaction = fn => {
+        const run = transaction(fn);
+        return function (...args) {
+            const outermost = !database.inTransaction;
+            const queued = commitCallbacks.length;
+            let result;
+            try {
+                result = run.apply(this, args);
+            } catch (error) {
+                commitCallbacks.length = queued;
+                throw error;
+            }
+            if (outermost) flushCommitCallbacks();
+            return result;
+        };
+    };
+}
+
+function flushCommitCallbacks() {
+    const callbacks = commitCallbacks;
+    commitCallbacks = [];
+    for (const callback of callbacks) {
+        try {
+            callback();
+        } catch (error) {
+            console.error('After-commit callback error:', error.message);
+        }
+    }
+}
+
+// Run `callback` once the current transaction commits (right away outside
+// of one). Nothing runs if it rolls back.
+function afterCommit(callback) {
+    if (!getDb().inTransaction) return callback();
+    commitCallbacks.push(callback);
+}
+
+module.exports = { getDb, afterCommit };
@@ -0,0 +1,128 @@
+// =====================================================
+// CUSTOMER EMAILS (Resend) - Queued sends with retries
+// =====================================================
+// Every email is a row in order_emails, which doubles as the per-order send
+// log. A row is unique per (order, template) so webhook retries and repeated
+// status changes never email the customer twice.
+const { getDb } = require('./db');
+const orderRepo = require('./orders');
+const { TEMPLATES, loginLink } = require('./emailTemplates');
+
+const {
+    RESEND_API_KEY,
+    RESEND_API_URL = 'https://api.resend.com',
+    EMAIL_FROM = 'GetFame <noreply@getfame.net>'
+} = process.env;
+
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 60 * 1000;
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+let queueRunning = false;
+
+async function sendEmail({ to, subject, html, text }) {
+    try {
+        const response = await fetch(`${RESEND_API_URL}/emails`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${RESEND_API_KEY}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ from: EMAIL_FROM, to: [to], subject, html, text })
+        });
+
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok && data.id) {
+            return { success: true, id: data.id };
+        }
+        // 4xx (other than rate limiting) will fail the same way on every retry
+        const permanent = response.status >= 400 && response.status < 500 && response.status !== 429;
+        return { success: false, error: data.message || `Resend HTTP ${response.status}`, permanent };
+    } catch (error) {
+        return { success: false, error: error.message, permanent: false };
+    }
+}
+
+// Queue a templated email for an order. Returns false when nothing was queued
+// (email disabled, no recipient, or this template was already sent/queued).
+function queueOrderEmail(order, template) {
+    if (!RESEND_API_KEY || !order?.id || !order.email) return false;
+    if (!TEMPLATES[template]) throw new Error(`Unknown email template: ${template}`);
+
+    const now = new Date().toISOString();
+    const result = getDb()
+        .prepare(`INSERT OR IGNORE INTO order_emails (order_id, template, recipient, next_attempt_at, created_at)
+                  VALUES (?, ?, ?, ?, ?)`)
+        .run(order.id, template, order.email, now, now);
+
+    if (result.changes) processEmailQueue();
+    return result.changes > 0;
+}
+
+async function processEmailQueue() {
+    if (queueRunning) return;
+    queueRunning = true;
+
+    try {
+        const db = getDb();
+        const due = db
+            .prepare(`SELECT * FROM order_emails WHERE status = 'queued' AND next_attempt_at <= ? ORDER BY id LIMIT 20`)
+            .all(new Date().toISOString());
+
+        for (const row of due) {
+            const order = orderRepo.getOrderById(row.order_id);
+            const attempts = row.attempts + 1;
+            const result = order
+                ? await sendEmail({ to: row.recipient, ...TEMPLATES[row.template](order) })
+                : { success: false, error: 'Order not found', permanent: true };
+
+            if (result.success) {
+                db.prepare(`UPDATE order_emails SET status = 'sent', attempts = ?, provider_id = ?, last_error = NULL, sent_at = ? WHERE id = ?`)
+                    .run(attempts, result.id, new Date().toISOString(), row.id);
+                console.log(`Email ${row.template} sent for order ${order.orderId}`);
+            } else if (result.permanent || attempts >= MAX_ATTEMPTS) {
+                db.prepare(`UPDATE order_emails SET status = 'failed', attempts = ?, last_error = ? WHERE id = ?`)
+                    .run(attempts, result.error, row.id);
+                console.error(`Email ${row.template} failed for order #${row.order_id}:`, result.error);
+            } else {
+                const nextAttempt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+                db.prepare(`UPDATE order_emails SET attempts = ?, last_error = ?, next_attempt_at = ? WHERE id = ?`)
+                    .run(attempts, result.error, nextAttempt, row.id);
+            }
+        }
+    } catch (error) {
+        console.error('Email queue error:', error.message);
+    } finally {
+        queueRunning = false;
+    }
+}
+
+// Account login links are sent right away rather than queued: they expire
+// within minutes and the customer can simply ask for another one.
+async function sendLoginEmail(to, url, minutes) {
+    if (!RESEND_API_KEY) return { success: false, error: 'Email not configured' };
+    return sendEmail({ to, ...loginLink(url, minutes) });
+}
+
+function listOrderEmails(orderId) {
+    return getDb()
+        .prepare(`SELECT template, recipient, status, attempts, provider_id AS providerId, last_error AS lastError,
+                         created_at AS createdAt, sent_at AS sentAt
+                  FROM order_emails WHERE order_id = ? ORDER BY id`)
+        .all(orderId);
+}
+
+function startEmailWorker() {
+    if (!RESEND_API_KEY) return;
+    setInterval(processEmailQueue, WORKER_INTERVAL_MS);
+    processEmailQueue();
+}
+
+module.exports = {
+    queueOrderEmail,
+    sendLoginEmail,
+    processEmailQueue,
+    listOrderEmails,
+    startEmailWorker
+};
@@ -0,0 +1,158 @@
+// =====================================================
+// EMAIL TEMPLATES - Each returns { subject, html, text }
+// =====================================================
+const { FRONTEND_URL = 'https://getfame.net' } = process.env;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function describeOrder(order) {
+    if (order.itemCount) return `${order.itemCount} items`;
+
+    const platform = order.platform || 'Social';
+    const service = order.service || 'Growth';
+    return `${order.quantity?.toLocaleString() || ''} ${platform} ${service}`.trim();
+}
+
+function trackingUrl(order) {
+    return `${FRONTEND_URL}/track/?order_id=${encodeURIComponent(order.orderId)}`;
+}
+
+// `action` is the call-to-action link ({ url, label }); `reference` (e.g. the
+// order ID) goes in the footer
+function layout(title, paragraphs, action, reference) {
+    const body = paragraphs.map(p => `<p style="margin:0 0 16px">${escapeHtml(p)}</p>`).join('\n');
+    return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f5f7;font-family:Arial,Helvetica,sans-serif;color:#1d1d1f">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;padding:32px">
+<h1 style="font-size:22px;margin:0 0 24px">${escapeHtml(title)}</h1>
+${body}
+<p style="margin:0 0 16px"><a href="${escapeHtml(action.url)}" style="color:#6c5ce7">${escapeHtml(action.label)}</a></p>
+<p style="margin:24px 0 0;font-size:12px;color:#86868b">${reference ? `${escapeHtml(reference)} &middot; ` : ''}GetFame</p>
+</div>
+</body>
+</html>`;
+}
+
+function plainText(title, paragraphs, action, reference) {
+    return [title, '', ...paragraphs.flatMap(p => [p, '']), `${action.label}: ${action.url}`, '', `${reference ? `${reference} - ` : ''}GetFame`].join('\n');
+}
+
+function render(subject, title, paragraphs, order) {
+    const action = { url: trackingUrl(order), label: 'Track your order' };
+    return {
+        subject,
+        html: layout(title, paragraphs, action, `Order ${order.orderId}`),
+        text: plainText(title, paragraphs, action, `Order ${order.orderId}`)
+    };
+}
+
+const TEMPLATES = {
+    orderConfirmation(order) {
+        return render(
+            `Order confirmed - ${order.orderId}`,
+            'Thanks for your order!',
+            [
+                `We received your payment of $${Number(order.amount || 0).toFixed(2)} for ${describeOrder(order)}.`,
+                'Delivery usually starts within a few minutes. We will email you again once it does.'
+            ],
+            order
+        );
+    },
+
+    fulfillmentStarted(order) {
+        return render(
+            `Your order has started - ${order.orderId}`,
+            'Your order is on its way',
+            [
+                `Delivery of ${describeOrder(order)} has started.`,
+                'Most orders complete within 24-72 hours depending on the size of the order.'
+            ],
+            order
+        );
+    },
+
+    orderCompleted(order) {
+        return render(
+            `Your order is complete - ${order.orderId}`,
+            'Your order is complete',
+            [
+                `All ${describeOrder(order)} have been delivered.`,
+                'Thanks for choosing GetFame!'
+            ],
+            order
+        );
+    },
+
+    partialRefund(order) {
+        if (order.itemCount) {
+            return render(
+                `Your order was partially delivered - ${order.orderId}`,
+                'Your order was partially delivered',
+                [
+                    `Some of the ${describeOrder(order)} in your order could not be fully delivered.`,
+                    order.walletCredited
+                        ? `The undelivered part ($${Number(order.walletCredited).toFixed(2)}) has been added to your GetFame wallet.`
+                        : order.refundedAmount
+                            ? `The undelivered part has been refunded ($${Number(order.refundedAmount).toFixed(2)}).`
+                            : 'The undelivered part will be refunded. Track your order for the details of each item.'
+                ],
+                order
+            );
+        }
+
+        const remains = order.remains || 0;
+        const delivered = Math.max((order.quantity || 0) - remains, 0);
+        const refund = order.walletCredited || order.refundedAmount
+            || Math.round((order.amount || 0) * remains / (order.quantity || 1) * 100) / 100;
+
+        return render(
+            `Your order was partially delivered - ${order.orderId}`,
+            'Your order was partially delivered',
+            [
+                `We delivered ${delivered.toLocaleString()} of ${describeOrder(order)}.`,
+                order.walletCredited
+                    ? `The undelivered ${remains.toLocaleString()} ($${Number(refund).toFixed(2)}) have been added to your GetFame wallet.`
+                    : `The undelivered ${remains.toLocaleString()} will be refunded ($${Number(refund).toFixed(2)}).`
+            ],
+            order
+        );
+    },
+
+    orderFailed(order) {
+        return render(
+            `There was a problem with your order - ${order.orderId}`,
+            'We could not complete your order',
+            [
+                `Unfortunately we were not able to deliver ${describeOrder(order)}.`,
+                order.walletCredited
+                    ? `$${Number(order.walletCredited).toFixed(2)} has been added to your GetFame wallet. Just reply to this email if you have any questions.`
+                    : 'Our team has been notified and will contact you about a refund. Just reply to this email if you have any questions.'
+            ],
+            order
+        );
+    }
+};
+
+// Magic link for customer account login (not tied to an order)
+function loginLink(url, minutes) {
+    const action = { url, label: 'Log in to GetFame' };
+    const paragraphs = [
+        `Use the link below to log in to your GetFame account. It works once and expires in ${minutes} minutes.`,
+        'If you did not ask for this email, you can safely ignore it.'
+    ];
+    return {
+        subject: 'Your GetFame login link',
+        html: layout('Log in to GetFame', paragraphs, action),
+        text: plainText('Log in to GetFame', paragraphs, action)
+    };
+}
+
+module.exports = { TEMPLATES, loginLink, escapeHtml };
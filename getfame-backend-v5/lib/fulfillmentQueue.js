@@ -0,0 +1,108 @@
+// =====================================================
+// FULFILLMENT QUEUE - Durable retries for failed JAP placements
+// =====================================================
+// One job per order. A job is 'queued' while it waits for its next attempt,
+// 'done' once JAP accepted the order and 'failed' when it gave up.
+const { getDb } = require('./db');
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+function toJob(row) {
+    if (!row) return null;
+    return {
+        orderId: row.order_id,
+        status: row.status,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        nextAttemptAt: row.next_attempt_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function getJob(orderId) {
+    return toJob(getDb().prepare('SELECT * FROM fulfillment_queue WHERE order_id = ?').get(orderId));
+}
+
+// Record a failed placement. The job is rescheduled with exponential backoff,
+// or marked 'failed' when the error is permanent or attempts are used up.
+function recordFailure(orderId, error, { permanent = false, maxAttempts }) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const now = new Date();
+        const existing = getJob(orderId);
+        const attempts = (existing && existing.status === 'queued' ? existing.attempts : 0) + 1;
+        const status = permanent || attempts >= maxAttempts ? 'failed' : 'queued';
+        const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+        const nextAttemptAt = new Date(now.getTime() + delay).toISOString();
+
+        db.prepare(`INSERT INTO fulfillment_queue (order_id, status, attempts, last_error, next_attempt_at, created_at, updated_at)
+                    VALUES (@orderId, @status, @attempts, @error, @nextAttemptAt, @now, @now)
+                    ON CONFLICT(order_id) DO UPDATE SET
+                        status = @status, attempts = @attempts, last_error = @error,
+                        next_attempt_at = @nextAttemptAt, updated_at = @now`)
+            .run({ orderId, status, attempts, error, nextAttemptAt, now: now.toISOString() });
+
+        return getJob(orderId);
+    })();
+}
+
+// Park an order in the queue without counting an attempt (fulfillment is
+// paused). It is due as soon as the queue runs again.
+function deferJob(orderId, reason) {
+    const now = new Date().toISOString();
+
+    getDb()
+        .prepare(`INSERT INTO fulfillment_queue (order_id, status, attempts, last_error, next_attempt_at, created_at, updated_at)
+                  VALUES (@orderId, 'queued', 0, @reason, @now, @now, @now)
+                  ON CONFLICT(order_id) DO UPDATE SET
+                      attempts = CASE WHEN status = 'queued' THEN attempts ELSE 0 END,
+                      status = 'queued', last_error = @reason, next_attempt_at = @now, updated_at = @now`)
+        .run({ orderId, reason, now });
+
+    return getJob(orderId);
+}
+
+function markDone(orderId) {
+    getDb()
+        .prepare(`UPDATE fulfillment_queue SET status = 'done', updated_at = ? WHERE order_id = ?`)
+        .run(new Date().toISOString(), orderId);
+}
+
+function listDueJobs(limit = 20) {
+    return getDb()
+        .prepare(`SELECT * FROM fulfillment_queue WHERE status = 'queued' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT ?`)
+        .all(new Date().toISOString(), limit)
+        .map(toJob);
+}
+
+// Jobs joined with their order, newest activity first
+function listJobs({ status, limit = 100 } = {}) {
+    const rows = getDb()
+        .prepare(`SELECT q.*, o.order_id AS public_order_id, o.status AS order_status
+                  FROM fulfillment_queue q JOIN orders o ON o.id = q.order_id
+                  ${status ? 'WHERE q.status = ?' : ''}
+                  ORDER BY q.updated_at DESC LIMIT ?`)
+        .all(...(status ? [status, limit] : [limit]));
+
+    return rows.map(row => ({
+        ...toJob(row),
+        order: { orderId: row.public_order_id, status: row.order_status }
+    }));
+}
+
+function getQueueDepth() {
+    return getDb().prepare(`SELECT COUNT(*) AS depth FROM fulfillment_queue WHERE status = 'queued'`).get().depth;
+}
+
+module.exports = {
+    getJob,
+    recordFailure,
+    deferJob,
+    markDone,
+    listDueJobs,
+    listJobs,
+    getQueueDepth
+};
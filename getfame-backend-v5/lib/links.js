@@ -0,0 +1,256 @@
+// =====================================================
+// LINK VALIDATION - Checks and normalizes order links per service
+// =====================================================
+// Each catalog entry (keyed like JAP_SERVICE_IDS) expects a specific kind of
+// link: follower services want a profile, like/view services want a post or
+// video. Links are parsed per platform, rewritten into one canonical form and
+// rejected with a specific message before the customer is charged.
+//
+// Whether an account is private can't be seen from the URL, so that is still
+// only caught by the supplier.
+
+const MAX_LINK_LENGTH = 500;
+
+const KIND_LABELS = {
+    profile: 'a profile',
+    post: 'a post',
+    video: 'a video',
+    channel: 'a channel',
+    story: 'a story',
+    'cmc-profile': 'a CoinMarketCap community profile',
+    'cmc-post': 'a CoinMarketCap community post',
+    coin: 'a CoinMarketCap coin page',
+    watchlist: 'a CoinMarketCap watchlist',
+    nft: 'an OpenSea item',
+    collection: 'an OpenSea collection'
+};
+
+function segmentsOf(url) {
+    return url.pathname.split('/').filter(Boolean);
+}
+
+// Parsers return { kind, link } for a recognised URL of their platform, or null
+const PLATFORMS = {
+    instagram: {
+        name: 'Instagram',
+        hosts: ['instagram.com', 'instagr.am'],
+        username: /^[a-z0-9._]{1,30}$/i,
+        reserved: ['p', 'reel', 'reels', 'tv', 'stories', 'explore', 'accounts', 'direct', 'about', 'developer', 'legal'],
+        profileLink: user => `https://www.instagram.com/${user}/`,
+        parse(url) {
+            const segments = segmentsOf(url);
+            // /p/CODE, /reel/CODE, and the newer /username/p/CODE
+            const postAt = segments.findIndex(s => ['p', 'reel', 'reels', 'tv'].includes(s));
+            if (postAt >= 0 && postAt <= 1 && segments[postAt + 1]) {
+                const type = segments[postAt] === 'reels' ? 'reel' : segments[postAt];
+                return { kind: 'post', link: `https://www.instagram.com/${type}/${segments[postAt + 1]}/` };
+            }
+            if (segments[0] === 'stories') return { kind: 'story' };
+            if (segments[0] && !this.reserved.includes(segments[0]) && this.username.test(segments[0])) {
+                return { kind: 'profile', link: this.profileLink(segments[0]) };
+            }
+            return null;
+        }
+    },
+
+    tiktok: {
+        name: 'TikTok',
+        hosts: ['tiktok.com', 'vm.tiktok.com', 'vt.tiktok.com'],
+        username: /^[a-z0-9._]{2,24}$/i,
+        profileLink: user => `https://www.tiktok.com/@${user}`,
+        parse(url, host) {
+            const segments = segmentsOf(url);
+            // Share short links (vm.tiktok.com/XXXX, tiktok.com/t/XXXX) point at videos
+            if ((host !== 'tiktok.com' && segments[0]) || (segments[0] === 't' && segments[1])) {
+                return { kind: 'video', link: `https://${host}${url.pathname.replace(/\/$/, '')}` };
+            }
+            if (!segments[0]?.startsWith('@')) return null;
+
+            const user = segments[0].slice(1);
+            if (!this.username.test(user)) return null;
+            if (['video', 'photo'].includes(segments[1]) && /^\d+$/.test(segments[2] || '')) {
+                return { kind: 'video', link: `https://www.tiktok.com/@${user}/${segments[1]}/${segments[2]}` };
+            }
+            return { kind: 'profile', link: this.profileLink(user) };
+        }
+    },
+
+    youtube: {
+        name: 'YouTube',
+        hosts: ['youtube.com', 'youtu.be', 'music.youtube.com'],
+        videoId: /^[\w-]{11}$/,
+        parse(url, host) {
+            const segments = segmentsOf(url);
+            const video = id => this.videoId.test(id || '') ? { kind: 'video', link: `https://www.youtube.com/watch?v=${id}` } : null;
+
+            if (host === 'youtu.be') return video(segments[0]);
+            if (segments[0] === 'watch') return video(url.searchParams.get('v'));
+            if (['shorts', 'live', 'embed'].includes(segments[0])) return video(segments[1]);
+
+            if (segments[0]?.startsWith('@') && segments[0].length > 1) {
+                return { kind: 'channel', link: `https://www.youtube.com/${segments[0]}` };
+            }
+            if (['channel', 'c', 'user'].includes(segments[0]) && segments[1]) {
+                return { kind: 'channel', link: `https://www.youtube.com/${segments[0]}/${segments[1]}` };
+            }
+            return null;
+        }
+    },
+
+    twitter: {
+        name: 'Twitter/X',
+        hosts: ['x.com', 'twitter.com'],
+        username: /^\w{1,15}$/,
+        reserved: ['home', 'explore', 'search', 'i', 'hashtag', 'settings', 'notifications', 'messages', 'intent', 'share'],
+        profileLink: user => `https://x.com/${user}`,
+        parse(url) {
+            const segments = segmentsOf(url);
+            // /user/status/ID and /i/web/status/ID
+            const statusAt = segments.indexOf('status');
+            if (statusAt > 0 && /^\d+$/.test(segments[statusAt + 1] || '')) {
+                const user = segments[0] === 'i' ? 'i' : segments[0];
+                return { kind: 'post', link: `https://x.com/${user}/status/${segments[statusAt + 1]}` };
+            }
+            if (segments[0] && !this.reserved.includes(segments[0].toLowerCase()) && this.username.test(segments[0])) {
+                return { kind: 'profile', link: this.profileLink(segments[0]) };
+            }
+            return null;
+        }
+    },
+
+    coinmarketcap: {
+        name: 'CoinMarketCap',
+        hosts: ['coinmarketcap.com'],
+        parse(url) {
+            const segments = segmentsOf(url);
+            if (segments[0] === 'community' && segments[1] === 'profile' && segments[2]) {
+                return { kind: 'cmc-profile', link: `https://coinmarketcap.com/community/profile/${segments[2]}/` };
+            }
+            if (segments[0] === 'community' && segments[1] === 'post' && /^\d+$/.test(segments[2] || '')) {
+                return { kind: 'cmc-post', link: `https://coinmarketcap.com/community/post/${segments[2]}/` };
+            }
+            if (segments[0] === 'currencies' && segments[1]) {
+                return { kind: 'coin', link: `https://coinmarketcap.com/currencies/${segments[1]}/` };
+            }
+            if (segments[0] === 'watchlist' && segments[1]) {
+                return { kind: 'watchlist', link: `https://coinmarketcap.com/watchlist/${segments[1]}/` };
+            }
+            return null;
+        }
+    },
+
+    opensea: {
+        name: 'OpenSea',
+        hosts: ['opensea.io'],
+        parse(url) {
+            const segments = segmentsOf(url);
+            if (['assets', 'item'].includes(segments[0]) && segments.length >= 4) {
+                return { kind: 'nft', link: `https://opensea.io/${segments.slice(0, 4).join('/')}` };
+            }
+            if (segments[0] === 'collection' && segments[1]) {
+                return { kind: 'collection', link: `https://opensea.io/collection/${segments[1]}` };
+            }
+            return null;
+        }
+    }
+};
+
+// Expected link per catalog entry: { platform, kinds, label } or { text } for
+// free-text services (trend keywords)
+const LINK_RULES = {
+    instagram: {
+        followers: { platform: 'instagram', kinds: ['profile'], label: 'Instagram followers' },
+        likes: { platform: 'instagram', kinds: ['post'], label: 'Instagram likes' },
+        views: { platform: 'instagram', kinds: ['post'], label: 'Instagram views' },
+        comments: { platform: 'instagram', kinds: ['post'], label: 'Instagram comments' }
+    },
+    tiktok: {
+        followers: { platform: 'tiktok', kinds: ['profile'], label: 'TikTok followers' },
+        likes: { platform: 'tiktok', kinds: ['video'], label: 'TikTok likes' },
+        views: { platform: 'tiktok', kinds: ['video'], label: 'TikTok views' }
+    },
+    youtube: {
+        subscribers: { platform: 'youtube', kinds: ['channel'], label: 'YouTube subscribers' },
+        likes: { platform: 'youtube', kinds: ['video'], label: 'YouTube likes' },
+        views: { platform: 'youtube', kinds: ['video'], label: 'YouTube views' }
+    },
+    twitter: {
+        followers: { platform: 'twitter', kinds: ['profile'], label: 'Twitter/X followers' },
+        likes: { platform: 'twitter', kinds: ['post'], label: 'Twitter/X likes' },
+        retweets: { platform: 'twitter', kinds: ['post'], label: 'Retweets' }
+    },
+    crypto: {
+        'cmc-followers': { platform: 'coinmarketcap', kinds: ['cmc-profile'], label: 'CoinMarketCap followers' },
+        'cmc-likes': { platform: 'coinmarketcap', kinds: ['cmc-post'], label: 'CoinMarketCap likes' },
+        'watchlist-followers': { platform: 'coinmarketcap', kinds: ['watchlist'], label: 'Watchlist followers' },
+        'watchlist-adds': { platform: 'coinmarketcap', kinds: ['coin'], label: 'Watchlist adds' },
+        'opensea-views': { platform: 'opensea', kinds: ['nft', 'collection'], label: 'OpenSea views' },
+        'opensea-favorites': { platform: 'opensea', kinds: ['nft'], label: 'OpenSea favorites' },
+        'opensea-combo': { platform: 'opensea', kinds: ['nft'], label: 'OpenSea combo orders' }
+    },
+    trends: { text: true }
+};
+
+function describeKinds(kinds) {
+    return kinds.map(kind => KIND_LABELS[kind]).join(' or ');
+}
+
+function toUrl(input) {
+    let value = input;
+    if (!/^https?:\/\//i.test(value)) {
+        // Bare domains like "instagram.com/name"
+        if (!/^[\w-]+(\.[\w-]+)+(\/|$)/.test(value)) return null;
+        value = `https://${value}`;
+    }
+    try {
+        return new URL(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Validate a link for the catalog entry [group, key].
+// Returns { link } (normalized) or { error }.
+function validateLink(group, key, input) {
+    const value = typeof input === 'string' ? input.trim() : '';
+    if (!value) return { error: 'Link is required' };
+    if (value.length > MAX_LINK_LENGTH) return { error: 'Link is too long' };
+
+    const rule = LINK_RULES[group]?.text ? LINK_RULES[group] : LINK_RULES[group]?.[key];
+    if (!rule) return { link: value };
+    if (rule.text) return value.length <= 280 ? { link: value } : { error: 'Keyword is too long (max 280 characters)' };
+
+    const platform = PLATFORMS[rule.platform];
+    const expected = describeKinds(rule.kinds);
+    const url = toUrl(value);
+    const host = url?.hostname.toLowerCase().replace(/^(www|m|mobile)\./, '');
+
+    // A bare @username is accepted where a profile is expected. Dotted
+    // handles like "john.doe" also parse as a domain, so input without a
+    // slash is tried as a username unless it names one of the platform's hosts.
+    if (!url || (!value.includes('/') && !platform.hosts.includes(host))) {
+        const user = value.replace(/^@/, '');
+        if (platform.username?.test(user)) {
+            return rule.kinds.includes('profile')
+                ? { link: platform.profileLink(user) }
+                : { error: `${rule.label} need a link to ${expected}, not a username` };
+        }
+        if (!url) return { error: `Please enter a valid ${platform.name} link` };
+    }
+
+    if (!platform.hosts.includes(host)) {
+        return { error: `${rule.label} need a link from ${platform.name}` };
+    }
+
+    const parsed = platform.parse(url, host);
+    if (!parsed) {
+        return { error: `${rule.label} need a link to ${expected}` };
+    }
+    if (!rule.kinds.includes(parsed.kind)) {
+        return { error: `This looks like ${KIND_LABELS[parsed.kind]} link - ${rule.label} need a link to ${expected}` };
+    }
+
+    return { link: parsed.link };
+}
+
+module.exports = { validateLink };
@@ -0,0 +1,80 @@
+// =====================================================
+// ORDER EVENTS - Internal event bus
+// =====================================================
+// The order repository publishes an event whenever an order is created or
+// its status changes, so every payment webhook, worker and admin route that
+// moves an order is covered without emitting anything itself.
+//
+// Events go to the registered outbound webhooks (lib/outboundWebhooks.js)
+// and to in-process subscribers such as the admin event stream.
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { afterCommit } = require('./db');
+const outboundWebhooks = require('./outboundWebhooks');
+
+const EVENT_TYPES = [
+    'order.created',
+    'order.paid',
+    'order.fulfillment_started',
+    'order.completed',
+    'order.failed',
+    'order.refunded'
+];
+
+// New order status -> event. `data.order.status` tells partial from completed
+// and canceled from failed.
+const STATUS_EVENTS = {
+    paid: 'order.paid',
+    processing: 'order.fulfillment_started',
+    completed: 'order.completed',
+    partial: 'order.completed',
+    failed: 'order.failed',
+    canceled: 'order.failed',
+    refunded: 'order.refunded'
+};
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+function publish(type, order) {
+    const event = {
+        id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+        type,
+        createdAt: new Date().toISOString(),
+        data: { order }
+    };
+
+    // The webhook deliveries are written in the caller's transaction; the
+    // bus only hears about changes that were committed
+    outboundWebhooks.enqueueEvent(event);
+    afterCommit(() => setImmediate(() => bus.emit('event', event)));
+    return event;
+}
+
+function publishCreated(order) {
+    publish('order.created', order);
+}
+
+// `previous` is the order's { status, refundedAmount } before the change.
+// A partial refund (refundedAmount going up without the status changing)
+// is published as order.refunded too.
+function publishChange(order, previous) {
+    const type = order.status !== previous.status ? STATUS_EVENTS[order.status] : null;
+    if (type) publish(type, order);
+
+    const refunded = (order.refundedAmount || 0) > (previous.refundedAmount || 0);
+    if (refunded && type !== 'order.refunded') publish('order.refunded', order);
+}
+
+// Returns a function that unsubscribes `listener`
+function subscribe(listener) {
+    bus.on('event', listener);
+    return () => bus.off('event', listener);
+}
+
+module.exports = {
+    EVENT_TYPES,
+    publishCreated,
+    publishChange,
+    subscribe
+};
@@ -0,0 +1,333 @@
+// =====================================================
+// ORDER REPOSITORY - All order reads/writes go through here
+// =====================================================
+const fs = require('fs');
+const { getDb } = require('./db');
+const audit = require('./audit');
+const orderEvents = require('./orderEvents');
+
+// Order field -> column. Orders keep the same shape the JSON file had.
+const COLUMNS = {
+    id: 'id',
+    orderId: 'order_id',
+    stripeSessionId: 'stripe_session_id',
+    invoiceId: 'invoice_id',
+    japOrderId: 'jap_order_id',
+    japServiceId: 'jap_service_id',
+    email: 'email',
+    link: 'link',
+    quantity: 'quantity',
+    amount: 'amount',
+    platform: 'platform',
+    service: 'service',
+    quality: 'quality',
+    status: 'status',
+    paymentMethod: 'payment_method',
+    japStatus: 'jap_status',
+    startCount: 'start_count',
+    remains: 'remains',
+    japCheckedAt: 'jap_checked_at',
+    stripePaymentIntentId: 'stripe_payment_intent_id',
+    refundedAmount: 'refunded_amount',
+    disputeStatus: 'dispute_status',
+    preDisputeStatus: 'pre_dispute_status',
+    itemCount: 'item_count',
+    provider: 'provider',
+    promoCode: 'promo_code',
+    discountAmount: 'discount_amount',
+    walletCredited: 'wallet_credited',
+    cryptoPaymentStatus: 'crypto_payment_status',
+    cryptoPaidAmount: 'crypto_paid_amount',
+    cryptoExpectedAmount: 'crypto_expected_amount',
+    cryptoCurrency: 'crypto_currency',
+    clientIp: 'client_ip',
+    riskScore: 'risk_score',
+    riskReasons: 'risk_reasons',
+    date: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+// Cart line item field -> column
+const ITEM_COLUMNS = {
+    id: 'id',
+    orderId: 'order_id',
+    position: 'position',
+    platform: 'platform',
+    service: 'service',
+    quality: 'quality',
+    link: 'link',
+    quantity: 'quantity',
+    amount: 'amount',
+    japServiceId: 'jap_service_id',
+    japOrderId: 'jap_order_id',
+    status: 'status',
+    japStatus: 'jap_status',
+    startCount: 'start_count',
+    remains: 'remains',
+    japCheckedAt: 'jap_checked_at',
+    lastError: 'last_error',
+    provider: 'provider',
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+};
+
+function toRecord(row, columnMap) {
+    if (!row) return null;
+    const record = {};
+    for (const [field, column] of Object.entries(columnMap)) {
+        if (row[column] !== null && row[column] !== undefined) record[field] = row[column];
+    }
+    return record;
+}
+
+function toOrder(row) {
+    const order = toRecord(row, COLUMNS);
+    if (order?.riskReasons) order.riskReasons = JSON.parse(order.riskReasons);
+    return order;
+}
+
+function toItem(row) {
+    return toRecord(row, ITEM_COLUMNS);
+}
+
+// Build a { column: value } map from record fields, ignoring unknown fields
+function toColumns(fields, columnMap = COLUMNS) {
+    const columns = {};
+    for (const [field, value] of Object.entries(fields)) {
+        if (columnMap[field] && value !== undefined) {
+            columns[columnMap[field]] = value === null ? null : toSqlValue(value);
+        }
+    }
+    return columns;
+}
+
+function toSqlValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function insertRow(columns, verb = 'INSERT', table = 'orders') {
+    const names = Object.keys(columns);
+    return getDb()
+        .prepare(`${verb} INTO ${table} (${names.join(', ')}) VALUES (${names.map(n => '@' + n).join(', ')})`)
+        .run(columns);
+}
+
+// Create an order. Passing `items` makes it a cart order: one payment
+// covering several line items, each placed with JAP separately.
+function createOrder(orderData, items = []) {
+    const db = getDb();
+    const now = new Date().toISOString();
+
+    return db.transaction(() => {
+        const { lastInsertRowid } = insertRow(toColumns({
+            ...orderData,
+            id: undefined,
+            itemCount: items.length || undefined,
+            date: now
+        }));
+
+        items.forEach((item, position) => {
+            insertRow(toColumns({
+                ...item,
+                id: undefined,
+                orderId: lastInsertRowid,
+                position,
+                status: 'pending',
+                createdAt: now
+            }, ITEM_COLUMNS), 'INSERT', 'order_items');
+        });
+
+        const order = getOrderById(lastInsertRowid);
+        orderEvents.publishCreated(withItems(order));
+        return order;
+    })();
+}
+
+function getOrderItems(orderId) {
+    return getDb()
+        .prepare('SELECT * FROM order_items WHERE order_id = ? ORDER BY position')
+        .all(orderId)
+        .map(toItem);
+}
+
+// Items across all orders in the given status (e.g. 'processing' for polling)
+function listItemsByStatus(status) {
+    return getDb()
+        .prepare('SELECT * FROM order_items WHERE status = ? ORDER BY id')
+        .all(status)
+        .map(toItem);
+}
+
+function updateOrderItem(itemId, changes) {
+    const columns = toColumns({ ...changes, id: undefined, orderId: undefined, updatedAt: new Date().toISOString() }, ITEM_COLUMNS);
+    const assignments = Object.keys(columns).map(c => `${c} = @${c}`).join(', ');
+
+    getDb().prepare(`UPDATE order_items SET ${assignments} WHERE id = @__id`).run({ ...columns, __id: itemId });
+    return toItem(getDb().prepare('SELECT * FROM order_items WHERE id = ?').get(itemId));
+}
+
+function getOrderById(id) {
+    return toOrder(getDb().prepare('SELECT * FROM orders WHERE id = ?').get(id));
+}
+
+function getOrderByOrderId(orderId) {
+    return toOrder(getDb().prepare('SELECT * FROM orders WHERE order_id = ?').get(orderId));
+}
+
+function getOrderByStripeSession(sessionId) {
+    return toOrder(getDb().prepare('SELECT * FROM orders WHERE stripe_session_id = ?').get(sessionId));
+}
+
+function getOrderByPaymentIntent(paymentIntentId) {
+    return toOrder(getDb().prepare('SELECT * FROM orders WHERE stripe_payment_intent_id = ?').get(paymentIntentId));
+}
+
+function getOrderByInvoiceId(invoiceId) {
+    return toOrder(getDb().prepare('SELECT * FROM orders WHERE invoice_id = ?').get(String(invoiceId)));
+}
+
+function getOrderByJapOrderId(japOrderId) {
+    return toOrder(getDb().prepare('SELECT * FROM orders WHERE jap_order_id = ?').get(String(japOrderId)));
+}
+
+// Newest first, optionally filtered by status
+function listOrders({ status, limit } = {}) {
+    let sql = 'SELECT * FROM orders';
+    const params = [];
+
+    if (status) {
+        const statuses = [].concat(status);
+        sql += ` WHERE status IN (${statuses.map(() => '?').join(', ')})`;
+        params.push(...statuses);
+    }
+    sql += ' ORDER BY id DESC';
+    if (limit) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+    }
+
+    return getDb().prepare(sql).all(...params).map(toOrder);
+}
+
+// A customer's orders across every payment method, newest first
+function listOrdersByEmail(email, { limit = 100 } = {}) {
+    return getDb()
+        .prepare('SELECT * FROM orders WHERE email = ? COLLATE NOCASE ORDER BY id DESC LIMIT ?')
+        .all(email, limit)
+        .map(toOrder);
+}
+
+// Orders created since `since` by an email, from an IP, or for a link (order
+// or cart item), for velocity checks. Unset lookups count as 0.
+function countRecentOrders({ email, clientIp, link }, since) {
+    const db = getDb();
+    const count = (sql, ...params) => db.prepare(sql).get(...params, since).count;
+
+    return {
+        email: email ? count('SELECT COUNT(*) AS count FROM orders WHERE email = ? COLLATE NOCASE AND created_at > ?', email) : 0,
+        clientIp: clientIp ? count('SELECT COUNT(*) AS count FROM orders WHERE client_ip = ? AND created_at > ?', clientIp) : 0,
+        link: link
+            ? count(`SELECT COUNT(DISTINCT o.id) AS count FROM orders o LEFT JOIN order_items i ON i.order_id = o.id
+                     WHERE (o.link = ? OR i.link = ?) AND o.created_at > ?`, link, link)
+            : 0
+    };
+}
+
+// Cart orders carry their line items in events
+function withItems(order) {
+    return order.itemCount ? { ...order, items: getOrderItems(order.id) } : order;
+}
+
+// Apply field changes to an order. Returns the updated order or null.
+// Status changes are written to the audit log under the current actor and
+// published as order events (lib/orderEvents.js).
+function updateOrder(id, changes) {
+    const db = getDb();
+    const columns = toColumns({ ...changes, id: undefined, updatedAt: new Date().toISOString() });
+    const assignments = Object.keys(columns).map(c => `${c} = @${c}`).join(', ');
+
+    return db.transaction(() => {
+        const before = db.prepare('SELECT status, refunded_amount FROM orders WHERE id = ?').get(id);
+        if (!before) return null;
+
+        db.prepare(`UPDATE orders SET ${assignments} WHERE id = @__id`).run({ ...columns, __id: id });
+
+        if (changes.status && changes.status !== before.status) {
+            audit.recordStatusChange(id, before.status, changes.status);
+        }
+
+        const order = getOrderById(id);
+        orderEvents.publishChange(withItems(order), { status: before.status, refundedAmount: before.refunded_amount });
+        return order;
+    })();
+}
+
+// Accepts either the numeric id or the GF-/gf_ order ID
+function updateOrderStatus(orderId, status, japOrderId = null) {
+    const order = typeof orderId === 'number' ? getOrderById(orderId) : getOrderByOrderId(orderId);
+    if (!order) return null;
+
+    const changes = { status };
+    if (japOrderId) changes.japOrderId = String(japOrderId);
+    return updateOrder(order.id, changes);
+}
+
+// Atomic compare-and-set: only moves the order if its current status is one
+// of `fromStatuses`. Returns the updated order, or null if another writer won.
+function transitionOrderStatus(id, fromStatuses, toStatus, changes = {}) {
+    const db = getDb();
+    return db.transaction(() => {
+        const current = db.prepare('SELECT status FROM orders WHERE id = ?').get(id);
+        if (!current || ![].concat(fromStatuses).includes(current.status)) return null;
+
+        return updateOrder(id, { ...changes, status: toStatus });
+    })();
+}
+
+// One-time import of a legacy orders.json file. The file is renamed
+// afterwards so the import never runs twice.
+function importOrdersFromJson(file) {
+    if (!fs.existsSync(file)) return 0;
+
+    const orders = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const db = getDb();
+    let imported = 0;
+
+    db.transaction(() => {
+        for (const order of orders) {
+            const columns = toColumns({
+                ...order,
+                id: Number.isInteger(order.id) ? order.id : undefined,
+                orderId: order.orderId || `legacy-${order.id}`,
+                japOrderId: order.japOrderId ? String(order.japOrderId) : undefined,
+                date: order.date || new Date().toISOString()
+            });
+            imported += insertRow(columns, 'INSERT OR IGNORE').changes;
+        }
+    })();
+
+    fs.renameSync(file, `${file}.imported`);
+    return imported;
+}
+
+module.exports = {
+    createOrder,
+    getOrderById,
+    getOrderByOrderId,
+    getOrderByStripeSession,
+    getOrderByPaymentIntent,
+    getOrderByInvoiceId,
+    getOrderByJapOrderId,
+    getOrderItems,
+    listItemsByStatus,
+    updateOrderItem,
+    listOrders,
+    listOrdersByEmail,
+    countRecentOrders,
+    updateOrder,
+    updateOrderStatus,
+    transitionOrderStatus,
+    importOrdersFromJson
+};
@@ -0,0 +1,229 @@
+// =====================================================
+// OUTBOUND WEBHOOKS - Signed order events for our other systems
+// =====================================================
+// Admins register endpoints (optionally for some event types only). Every
+// event is queued as one webhook_deliveries row per endpoint, which doubles
+// as the delivery log, and retried with backoff until the endpoint answers 2xx.
+//
+// Each POST carries the event as JSON and these headers:
+//   X-GetFame-Event      event type, e.g. order.paid
+//   X-GetFame-Delivery   event ID (the same on every retry - dedupe on it)
+//   X-GetFame-Signature  t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+// signed with the endpoint's secret.
+const crypto = require('crypto');
+const { getDb } = require('./db');
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 60 * 1000;
+const WORKER_INTERVAL_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+let queueRunning = false;
+
+function toEndpoint(row, { includeSecret = false } = {}) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        url: row.url,
+        events: row.events ? JSON.parse(row.events) : null,
+        description: row.description,
+        active: !!row.active,
+        ...(includeSecret ? { secret: row.secret } : {}),
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function toDelivery(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        endpointId: row.endpoint_id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        status: row.status,
+        attempts: row.attempts,
+        responseStatus: row.response_status,
+        lastError: row.last_error,
+        nextAttemptAt: row.next_attempt_at,
+        createdAt: row.created_at,
+        deliveredAt: row.delivered_at
+    };
+}
+
+function getEndpointRow(id) {
+    return getDb().prepare('SELECT * FROM webhook_endpoints WHERE id = ?').get(id);
+}
+
+function getEndpoint(id) {
+    return toEndpoint(getEndpointRow(id));
+}
+
+function listEndpoints() {
+    return getDb().prepare('SELECT * FROM webhook_endpoints ORDER BY id').all().map(row => toEndpoint(row));
+}
+
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// The secret is only returned here (and when rotated)
+function createEndpoint({ url, events = null, description = null }) {
+    const { lastInsertRowid } = getDb()
+        .prepare('INSERT INTO webhook_endpoints (url, secret, events, description, created_at) VALUES (?, ?, ?, ?, ?)')
+        .run(url, generateSecret(), events?.length ? JSON.stringify(events) : null, description, new Date().toISOString());
+    return toEndpoint(getEndpointRow(lastInsertRowid), { includeSecret: true });
+}
+
+function updateEndpoint(id, { url, events, description, active, rotateSecret = false }) {
+    const columns = { updated_at: new Date().toISOString() };
+    if (url !== undefined) columns.url = url;
+    if (events !== undefined) columns.events = events?.length ? JSON.stringify(events) : null;
+    if (description !== undefined) columns.description = description;
+    if (active !== undefined) columns.active = active ? 1 : 0;
+    if (rotateSecret) columns.secret = generateSecret();
+
+    const assignments = Object.keys(columns).map(c => `${c} = @${c}`).join(', ');
+    const result = getDb().prepare(`UPDATE webhook_endpoints SET ${assignments} WHERE id = @__id`).run({ ...columns, __id: id });
+    return result.changes ? toEndpoint(getEndpointRow(id), { includeSecret: rotateSecret }) : null;
+}
+
+// Also drops the endpoint's delivery log
+function deleteEndpoint(id) {
+    return getDb().prepare('DELETE FROM webhook_endpoints WHERE id = ?').run(id).changes > 0;
+}
+
+// Queue an event for every active endpoint subscribed to its type. Runs in
+// the caller's database transaction, so an event is only queued if the
+// change it describes is saved.
+function enqueueEvent(event) {
+    const db = getDb();
+    const now = new Date().toISOString();
+    const payload = JSON.stringify(event);
+    const insert = db.prepare(`INSERT OR IGNORE INTO webhook_deliveries (endpoint_id, event_id, event_type, payload, next_attempt_at, created_at)
+                               VALUES (?, ?, ?, ?, ?, ?)`);
+
+    let queued = 0;
+    for (const endpoint of db.prepare('SELECT id, events FROM webhook_endpoints WHERE active = 1').all()) {
+        const events = endpoint.events ? JSON.parse(endpoint.events) : null;
+        if (events && !events.includes(event.type)) continue;
+        queued += insert.run(endpoint.id, event.id, event.type, payload, now, now).changes;
+    }
+
+    // Send once the current transaction has committed
+    if (queued) setImmediate(processDeliveryQueue);
+    return queued;
+}
+
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function sendDelivery(endpoint, row) {
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        const response = await fetch(endpoint.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'GetFame-Webhooks/1.0',
+                'X-GetFame-Event': row.event_type,
+                'X-GetFame-Delivery': row.event_id,
+                'X-GetFame-Signature': `t=${timestamp},v1=${signPayload(endpoint.secret, timestamp, row.payload)}`
+            },
+            body: row.payload,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+
+        return response.ok
+            ? { success: true, status: response.status }
+            : { success: false, status: response.status, error: `HTTP ${response.status}` };
+    } catch (error) {
+        return { success: false, status: null, error: error.message };
+    }
+}
+
+async function processDeliveryQueue() {
+    if (queueRunning) return;
+    queueRunning = true;
+
+    try {
+        const db = getDb();
+        const due = db
+            .prepare(`SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 50`)
+            .all(new Date().toISOString());
+
+        for (const row of due) {
+            const endpoint = getEndpointRow(row.endpoint_id);
+            const attempts = row.attempts + 1;
+            const result = endpoint
+                ? await sendDelivery(endpoint, row)
+                : { success: false, status: null, error: 'Endpoint not found' };
+
+            if (result.success) {
+                db.prepare(`UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, last_error = NULL, delivered_at = ? WHERE id = ?`)
+                    .run(attempts, result.status, new Date().toISOString(), row.id);
+            } else if (attempts >= MAX_ATTEMPTS) {
+                db.prepare(`UPDATE webhook_deliveries SET status = 'failed', attempts = ?, response_status = ?, last_error = ? WHERE id = ?`)
+                    .run(attempts, result.status, result.error, row.id);
+                console.error(`Webhook ${row.event_type} to ${endpoint?.url} failed after ${attempts} attempts:`, result.error);
+            } else {
+                const nextAttempt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+                db.prepare(`UPDATE webhook_deliveries SET attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ? WHERE id = ?`)
+                    .run(attempts, result.status, result.error, nextAttempt, row.id);
+            }
+        }
+    } catch (error) {
+        console.error('Webhook delivery queue error:', error.message);
+    } finally {
+        queueRunning = false;
+    }
+}
+
+// Newest first. Filters: endpointId, status.
+function listDeliveries({ endpointId, status, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+
+    if (endpointId != null) {
+        where.push('endpoint_id = ?');
+        params.push(endpointId);
+    }
+    if (status) {
+        where.push('status = ?');
+        params.push(status);
+    }
+
+    const sql = `SELECT * FROM webhook_deliveries ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`;
+    return getDb().prepare(sql).all(...params, limit).map(toDelivery);
+}
+
+// Send a delivery again now, whatever its status (attempts start over)
+function redeliver(id) {
+    const result = getDb()
+        .prepare(`UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ? WHERE id = ?`)
+        .run(new Date().toISOString(), id);
+    if (!result.changes) return null;
+
+    processDeliveryQueue();
+    return toDelivery(getDb().prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id));
+}
+
+function startDeliveryWorker() {
+    setInterval(processDeliveryQueue, WORKER_INTERVAL_MS);
+    processDeliveryQueue();
+}
+
+module.exports = {
+    getEndpoint,
+    listEndpoints,
+    createEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    enqueueEvent,
+    listDeliveries,
+    redeliver,
+    processDeliveryQueue,
+    startDeliveryWorker
+};
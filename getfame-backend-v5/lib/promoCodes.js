@@ -0,0 +1,186 @@
+// =====================================================
+// PROMO CODES - Admin-managed discount codes
+// =====================================================
+// A code takes a percentage or a fixed USD amount off the items it applies
+// to (optionally only some platforms/services), with an optional minimum
+// order value, expiry date and global / per-email usage limits.
+//
+// Codes are checked at checkout, but a use only counts once a payment
+// webhook confirms the order (redeemForOrder). Abandoned checkouts never
+// use up a limited code.
+const { getDb } = require('./db');
+
+const TYPES = ['percent', 'fixed'];
+
+function normalizeCode(code) {
+    return String(code).trim().toUpperCase();
+}
+
+function parseList(value) {
+    return value ? JSON.parse(value) : null;
+}
+
+function toPromoCode(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        code: row.code,
+        type: row.type,
+        value: row.value,
+        platforms: parseList(row.platforms),
+        services: parseList(row.services),
+        minOrder: row.min_order,
+        expiresAt: row.expires_at,
+        maxUses: row.max_uses,
+        maxUsesPerEmail: row.max_uses_per_email,
+        uses: row.uses,
+        active: !!row.active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Promo code field -> column for create/update
+const COLUMNS = {
+    type: 'type',
+    value: 'value',
+    platforms: 'platforms',
+    services: 'services',
+    minOrder: 'min_order',
+    expiresAt: 'expires_at',
+    maxUses: 'max_uses',
+    maxUsesPerEmail: 'max_uses_per_email',
+    active: 'active'
+};
+
+function toColumns(fields) {
+    const columns = {};
+    for (const [field, column] of Object.entries(COLUMNS)) {
+        if (fields[field] === undefined) continue;
+        let value = fields[field];
+        if (Array.isArray(value)) value = value.length ? JSON.stringify(value.map(v => v.toLowerCase())) : null;
+        if (typeof value === 'boolean') value = value ? 1 : 0;
+        columns[column] = value;
+    }
+    return columns;
+}
+
+function getCode(id) {
+    return toPromoCode(getDb().prepare('SELECT * FROM promo_codes WHERE id = ?').get(id));
+}
+
+function getCodeByCode(code) {
+    return toPromoCode(getDb().prepare('SELECT * FROM promo_codes WHERE code = ?').get(normalizeCode(code)));
+}
+
+function listCodes() {
+    return getDb().prepare('SELECT * FROM promo_codes ORDER BY id DESC').all().map(toPromoCode);
+}
+
+// Throws SQLITE_CONSTRAINT_UNIQUE when the code already exists
+function createCode({ code, ...fields }) {
+    const columns = { ...toColumns(fields), code: normalizeCode(code), created_at: new Date().toISOString() };
+    const names = Object.keys(columns);
+    const result = getDb()
+        .prepare(`INSERT INTO promo_codes (${names.join(', ')}) VALUES (${names.map(n => '@' + n).join(', ')})`)
+        .run(columns);
+    return getCode(result.lastInsertRowid);
+}
+
+function updateCode(id, changes) {
+    const columns = { ...toColumns(changes), updated_at: new Date().toISOString() };
+    const assignments = Object.keys(columns).map(c => `${c} = @${c}`).join(', ');
+
+    const result = getDb().prepare(`UPDATE promo_codes SET ${assignments} WHERE id = @__id`).run({ ...columns, __id: id });
+    return result.changes ? getCode(id) : null;
+}
+
+function countEmailRedemptions(promoCodeId, email) {
+    return getDb()
+        .prepare('SELECT COUNT(*) AS count FROM promo_redemptions WHERE promo_code_id = ? AND email = ?')
+        .get(promoCodeId, email.toLowerCase()).count;
+}
+
+// Whether a code covers a catalog entry [group, key]
+function appliesTo(promo, group, key) {
+    if (promo.platforms && !promo.platforms.includes(group)) return false;
+    if (promo.services && !promo.services.includes(key)) return false;
+    return true;
+}
+
+// Check a code for a checkout. Returns { promo } or { error }.
+// `subtotal` is the order value the code's minimum is compared against.
+function checkCode(code, { email, subtotal }) {
+    const promo = getCodeByCode(code);
+    if (!promo || !promo.active) {
+        return { error: 'This promo code is not valid' };
+    }
+    if (promo.expiresAt && new Date(promo.expiresAt) <= new Date()) {
+        return { error: 'This promo code has expired' };
+    }
+    if (promo.maxUses != null && promo.uses >= promo.maxUses) {
+        return { error: 'This promo code has been fully redeemed' };
+    }
+    if (promo.maxUsesPerEmail != null && countEmailRedemptions(promo.id, email) >= promo.maxUsesPerEmail) {
+        return { error: 'You have already used this promo code' };
+    }
+    if (promo.minOrder && subtotal < promo.minOrder) {
+        return { error: `This promo code needs an order of at least $${promo.minOrder.toFixed(2)}` };
+    }
+    return { promo };
+}
+
+// Count a paid order's code use. Safe to call more than once per order.
+// Returns true when this call recorded the redemption.
+function redeemForOrder(order) {
+    if (!order.promoCode) return false;
+
+    const db = getDb();
+    return db.transaction(() => {
+        const promo = db.prepare('SELECT id FROM promo_codes WHERE code = ?').get(order.promoCode);
+        if (!promo) return false;
+
+        const { changes } = db
+            .prepare(`INSERT OR IGNORE INTO promo_redemptions (promo_code_id, order_id, email, discount, amount, created_at)
+                      VALUES (?, ?, ?, ?, ?, ?)`)
+            .run(promo.id, order.id, order.email.toLowerCase(), order.discountAmount || 0, order.amount, new Date().toISOString());
+        if (!changes) return false;
+
+        db.prepare('UPDATE promo_codes SET uses = uses + 1 WHERE id = ?').run(promo.id);
+        return true;
+    })();
+}
+
+// Confirmed redemptions per code, with the revenue they brought in
+function getCodeStats() {
+    return getDb()
+        .prepare(`SELECT c.code, c.type, c.value, c.active,
+                         COUNT(r.id) AS redemptions,
+                         COALESCE(SUM(r.amount), 0) AS revenue,
+                         COALESCE(SUM(r.discount), 0) AS discount
+                  FROM promo_codes c LEFT JOIN promo_redemptions r ON r.promo_code_id = c.id
+                  GROUP BY c.id ORDER BY revenue DESC, c.id DESC`)
+        .all()
+        .map(row => ({
+            code: row.code,
+            type: row.type,
+            value: row.value,
+            active: !!row.active,
+            redemptions: row.redemptions,
+            revenue: Math.round(row.revenue * 100) / 100,
+            discount: Math.round(row.discount * 100) / 100
+        }));
+}
+
+module.exports = {
+    TYPES,
+    getCode,
+    getCodeByCode,
+    listCodes,
+    createCode,
+    updateCode,
+    appliesTo,
+    checkCode,
+    redeemForOrder,
+    getCodeStats
+};
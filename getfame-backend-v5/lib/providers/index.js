@@ -0,0 +1,79 @@
+// =====================================================
+// SMM PROVIDERS - Registry and primary/fallback placement
+// =====================================================
+// Every provider exposes the same interface (see smmPanel.js): add, status,
+// multiStatus, refill, refillStatus, cancel, balance, services.
+//
+// Orders and items record which provider placed them (NULL = JAP, for
+// orders placed before providers existed).
+const jap = require('./jap');
+const { createSmmPanelProvider } = require('./smmPanel');
+
+const {
+    SMM_PANEL_NAME = 'smmpanel',
+    SMM_PANEL_API_URL,
+    SMM_PANEL_API_KEY
+} = process.env;
+
+const DEFAULT_PROVIDER = 'jap';
+
+const PROVIDERS = { [jap.name]: jap };
+
+// Optional second panel speaking the standard SMM panel API v2. Catalog
+// entries with a `fallback` service fail over to it (see PRICE_CATALOG in
+// server.js).
+const FALLBACK_PROVIDER = SMM_PANEL_API_URL && SMM_PANEL_NAME !== DEFAULT_PROVIDER ? SMM_PANEL_NAME : null;
+
+if (FALLBACK_PROVIDER) {
+    PROVIDERS[FALLBACK_PROVIDER] = createSmmPanelProvider({
+        name: FALLBACK_PROVIDER,
+        url: SMM_PANEL_API_URL,
+        key: SMM_PANEL_API_KEY
+    });
+}
+
+function getProvider(name) {
+    return PROVIDERS[name || DEFAULT_PROVIDER] || null;
+}
+
+function listProviders() {
+    return Object.values(PROVIDERS);
+}
+
+function isConfigured(name) {
+    return !!getProvider(name)?.configured;
+}
+
+// Place an order with the first route ({ provider, service }) that accepts
+// it. We only fail over when a panel explicitly rejects the order - after a
+// network error the order may have gone through, and placing it again
+// elsewhere could deliver twice.
+// Returns { success, orderId, provider, service } or { success: false, error, provider, service }.
+async function placeOrder(routes, link, quantity) {
+    let result = { success: false, error: 'No provider configured for this service' };
+
+    for (const route of routes) {
+        const provider = getProvider(route.provider);
+        if (!provider?.configured) continue;
+
+        const previous = result.provider;
+        result = { ...(await provider.add({ service: route.service, link, quantity })), provider: provider.name, service: route.service };
+
+        if (result.success) {
+            if (previous) console.log(`Order failed over from ${previous} to ${provider.name}`);
+            return result;
+        }
+        if (!result.rejected) return result;
+    }
+
+    return result;
+}
+
+module.exports = {
+    DEFAULT_PROVIDER,
+    FALLBACK_PROVIDER,
+    getProvider,
+    listProviders,
+    isConfigured,
+    placeOrder
+};
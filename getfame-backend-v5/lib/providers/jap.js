@@ -0,0 +1,17 @@
+// =====================================================
+// JUSTANOTHERPANEL (JAP) - Default SMM provider
+// =====================================================
+const { createSmmPanelProvider } = require('./smmPanel');
+
+const {
+    JAP_API_KEY,
+    JAP_API_URL = 'https://justanotherpanel.com/api/v2'
+} = process.env;
+
+module.exports = createSmmPanelProvider({
+    name: 'jap',
+    label: 'JAP',
+    url: JAP_API_URL,
+    key: JAP_API_KEY,
+    encoding: 'json'
+});
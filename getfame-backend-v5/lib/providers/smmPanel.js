@@ -0,0 +1,164 @@
+// =====================================================
+// SMM PANEL API v2 - Client for the standard panel protocol
+// =====================================================
+// Most SMM panels (JAP included) speak the same "API v2": a single POST
+// endpoint taking `key` + `action` (add, status, refill, refill_status,
+// cancel, balance, services). This factory builds a provider around one
+// panel; every provider exposes the same methods.
+//
+// Panels differ only in how the body is encoded: JAP accepts JSON, the
+// reference implementation expects a form post.
+
+function createSmmPanelProvider({ name, label = name, url, key, encoding = 'form' }) {
+    const configured = !!(url && key);
+
+    async function request(action, params = {}) {
+        const fields = { key, action, ...params };
+        const response = await fetch(url, encoding === 'json'
+            ? {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(fields)
+            }
+            : {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+                body: new URLSearchParams(fields).toString()
+            });
+
+        return response.json();
+    }
+
+    // Place an order. Returns { success, orderId } or { success: false, error, rejected? }.
+    async function add({ service, link, quantity }) {
+        if (!configured) {
+            console.error(`${label} API not configured`);
+            return { success: false, error: `${label} not configured` };
+        }
+
+        try {
+            const data = await request('add', { service, link, quantity });
+
+            if (data.order) {
+                console.log(`${label} order placed: #${data.order} for service ${service}`);
+                return { success: true, orderId: data.order };
+            }
+            // The panel answered and refused the order
+            console.error(`${label} error:`, data.error || data);
+            return { success: false, error: data.error || `Unknown ${label} error`, rejected: true };
+        } catch (error) {
+            console.error(`${label} API error:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Raw status of one order ({ status, start_count, remains, ... }), or null
+    async function status(orderId) {
+        if (!configured) return null;
+
+        try {
+            return await request('status', { order: orderId });
+        } catch (error) {
+            console.error(`${label} status check error:`, error.message);
+            return null;
+        }
+    }
+
+    // Status of up to 100 orders in one call.
+    // Returns { [orderId]: { status, start_count, remains, ... } | { error } }, or null
+    async function multiStatus(orderIds) {
+        if (!configured || !orderIds.length) return null;
+
+        try {
+            return await request('status', { orders: orderIds.join(',') });
+        } catch (error) {
+            console.error(`${label} multi-status check error:`, error.message);
+            return null;
+        }
+    }
+
+    // Request a refill. Returns { success, refillId } or { success: false, error }.
+    async function refill(orderId) {
+        if (!configured) return { success: false, error: `${label} not configured` };
+
+        try {
+            const data = await request('refill', { order: orderId });
+            if (data.refill) return { success: true, refillId: String(data.refill) };
+            return { success: false, error: data.error || `Unknown ${label} error` };
+        } catch (error) {
+            console.error(`${label} refill error:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Raw refill status ({ status }), or null
+    async function refillStatus(refillId) {
+        if (!configured) return null;
+
+        try {
+            return await request('refill_status', { refill: refillId });
+        } catch (error) {
+            console.error(`${label} refill status error:`, error.message);
+            return null;
+        }
+    }
+
+    // Cancel orders. Returns { success, results: [{ order, cancel | error }] }.
+    async function cancel(orderIds) {
+        if (!configured) return { success: false, error: `${label} not configured` };
+
+        try {
+            const data = await request('cancel', { orders: [].concat(orderIds).join(',') });
+            if (Array.isArray(data)) return { success: true, results: data };
+            return { success: false, error: data.error || `Unknown ${label} error` };
+        } catch (error) {
+            console.error(`${label} cancel error:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // Returns { success, balance, currency } or { success: false, error }
+    async function balance() {
+        if (!configured) return { success: false, error: `${label} not configured` };
+
+        try {
+            const data = await request('balance');
+            if (data.balance !== undefined) {
+                return { success: true, balance: parseFloat(data.balance), currency: data.currency || 'USD' };
+            }
+            return { success: false, error: data.error || `Unknown ${label} error` };
+        } catch (error) {
+            console.error(`${label} balance error:`, error.message);
+            return { success: false, error: error.message };
+        }
+    }
+
+    // The panel's service list ([{ service, name, category, rate, min, max, refill, cancel }]), or null
+    async function services() {
+        if (!configured) return null;
+
+        try {
+            const data = await request('services');
+            return Array.isArray(data) ? data : null;
+        } catch (error) {
+            console.error(`${label} services error:`, error.message);
+            return null;
+        }
+    }
+
+    return {
+        name,
+        label,
+        configured,
+        add,
+        status,
+        multiStatus,
+        refill,
+        refillStatus,
+        cancel,
+        balance,
+        services
+    };
+}
+
+module.exports = { createSmmPanelProvider };
@@ -0,0 +1,76 @@
+// =====================================================
+// ORDER REFILLS - Refill requests sent to the supplier
+// =====================================================
+// One row per refill request for an order (or one of its cart items).
+// Requests the supplier refused are kept too, so the history is complete.
+const { getDb } = require('./db');
+
+// Refills still waiting on the supplier
+const OPEN_STATUSES = ['pending', 'in_progress'];
+
+function toRefill(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        orderId: row.order_id,
+        itemId: row.item_id,
+        provider: row.provider,
+        japOrderId: row.jap_order_id,
+        refillId: row.refill_id,
+        status: row.status,
+        requestedBy: row.requested_by,
+        lastError: row.last_error,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function getRefill(id) {
+    return toRefill(getDb().prepare('SELECT * FROM order_refills WHERE id = ?').get(id));
+}
+
+function createRefill({ orderId, itemId = null, provider, japOrderId, refillId = null, status, requestedBy, lastError = null }) {
+    const now = new Date().toISOString();
+    const result = getDb()
+        .prepare(`INSERT INTO order_refills (order_id, item_id, provider, jap_order_id, refill_id, status, requested_by, last_error, created_at, updated_at)
+                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+        .run(orderId, itemId, provider, String(japOrderId), refillId, status, requestedBy, lastError, now, now);
+    return getRefill(result.lastInsertRowid);
+}
+
+function updateRefillStatus(id, status, lastError = null) {
+    getDb()
+        .prepare('UPDATE order_refills SET status = ?, last_error = ?, updated_at = ? WHERE id = ?')
+        .run(status, lastError, new Date().toISOString(), id);
+    return getRefill(id);
+}
+
+function listRefills(orderId) {
+    return getDb()
+        .prepare('SELECT * FROM order_refills WHERE order_id = ? ORDER BY id')
+        .all(orderId)
+        .map(toRefill);
+}
+
+function listOpenRefills() {
+    return getDb()
+        .prepare(`SELECT * FROM order_refills WHERE status IN (${OPEN_STATUSES.map(() => '?').join(', ')}) AND refill_id IS NOT NULL ORDER BY id`)
+        .all(...OPEN_STATUSES)
+        .map(toRefill);
+}
+
+// Most recent accepted refill for an order (refused requests don't count)
+function getLastRefill(orderId) {
+    return toRefill(getDb()
+        .prepare(`SELECT * FROM order_refills WHERE order_id = ? AND refill_id IS NOT NULL ORDER BY id DESC LIMIT 1`)
+        .get(orderId));
+}
+
+module.exports = {
+    OPEN_STATUSES,
+    createRefill,
+    updateRefillStatus,
+    listRefills,
+    listOpenRefills,
+    getLastRefill
+};
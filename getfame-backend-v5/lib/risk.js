@@ -0,0 +1,121 @@
+// =====================================================
+// FRAUD SCREENING - Risk score for card orders
+// =====================================================
+// Orders are scored twice: at checkout (email, velocity, amount) and again
+// when Stripe confirms the payment (Radar risk level, card country). Each
+// signal adds points; the reasons are kept on the order for the admin.
+//
+// A checkout scoring RISK_BLOCK_SCORE or more is refused. A paid order
+// scoring RISK_REVIEW_SCORE or more is held in 'review' instead of being
+// sent to the supplier.
+const orderRepo = require('./orders');
+
+const {
+    RISK_REVIEW_SCORE = 50,
+    RISK_BLOCK_SCORE = 90,
+    RISK_HIGH_AMOUNT = 100,
+    RISK_VELOCITY_WINDOW_HOURS = 24,
+    RISK_MAX_ORDERS_PER_EMAIL = 3,
+    RISK_MAX_ORDERS_PER_IP = 5,
+    RISK_MAX_ORDERS_PER_LINK = 5,
+    RISK_DISPOSABLE_DOMAINS = ''
+} = process.env;
+
+const REVIEW_SCORE = Number(RISK_REVIEW_SCORE);
+const BLOCK_SCORE = Number(RISK_BLOCK_SCORE);
+
+// Common throwaway inbox providers (extend with RISK_DISPOSABLE_DOMAINS)
+const DISPOSABLE_DOMAINS = new Set([
+    '10minutemail.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', 'mailinator.com',
+    'maildrop.cc', 'yopmail.com', 'temp-mail.org', 'tempmail.com', 'tempmail.net', 'throwawaymail.com',
+    'trashmail.com', 'getnada.com', 'dispostable.com', 'fakeinbox.com', 'mintemail.com', 'mohmal.com',
+    'emailondeck.com', 'spamgourmet.com', 'mailnesia.com', 'tempinbox.com', 'burnermail.io', 'tmpmail.org',
+    ...RISK_DISPOSABLE_DOMAINS.split(',').map(d => d.trim().toLowerCase()).filter(Boolean)
+]);
+
+// Points per signal
+const WEIGHTS = {
+    disposableEmail: 40,
+    emailVelocity: 25,
+    ipVelocity: 25,
+    linkVelocity: 20,
+    highAmount: 20,
+    veryHighAmount: 35,
+    radarElevated: 30,
+    radarHighest: 60,
+    cardCountryMismatch: 25
+};
+
+function isDisposableEmail(email) {
+    const domain = String(email || '').split('@').pop().toLowerCase();
+    return DISPOSABLE_DOMAINS.has(domain);
+}
+
+function addSignal(result, weight, reason) {
+    result.score += weight;
+    result.reasons.push(reason);
+}
+
+// Score a checkout before payment. `links` are the links being ordered for.
+// Returns { score, reasons }.
+function scoreCheckout({ email, clientIp, amount, links = [] }) {
+    const result = { score: 0, reasons: [] };
+    const since = new Date(Date.now() - Number(RISK_VELOCITY_WINDOW_HOURS) * 60 * 60 * 1000).toISOString();
+    const windowLabel = `${RISK_VELOCITY_WINDOW_HOURS}h`;
+
+    if (isDisposableEmail(email)) {
+        addSignal(result, WEIGHTS.disposableEmail, 'Disposable email domain');
+    }
+
+    const recent = orderRepo.countRecentOrders({ email, clientIp }, since);
+    if (recent.email >= Number(RISK_MAX_ORDERS_PER_EMAIL)) {
+        addSignal(result, WEIGHTS.emailVelocity, `${recent.email} orders from this email in ${windowLabel}`);
+    }
+    if (recent.clientIp >= Number(RISK_MAX_ORDERS_PER_IP)) {
+        addSignal(result, WEIGHTS.ipVelocity, `${recent.clientIp} orders from this IP in ${windowLabel}`);
+    }
+
+    const busiestLink = Math.max(0, ...[...new Set(links)].map(link => orderRepo.countRecentOrders({ link }, since).link));
+    if (busiestLink >= Number(RISK_MAX_ORDERS_PER_LINK)) {
+        addSignal(result, WEIGHTS.linkVelocity, `${busiestLink} orders for the same link in ${windowLabel}`);
+    }
+
+    const highAmount = Number(RISK_HIGH_AMOUNT);
+    if (amount >= highAmount * 3) {
+        addSignal(result, WEIGHTS.veryHighAmount, `Order amount $${amount.toFixed(2)}`);
+    } else if (amount >= highAmount) {
+        addSignal(result, WEIGHTS.highAmount, `Order amount $${amount.toFixed(2)}`);
+    }
+
+    return result;
+}
+
+// Add the signals of the Stripe charge that paid for `order` to its
+// checkout score. Returns { score, reasons }.
+function scorePayment(order, charge) {
+    const result = { score: order.riskScore || 0, reasons: [...(order.riskReasons || [])] };
+    if (!charge) return result;
+
+    const riskLevel = charge.outcome?.risk_level;
+    if (riskLevel === 'highest') {
+        addSignal(result, WEIGHTS.radarHighest, 'Stripe Radar risk: highest');
+    } else if (riskLevel === 'elevated') {
+        addSignal(result, WEIGHTS.radarElevated, 'Stripe Radar risk: elevated');
+    }
+
+    const cardCountry = charge.payment_method_details?.card?.country;
+    const billingCountry = charge.billing_details?.address?.country;
+    if (cardCountry && billingCountry && cardCountry !== billingCountry) {
+        addSignal(result, WEIGHTS.cardCountryMismatch, `Card issued in ${cardCountry}, billing country ${billingCountry}`);
+    }
+
+    return result;
+}
+
+module.exports = {
+    REVIEW_SCORE,
+    BLOCK_SCORE,
+    isDisposableEmail,
+    scoreCheckout,
+    scorePayment
+};
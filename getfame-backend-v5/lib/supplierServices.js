@@ -0,0 +1,117 @@
+// =====================================================
+// SUPPLIER SERVICES - Local copy of each provider's service list
+// =====================================================
+// Synced from the panel's `services` action. Services that disappear from
+// the list are kept but marked inactive, so mappings pointing at them can
+// be reported as missing.
+const { getDb } = require('./db');
+
+function toService(row) {
+    if (!row) return null;
+    return {
+        provider: row.provider,
+        serviceId: row.service_id,
+        name: row.name,
+        category: row.category,
+        type: row.type,
+        rate: row.rate,
+        min: row.min_quantity,
+        max: row.max_quantity,
+        refill: !!row.refill,
+        cancel: !!row.cancel,
+        active: !!row.active,
+        syncedAt: row.synced_at
+    };
+}
+
+// Pull a provider's service list and store it. Returns { success, count, removed }.
+async function syncProvider(provider) {
+    const services = await provider.services();
+    if (!services) {
+        return { success: false, error: `Could not fetch ${provider.label} services` };
+    }
+
+    const db = getDb();
+    const now = new Date().toISOString();
+    const upsert = db.prepare(`
+        INSERT INTO supplier_services (provider, service_id, name, category, type, rate, min_quantity, max_quantity, refill, cancel, active, synced_at)
+        VALUES (@provider, @serviceId, @name, @category, @type, @rate, @min, @max, @refill, @cancel, 1, @now)
+        ON CONFLICT(provider, service_id) DO UPDATE SET
+            name = @name, category = @category, type = @type, rate = @rate,
+            min_quantity = @min, max_quantity = @max, refill = @refill, cancel = @cancel,
+            active = 1, synced_at = @now`);
+
+    let removed = 0;
+    db.transaction(() => {
+        for (const service of services) {
+            if (!service.service) continue;
+            upsert.run({
+                provider: provider.name,
+                serviceId: String(service.service),
+                name: service.name || null,
+                category: service.category || null,
+                type: service.type || null,
+                rate: service.rate != null ? parseFloat(service.rate) : null,
+                min: service.min != null ? parseInt(service.min) : null,
+                max: service.max != null ? parseInt(service.max) : null,
+                refill: service.refill ? 1 : 0,
+                cancel: service.cancel ? 1 : 0,
+                now
+            });
+        }
+
+        removed = db
+            .prepare('UPDATE supplier_services SET active = 0 WHERE provider = ? AND synced_at < ? AND active = 1')
+            .run(provider.name, now)
+            .changes;
+    })();
+
+    console.log(`Synced ${services.length} ${provider.label} services (${removed} removed)`);
+    return { success: true, count: services.length, removed };
+}
+
+function getService(provider, serviceId) {
+    return toService(getDb()
+        .prepare('SELECT * FROM supplier_services WHERE provider = ? AND service_id = ?')
+        .get(provider, String(serviceId)));
+}
+
+function listServices({ provider, category, activeOnly = false, limit } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (provider) {
+        conditions.push('provider = ?');
+        params.push(provider);
+    }
+    if (category) {
+        conditions.push('category LIKE ?');
+        params.push(`%${category}%`);
+    }
+    if (activeOnly) conditions.push('active = 1');
+
+    let sql = 'SELECT * FROM supplier_services';
+    if (conditions.length) sql += ` WHERE ${conditions.join(' AND ')}`;
+    // Numeric IDs in number order, any others after them
+    sql += " ORDER BY provider, service_id GLOB '*[^0-9]*', CAST(service_id AS INTEGER), service_id";
+    if (limit) {
+        sql += ' LIMIT ?';
+        params.push(limit);
+    }
+
+    return getDb().prepare(sql).all(...params).map(toService);
+}
+
+// When a provider's list was last synced, or null if never
+function getLastSync(provider) {
+    return getDb()
+        .prepare('SELECT MAX(synced_at) AS syncedAt FROM supplier_services WHERE provider = ?')
+        .get(provider).syncedAt;
+}
+
+module.exports = {
+    syncProvider,
+    getService,
+    listServices,
+    getLastSync
+};
@@ -0,0 +1,83 @@
+// =====================================================
+// TELEGRAM BOT API - Messages, inline buttons and updates
+// =====================================================
+// Thin client for the calls the notifications and the admin bot need.
+// TELEGRAM_API_URL can point at a local Bot API server.
+const {
+    TELEGRAM_BOT_TOKEN,
+    TELEGRAM_API_URL = 'https://api.telegram.org'
+} = process.env;
+
+function isConfigured() {
+    return !!TELEGRAM_BOT_TOKEN;
+}
+
+// Call a Bot API method. Returns the `result`, or throws with Telegram's
+// error description.
+async function callApi(method, params = {}) {
+    const response = await fetch(`${TELEGRAM_API_URL}/bot${TELEGRAM_BOT_TOKEN}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params)
+    });
+    const data = await response.json();
+
+    if (!data.ok) {
+        throw new Error(data.description || `Telegram ${method} failed (${response.status})`);
+    }
+    return data.result;
+}
+
+// `buttons` is an array of rows of { text, data } inline buttons
+function inlineKeyboard(buttons) {
+    return {
+        inline_keyboard: buttons.map(row => row.map(button => ({ text: button.text, callback_data: button.data })))
+    };
+}
+
+function sendMessage(chatId, text, { buttons, replyTo } = {}) {
+    return callApi('sendMessage', {
+        chat_id: chatId,
+        text,
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        ...(buttons?.length ? { reply_markup: inlineKeyboard(buttons) } : {}),
+        ...(replyTo ? { reply_to_message_id: replyTo } : {})
+    });
+}
+
+// Replace (or with no buttons, remove) the inline buttons of a message
+function editButtons(chatId, messageId, buttons = []) {
+    return callApi('editMessageReplyMarkup', {
+        chat_id: chatId,
+        message_id: messageId,
+        reply_markup: inlineKeyboard(buttons)
+    });
+}
+
+// Stop the spinner on a pressed button, optionally with a short toast
+function answerCallback(callbackQueryId, text) {
+    return callApi('answerCallbackQuery', { callback_query_id: callbackQueryId, ...(text ? { text } : {}) });
+}
+
+function getUpdates({ offset, timeout }) {
+    return callApi('getUpdates', { offset, timeout, allowed_updates: ['message', 'callback_query'] });
+}
+
+function setWebhook(url, secretToken) {
+    return callApi('setWebhook', { url, secret_token: secretToken, allowed_updates: ['message', 'callback_query'] });
+}
+
+function deleteWebhook() {
+    return callApi('deleteWebhook');
+}
+
+module.exports = {
+    isConfigured,
+    sendMessage,
+    editButtons,
+    answerCallback,
+    getUpdates,
+    setWebhook,
+    deleteWebhook
+};
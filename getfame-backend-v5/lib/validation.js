@@ -0,0 +1,144 @@
+// =====================================================
+// REQUEST VALIDATION - Declarative schemas with typed coercion
+// =====================================================
+// A schema maps field names to specs:
+//   { type, required, default, min, max, values, pattern, message, items, fields }
+// Types: string, email, integer, number, boolean, date, array, object.
+// Query strings arrive as text, so numbers and booleans are coerced. Unknown
+// fields are dropped, strings are trimmed and empty strings count as missing.
+//
+// Every failure answers 400 with { error, fields: { path: message } }, where
+// `error` repeats the first field message for clients that only show one.
+// Payment provider webhooks are not validated here - they are authenticated
+// by signature and parsed by their handlers.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function checkRange(spec, size, path, unit) {
+    if (spec.min !== undefined && size < spec.min) return `${path} must be at least ${spec.min}${unit}`;
+    if (spec.max !== undefined && size > spec.max) return `${path} must be at most ${spec.max}${unit}`;
+    return null;
+}
+
+// Coerce one value. Returns { value } or { error }.
+function coerce(spec, raw, path, errors) {
+    switch (spec.type) {
+        case 'string':
+        case 'email': {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${path} must be a string` };
+            const value = String(raw).trim();
+            if (spec.type === 'email' && (!EMAIL_PATTERN.test(value) || value.length > 254)) {
+                return { error: `${path} must be a valid email address` };
+            }
+            if (spec.values && !spec.values.includes(value)) {
+                return { error: `${path} must be one of: ${spec.values.join(', ')}` };
+            }
+            if (spec.pattern && !spec.pattern.test(value)) {
+                return { error: spec.message || `${path} is not in the expected format` };
+            }
+            const range = checkRange(spec, value.length, path, ' characters');
+            return range ? { error: range } : { value };
+        }
+
+        case 'integer':
+        case 'number': {
+            const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${path} must be a number` };
+            if (spec.type === 'integer' && !Number.isInteger(value)) return { error: `${path} must be a whole number` };
+            const range = checkRange(spec, value, path, '');
+            return range ? { error: range } : { value };
+        }
+
+        case 'boolean': {
+            if (raw === true || raw === 'true' || raw === '1' || raw === 1) return { value: true };
+            if (raw === false || raw === 'false' || raw === '0' || raw === 0) return { value: false };
+            return { error: `${path} must be true or false` };
+        }
+
+        case 'date': {
+            if (typeof raw !== 'string' || isNaN(Date.parse(raw))) return { error: `${path} must be a valid timestamp` };
+            return { value: new Date(raw).toISOString() };
+        }
+
+        case 'array': {
+            if (!Array.isArray(raw)) return { error: `${path} must be a list` };
+            const range = checkRange(spec, raw.length, path, ' entries');
+            if (range) return { error: range };
+            return { value: raw.map((entry, index) => validateField(spec.items, entry, `${path}[${index}]`, errors)) };
+        }
+
+        case 'object': {
+            if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: `${path} must be an object` };
+            return { value: validateFields(spec.fields, raw, `${path}.`, errors) };
+        }
+
+        default:
+            throw new Error(`Unknown schema type: ${spec.type}`);
+    }
+}
+
+function validateField(spec, raw, path, errors) {
+    if (isMissing(raw)) {
+        if (spec.required) errors[path] = `${path} is required`;
+        return spec.default;
+    }
+
+    const result = coerce(spec, raw, path, errors);
+    if (result.error) {
+        errors[path] = result.error;
+        return undefined;
+    }
+    return result.value;
+}
+
+function validateFields(schema, input, prefix, errors) {
+    const value = {};
+    for (const [name, spec] of Object.entries(schema)) {
+        const fieldValue = validateField(spec, input?.[name], `${prefix}${name}`, errors);
+        if (fieldValue !== undefined) value[name] = fieldValue;
+    }
+    return value;
+}
+
+// Validate `input` against a schema. Returns { value, errors } where errors
+// is null when everything passed.
+function validateSchema(schema, input) {
+    const errors = {};
+    const value = validateFields(schema, input || {}, '', errors);
+    return { value, errors: Object.keys(errors).length ? errors : null };
+}
+
+function sendValidationError(res, fields) {
+    return res.status(400).json({ error: Object.values(fields)[0], fields });
+}
+
+// Express middleware validating req.body/req.query/req.params. On success the
+// coerced values replace the originals. `check(req)` may add cross-field
+// errors ({ path: message }) once every field passed.
+function validate({ body, query, params, check } = {}) {
+    return (req, res, next) => {
+        const fields = {};
+
+        for (const [source, schema] of Object.entries({ body, query, params })) {
+            if (!schema) continue;
+            const { value, errors } = validateSchema(schema, req[source]);
+            if (errors) Object.assign(fields, errors);
+            else if (source === 'params') Object.assign(req.params, value);
+            else req[source] = value;
+        }
+
+        if (!Object.keys(fields).length && check) Object.assign(fields, check(req) || {});
+        if (Object.keys(fields).length) return sendValidationError(res, fields);
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    validateSchema,
+    sendValidationError
+};
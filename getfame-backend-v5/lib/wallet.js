@@ -0,0 +1,350 @@
+// =====================================================
+// CUSTOMER WALLET - Prepaid balance on a double-entry ledger
+// =====================================================
+// Every money movement is one wallet_transactions row with entries on two
+// accounts that sum to zero. A balance is the sum of an account's entries;
+// no running total is stored that could drift. Both tables are append-only.
+//
+// Accounts:
+//   customer:<id>   what we owe the customer (their wallet balance)
+//   topup:<method>  money received for top-ups (stripe, crypto)
+//   sales           orders paid from a wallet
+//   credits         undelivered orders credited back to a wallet
+//
+// A refunded or charged-back card top-up is reversed from the customer's
+// account, even if that takes the balance below zero (which blocks spending).
+//
+// Amounts are integer cents. A transaction `reference` is unique, so webhook
+// replays and poller re-runs cannot post the same movement twice.
+const { getDb } = require('./db');
+
+function customerAccount(customerId) {
+    return `customer:${customerId}`;
+}
+
+function getBalance(customerId) {
+    return getDb()
+        .prepare('SELECT COALESCE(SUM(amount_cents), 0) AS balance FROM wallet_entries WHERE account = ?')
+        .get(customerAccount(customerId)).balance;
+}
+
+// Post a balanced transaction. Returns its id, or null when `reference`
+// was already posted.
+function postTransaction({ type, customerId, orderId = null, reference = null, description = null, entries }) {
+    if (entries.reduce((sum, entry) => sum + entry.amountCents, 0) !== 0) {
+        throw new Error('Unbalanced wallet transaction');
+    }
+
+    const db = getDb();
+    return db.transaction(() => {
+        const { changes, lastInsertRowid } = db
+            .prepare(`INSERT OR IGNORE INTO wallet_transactions (type, customer_id, order_id, reference, description, created_at)
+                      VALUES (?, ?, ?, ?, ?, ?)`)
+            .run(type, customerId, orderId, reference, description, new Date().toISOString());
+        if (!changes) return null;
+
+        const insert = db.prepare('INSERT INTO wallet_entries (transaction_id, account, amount_cents) VALUES (?, ?, ?)');
+        for (const entry of entries) insert.run(lastInsertRowid, entry.account, entry.amountCents);
+        return lastInsertRowid;
+    })();
+}
+
+// The customer's side of their transactions, newest first
+function listTransactions(customerId, { limit = 50 } = {}) {
+    return getDb()
+        .prepare(`SELECT t.id, t.type, t.description, t.created_at, e.amount_cents, o.order_id
+                  FROM wallet_transactions t
+                  JOIN wallet_entries e ON e.transaction_id = t.id AND e.account = ?
+                  LEFT JOIN orders o ON o.id = t.order_id
+                  ORDER BY t.id DESC LIMIT ?`)
+        .all(customerAccount(customerId), limit)
+        .map(row => ({
+            id: row.id,
+            type: row.type,
+            amount: row.amount_cents / 100,
+            orderId: row.order_id,
+            description: row.description,
+            createdAt: row.created_at
+        }));
+}
+
+// Balance of every non-customer account plus the total owed to customers.
+// All of them together always sum to zero.
+function getLedgerTotals() {
+    const totals = { customers: 0 };
+    const rows = getDb()
+        .prepare('SELECT account, SUM(amount_cents) AS total FROM wallet_entries GROUP BY account')
+        .all();
+    for (const { account, total } of rows) {
+        const key = account.startsWith('customer:') ? 'customers' : account;
+        totals[key] = (totals[key] || 0) + total;
+    }
+
+    return Object.fromEntries(Object.entries(totals).map(([key, cents]) => [key, cents / 100]));
+}
+
+// =====================================================
+// TOP-UPS
+// =====================================================
+function toTopup(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        topupId: row.topup_id,
+        customerId: row.customer_id,
+        amount: row.amount_cents / 100,
+        amountCents: row.amount_cents,
+        paymentMethod: row.payment_method,
+        stripeSessionId: row.stripe_session_id,
+        invoiceId: row.invoice_id,
+        status: row.status,
+        paidAmount: row.paid_amount,
+        paidCurrency: row.paid_currency,
+        credited: row.credited_cents != null ? row.credited_cents / 100 : null,
+        creditedCents: row.credited_cents,
+        reversedCents: row.reversed_cents,
+        stripePaymentIntentId: row.stripe_payment_intent_id,
+        clientIp: row.client_ip,
+        riskScore: row.risk_score,
+        riskReasons: row.risk_reasons ? JSON.parse(row.risk_reasons) : [],
+        createdAt: row.created_at,
+        paidAt: row.paid_at
+    };
+}
+
+function getTopupRow(id) {
+    return getDb().prepare('SELECT * FROM wallet_topups WHERE id = ?').get(id);
+}
+
+function createTopup({ topupId, customerId, amountCents, paymentMethod, stripeSessionId = null, invoiceId = null, clientIp = null, riskScore = null, riskReasons = [] }) {
+    const { lastInsertRowid } = getDb()
+        .prepare(`INSERT INTO wallet_topups (topup_id, customer_id, amount_cents, payment_method, stripe_session_id, invoice_id, status, client_ip, risk_score, risk_reasons, created_at)
+                  VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?)`)
+        .run(topupId, customerId, amountCents, paymentMethod, stripeSessionId, invoiceId ? String(invoiceId) : null,
+            clientIp, riskScore, riskReasons.length ? JSON.stringify(riskReasons) : null, new Date().toISOString());
+    return toTopup(getTopupRow(lastInsertRowid));
+}
+
+function getTopup(id) {
+    return toTopup(getTopupRow(id));
+}
+
+// Newest first, optionally only one status
+function listTopups({ status, limit = 100 } = {}) {
+    const rows = status
+        ? getDb().prepare('SELECT * FROM wallet_topups WHERE status = ? ORDER BY id DESC LIMIT ?').all(status, limit)
+        : getDb().prepare('SELECT * FROM wallet_topups ORDER BY id DESC LIMIT ?').all(limit);
+    return rows.map(toTopup);
+}
+
+function getTopupByPaymentIntent(paymentIntentId) {
+    return toTopup(getDb().prepare('SELECT * FROM wallet_topups WHERE stripe_payment_intent_id = ?').get(paymentIntentId));
+}
+
+function getTopupByTopupId(topupId) {
+    return toTopup(getDb().prepare('SELECT * FROM wallet_topups WHERE topup_id = ?').get(topupId));
+}
+
+function getTopupByStripeSession(sessionId) {
+    return toTopup(getDb().prepare('SELECT * FROM wallet_topups WHERE stripe_session_id = ?').get(sessionId));
+}
+
+// Payment details of a card top-up: { stripePaymentIntentId, riskScore, riskReasons }
+function paymentColumns({ stripePaymentIntentId, riskScore, riskReasons } = {}) {
+    return {
+        payment_intent: stripePaymentIntentId ?? null,
+        risk_score: riskScore ?? null,
+        risk_reasons: riskReasons ? JSON.stringify(riskReasons) : null
+    };
+}
+
+// Hold a paid card top-up that failed fraud screening, uncredited, until an
+// admin approves or rejects it. Returns the held top-up, or null.
+function holdTopup(topup, payment) {
+    const { changes } = getDb()
+        .prepare(`UPDATE wallet_topups SET status = 'review',
+                      stripe_payment_intent_id = COALESCE(@payment_intent, stripe_payment_intent_id),
+                      risk_score = COALESCE(@risk_score, risk_score), risk_reasons = COALESCE(@risk_reasons, risk_reasons)
+                  WHERE id = @id AND status = 'pending'`)
+        .run({ ...paymentColumns(payment), id: topup.id });
+    return changes ? toTopup(getTopupRow(topup.id)) : null;
+}
+
+// Credit a paid card top-up. Only the first call for a top-up does anything;
+// returns the paid top-up, or null. `from: 'review'` credits a held top-up
+// an admin approved.
+function completeTopup(topup, { amountCents = topup.amountCents, paidAmount = null, paidCurrency = null, from = 'pending', ...payment } = {}) {
+    const db = getDb();
+    return db.transaction(() => {
+        const now = new Date().toISOString();
+        const { changes } = db
+            .prepare(`UPDATE wallet_topups SET status = 'paid', paid_at = @now, paid_amount = @paid_amount, paid_currency = @paid_currency,
+                          credited_cents = @credited, stripe_payment_intent_id = COALESCE(@payment_intent, stripe_payment_intent_id),
+                          risk_score = COALESCE(@risk_score, risk_score), risk_reasons = COALESCE(@risk_reasons, risk_reasons)
+                      WHERE id = @id AND status = @from`)
+            .run({
+                ...paymentColumns(payment),
+                now,
+                paid_amount: paidAmount,
+                paid_currency: paidCurrency,
+                credited: amountCents,
+                id: topup.id,
+                from
+            });
+        if (!changes) return null;
+
+        const partial = amountCents < topup.amountCents;
+        postTransaction({
+            type: 'topup',
+            customerId: topup.customerId,
+            reference: `topup:${topup.topupId}`,
+            description: `Top-up ${topup.topupId}${partial ? ' (partial payment)' : ''}`,
+            entries: [
+                { account: customerAccount(topup.customerId), amountCents },
+                { account: `topup:${topup.paymentMethod}`, amountCents: -amountCents }
+            ]
+        });
+        return toTopup(getTopupRow(topup.id));
+    })();
+}
+
+// Credit a crypto top-up up to `amountCents` in total (what has arrived so
+// far, never more than was requested). NOWPayments reports a partial payment
+// again each time more funds arrive, so each call only credits what was not
+// credited before, even after the top-up expired. Returns { topup, amountCents }
+// with the newly credited amount, or null when there is nothing new.
+function creditTopupPayment(topup, { amountCents, paidAmount = null, paidCurrency = null }) {
+    const db = getDb();
+    return db.transaction(() => {
+        const current = getTopupRow(topup.id);
+        const total = Math.min(amountCents, current.amount_cents);
+        const newCents = total - (current.credited_cents || 0);
+        if (!['pending', 'expired', 'paid'].includes(current.status) || newCents <= 0) return null;
+
+        db.prepare(`UPDATE wallet_topups SET status = 'paid', paid_at = COALESCE(paid_at, ?), paid_amount = ?, paid_currency = ?, credited_cents = ?
+                    WHERE id = ?`)
+            .run(new Date().toISOString(), paidAmount, paidCurrency, total, current.id);
+
+        postTransaction({
+            type: 'topup',
+            customerId: current.customer_id,
+            reference: `topup:${current.topup_id}:${total}`,
+            description: `Top-up ${current.topup_id}${total < current.amount_cents ? ' (partial payment)' : ''}`,
+            entries: [
+                { account: customerAccount(current.customer_id), amountCents: newCents },
+                { account: `topup:${current.payment_method}`, amountCents: -newCents }
+            ]
+        });
+        return { topup: toTopup(getTopupRow(current.id)), amountCents: newCents };
+    })();
+}
+
+function expireTopup(topup) {
+    return getDb()
+        .prepare(`UPDATE wallet_topups SET status = 'expired' WHERE id = ? AND status = 'pending'`)
+        .run(topup.id).changes > 0;
+}
+
+// Reject a held top-up (the card is refunded separately). Returns false if
+// it was not held.
+function rejectTopup(topup) {
+    return getDb()
+        .prepare(`UPDATE wallet_topups SET status = 'rejected' WHERE id = ? AND status = 'review'`)
+        .run(topup.id).changes > 0;
+}
+
+// Set a top-up's status after a refund or chargeback and take back from the
+// customer's balance whatever of its credit was returned to the card.
+// `reversedCents` is the new total taken back (capped at what was credited);
+// lowering it, e.g. after a won chargeback, gives the difference back.
+// `reason` tells the ledger rows apart. Returns the updated top-up.
+function reverseTopup(topup, reversedCents, { status, reason }) {
+    const db = getDb();
+    return db.transaction(() => {
+        const current = toTopup(getTopupRow(topup.id));
+        const target = Math.max(0, Math.min(reversedCents, current.creditedCents || 0));
+        const delta = target - current.reversedCents;
+
+        if (delta) {
+            postTransaction({
+                type: delta > 0 ? 'reversal' : 'reinstatement',
+                customerId: current.customerId,
+                reference: `topup:${current.topupId}:${reason}:${target}`,
+                description: `${delta > 0 ? 'Reversal of' : 'Reinstated'} top-up ${current.topupId} (${reason})`,
+                entries: [
+                    { account: customerAccount(current.customerId), amountCents: -delta },
+                    { account: `topup:${current.paymentMethod}`, amountCents: delta }
+                ]
+            });
+        }
+
+        db.prepare('UPDATE wallet_topups SET status = ?, reversed_cents = ? WHERE id = ?').run(status, target, current.id);
+        return toTopup(getTopupRow(current.id));
+    })();
+}
+
+// =====================================================
+// SPENDING & CREDITS
+// =====================================================
+// Pay for an order from the balance. `createOrder()` runs inside the same
+// database transaction and must return the paid order, so an order only
+// exists if it was paid for. Returns { order } or { error, balance }.
+function payForOrder(customerId, amountCents, createOrder) {
+    const db = getDb();
+    return db.transaction(() => {
+        const balance = getBalance(customerId);
+        if (balance < amountCents) {
+            return { error: 'Insufficient wallet balance', balance: balance / 100 };
+        }
+
+        const order = createOrder();
+        postTransaction({
+            type: 'payment',
+            customerId,
+            orderId: order.id,
+            reference: `order:${order.id}:payment`,
+            description: `Order ${order.orderId}`,
+            entries: [
+                { account: customerAccount(customerId), amountCents: -amountCents },
+                { account: 'sales', amountCents }
+            ]
+        });
+        return { order };
+    })();
+}
+
+// Credit part of an order back to a wallet. Returns false when `reference`
+// was already posted.
+function creditOrder(customerId, order, amountCents, { reference = null, description = null } = {}) {
+    return postTransaction({
+        type: 'credit',
+        customerId,
+        orderId: order.id,
+        reference,
+        description: description || `Credit for order ${order.orderId}`,
+        entries: [
+            { account: customerAccount(customerId), amountCents },
+            { account: 'credits', amountCents: -amountCents }
+        ]
+    }) !== null;
+}
+
+module.exports = {
+    getBalance,
+    listTransactions,
+    getLedgerTotals,
+    createTopup,
+    getTopup,
+    listTopups,
+    getTopupByTopupId,
+    getTopupByStripeSession,
+    getTopupByPaymentIntent,
+    holdTopup,
+    completeTopup,
+    creditTopupPayment,
+    expireTopup,
+    rejectTopup,
+    reverseTopup,
+    payForOrder,
+    creditOrder
+};
@@ -0,0 +1,103 @@
+// =====================================================
+// WEBHOOK EVENT LEDGER - One row per provider event ID
+// =====================================================
+const { getDb } = require('./db');
+
+// A claim not finished within this time is assumed lost (the process died
+// mid-handler) and the next delivery of the event may claim it again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+function toEvent(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        provider: row.provider,
+        eventId: row.event_id,
+        type: row.type,
+        payload: JSON.parse(row.payload),
+        status: row.status,
+        attempts: row.attempts,
+        lastError: row.last_error,
+        receivedAt: row.received_at,
+        claimedAt: row.claimed_at,
+        processedAt: row.processed_at
+    };
+}
+
+// Record an incoming event and claim it for processing. Returns the event if
+// the caller should process it, or null for a duplicate that was already
+// handled (or is being handled right now). Failed events, and claims older
+// than PROCESSING_TIMEOUT_MS, can be claimed again so provider retries still
+// get through.
+function claimEvent(provider, eventId, type, payload) {
+    const db = getDb();
+
+    return db.transaction(() => {
+        const now = new Date();
+        const inserted = db
+            .prepare(`INSERT OR IGNORE INTO webhook_events (provider, event_id, type, payload, received_at, claimed_at)
+                      VALUES (?, ?, ?, ?, ?, ?)`)
+            .run(provider, String(eventId), type || null, JSON.stringify(payload), now.toISOString(), now.toISOString());
+
+        if (!inserted.changes) {
+            const staleBefore = new Date(now.getTime() - PROCESSING_TIMEOUT_MS).toISOString();
+            const retried = db
+                .prepare(`UPDATE webhook_events SET status = 'received', attempts = attempts + 1, claimed_at = ?
+                          WHERE provider = ? AND event_id = ?
+                            AND (status = 'failed' OR (status = 'received' AND (claimed_at IS NULL OR claimed_at < ?)))`)
+                .run(now.toISOString(), provider, String(eventId), staleBefore);
+            if (!retried.changes) return null;
+        }
+
+        return toEvent(db.prepare('SELECT * FROM webhook_events WHERE provider = ? AND event_id = ?').get(provider, String(eventId)));
+    })();
+}
+
+function markEventProcessed(id) {
+    getDb()
+        .prepare(`UPDATE webhook_events SET status = 'processed', last_error = NULL, processed_at = ? WHERE id = ?`)
+        .run(new Date().toISOString(), id);
+}
+
+function markEventFailed(id, error) {
+    getDb()
+        .prepare(`UPDATE webhook_events SET status = 'failed', last_error = ? WHERE id = ?`)
+        .run(error, id);
+}
+
+function getEvent(id) {
+    return toEvent(getDb().prepare('SELECT * FROM webhook_events WHERE id = ?').get(id));
+}
+
+// Mark a stored event as being replayed by an admin
+function markEventReplayed(id) {
+    getDb()
+        .prepare(`UPDATE webhook_events SET status = 'received', attempts = attempts + 1, claimed_at = ? WHERE id = ?`)
+        .run(new Date().toISOString(), id);
+}
+
+// Newest first, optionally filtered by provider/status
+function listEvents({ provider, status, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (provider) {
+        where.push('provider = ?');
+        params.push(provider);
+    }
+    if (status) {
+        where.push('status = ?');
+        params.push(status);
+    }
+
+    const sql = `SELECT * FROM webhook_events ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY id DESC LIMIT ?`;
+    return getDb().prepare(sql).all(...params, limit).map(toEvent);
+}
+
+module.exports = {
+    claimEvent,
+    markEventProcessed,
+    markEventFailed,
+    markEventReplayed,
+    getEvent,
+    listEvents
+};
@@ -4,9 +4,12 @@
 // Security Features:
 // - All secrets in environment variables
 // - JAP service IDs stored server-side (not exposed to frontend)
+// - Prices computed server-side from the catalog (client amounts ignored)
 // - Webhook signature verification
-// - Input validation & sanitization
+// - Schema-based input validation & sanitization (lib/validation.js)
 // - Rate limiting
+// - Fraud screening of card orders (lib/risk.js)
+// - Admin accounts with scrypt hashes, expiring sessions, TOTP and roles
 // =====================================================
 
 require('dotenv').config();
@@ -16,8 +19,25 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const Stripe = require('stripe');
 const crypto = require('crypto');
-const fs = require('fs');
 const path = require('path');
+const orderRepo = require('./lib/orders');
+const email = require('./lib/email');
+const webhookEvents = require('./lib/webhookEvents');
+const fulfillmentQueue = require('./lib/fulfillmentQueue');
+const admins = require('./lib/admins');
+const audit = require('./lib/audit');
+const providers = require('./lib/providers');
+const supplierServices = require('./lib/supplierServices');
+const refills = require('./lib/refills');
+const promoCodes = require('./lib/promoCodes');
+const customers = require('./lib/customers');
+const wallet = require('./lib/wallet');
+const risk = require('./lib/risk');
+const telegram = require('./lib/telegram');
+const orderEvents = require('./lib/orderEvents');
+const outboundWebhooks = require('./lib/outboundWebhooks');
+const { validateLink } = require('./lib/links');
+const { validate, sendValidationError } = require('./lib/validation');
 
 const app = express();
 
@@ -28,21 +48,47 @@ const {
     PORT = 3000,
     STRIPE_SECRET_KEY,
     STRIPE_WEBHOOK_SECRET,
+    STRIPE_API_URL,
     NOWPAYMENTS_API_KEY,
     NOWPAYMENTS_IPN_SECRET,
-    JAP_API_KEY,
-    JAP_API_URL = 'https://justanotherpanel.com/api/v2',
+    NOWPAYMENTS_UNDERPAY_TOLERANCE_PERCENT = 1,
+    COINBASE_COMMERCE_API_KEY,
+    COINBASE_WEBHOOK_SECRET,
+    JAP_POLL_INTERVAL_MINUTES = 5,
+    JAP_RETRY_MAX_ATTEMPTS = 8,
+    SUPPLIER_SYNC_INTERVAL_HOURS = 6,
+    JAP_BALANCE_CHECK_MINUTES = 10,
+    JAP_BALANCE_ALERT_THRESHOLDS = '50,20',
+    JAP_BALANCE_FLOOR = 5,
+    JAP_LOW_BALANCE_REFUSE_CHECKOUT = 'false',
+    REFILL_WINDOW_DAYS = 30,
+    REFILL_COOLDOWN_HOURS = 24,
+    STRIPE_AUTO_PARTIAL_REFUNDS = 'true',
+    WALLET_AUTO_CREDIT = 'false',
+    WALLET_MIN_TOPUP = 5,
+    WALLET_MAX_TOPUP = 500,
     TELEGRAM_BOT_TOKEN,
     TELEGRAM_CHAT_ID,
+    TELEGRAM_ALLOWED_IDS = '',
+    TELEGRAM_BOT_MODE = 'off',
+    TELEGRAM_WEBHOOK_SECRET,
     FRONTEND_URL = 'https://getfame.net',
+    BACKEND_URL = 'https://getfame-backend.onrender.com',
+    TRUST_PROXY = '1',
     NODE_ENV = 'development',
-    ADMIN_PASSWORD_HASH = '8c6976e5b5410415bde908bd4dee15dfb167a9c873fc4bb8a81f6f2ab448a918',
-    RESEND_API_KEY,
-    EMAIL_FROM = 'GetFame <noreply@getfame.net>'
+    ADMIN_USERNAME = 'admin',
+    ADMIN_PASSWORD,
+    RESEND_API_KEY
 } = process.env;
 
-// Initialize Stripe
-const stripe = STRIPE_SECRET_KEY ? new Stripe(STRIPE_SECRET_KEY) : null;
+// Initialize Stripe. STRIPE_API_URL can point at a local Stripe mock.
+function stripeApiOptions(url) {
+    if (!url) return {};
+    const { protocol, hostname, port } = new URL(url);
+    return { protocol: protocol.replace(':', ''), host: hostname, port: Number(port) || (protocol === 'http:' ? 80 : 443) };
+}
+
+const stripe = STRIPE_SECRET_KEY ? new Stripe(STRIPE_SECRET_KEY, stripeApiOptions(STRIPE_API_URL)) : null;
 
 // =====================================================
 // JAP SERVICE ID MAPPING (SECURE - Server-side only)
@@ -95,152 +141,365 @@ const JAP_SERVICE_IDS = {
     }
 };
 
-// Get JAP service ID from platform/service/quality
-function getJapServiceId(platform, service, quality = 'standard') {
+// Resolve platform/service into a [group, service] key of JAP_SERVICE_IDS
+function resolveServiceKey(platform, service) {
     // Normalize inputs
     platform = (platform || '').toLowerCase();
     service = (service || '').toLowerCase();
-    quality = (quality || 'standard').toLowerCase();
 
     // Check for trend services
     if (service.startsWith('trend-') || platform === 'trends') {
-        const trendIds = JAP_SERVICE_IDS.trends[service];
-        return trendIds ? (trendIds[quality] || trendIds.standard) : null;
+        return ['trends', service];
     }
 
     // Check for crypto services
     if (platform === 'crypto' || service.includes('cmc') || service.includes('opensea') || service.includes('watchlist')) {
-        const cryptoIds = JAP_SERVICE_IDS.crypto[service];
-        return cryptoIds ? (cryptoIds[quality] || cryptoIds.standard) : null;
+        return ['crypto', service];
     }
 
     // Regular social media services
-    const platformIds = JAP_SERVICE_IDS[platform];
-    if (!platformIds) return null;
+    return [platform, service];
+}
 
-    const serviceIds = platformIds[service];
+// Per-quality service IDs: the quality's own, else the standard one
+function lookupServiceId(serviceIds, quality) {
     if (!serviceIds) return null;
+    return serviceIds[quality] || serviceIds.standard || null;
+}
+
+// Supplier routes for platform/service/quality, primary first. Each route is
+// { provider, service }. JAP_SERVICE_IDS entries are JAP service IDs unless
+// written as { provider, service } to route an entry to another panel; the
+// fallback comes from the catalog entry's `fallback` (see PRICE_CATALOG).
+function getServiceRoutes(platform, service, quality = 'standard') {
+    quality = (quality || 'standard').toLowerCase();
+    const [group, key] = resolveServiceKey(platform, service);
+
+    const routes = [];
+    const primary = lookupServiceId(JAP_SERVICE_IDS[group]?.[key], quality);
+    if (primary) {
+        routes.push(typeof primary === 'object' ? primary : { provider: providers.DEFAULT_PROVIDER, service: primary });
+    }
+
+    const fallback = providers.FALLBACK_PROVIDER && lookupServiceId(PRICE_CATALOG[group]?.[key]?.fallback, quality);
+    if (fallback) {
+        routes.push(typeof fallback === 'object' ? fallback : { provider: providers.FALLBACK_PROVIDER, service: fallback });
+    }
 
-    return serviceIds[quality] || serviceIds.standard;
+    return routes;
 }
 
 // =====================================================
-// JAP API INTEGRATION
+// PRICE CATALOG (SECURE - prices are computed server-side)
 // =====================================================
-async function placeJapOrder(serviceId, link, quantity) {
-    if (!JAP_API_KEY) {
-        console.error('JAP API key not configured');
-        return { success: false, error: 'JAP not configured' };
+// Prices are in USD per `per` units. Trends are sold as single packages.
+// An entry may add `fallback`: service IDs on the fallback SMM panel per
+// quality, e.g. fallback: { standard: '1234', premium: '1240' }, used when
+// the primary panel rejects an order. Panels number their services
+// differently, so these are only set for entries we have matched by hand.
+const SOCIAL_TIERS = [
+    { minQuantity: 2500, discount: 0.05 },
+    { minQuantity: 10000, discount: 0.10 },
+    { minQuantity: 25000, discount: 0.15 }
+];
+
+const VIEW_TIERS = [
+    { minQuantity: 25000, discount: 0.05 },
+    { minQuantity: 100000, discount: 0.10 },
+    { minQuantity: 500000, discount: 0.15 }
+];
+
+const PRICE_CATALOG = {
+    instagram: {
+        followers: { min: 100, max: 50000, per: 1000, prices: { standard: 2.99, premium: 5.99, vip: 9.99 }, tiers: SOCIAL_TIERS },
+        likes: { min: 50, max: 50000, per: 1000, prices: { standard: 1.49, premium: 2.99 }, tiers: SOCIAL_TIERS },
+        views: { min: 500, max: 1000000, per: 1000, prices: { standard: 0.29, premium: 0.29 }, tiers: VIEW_TIERS },
+        comments: { min: 10, max: 1000, per: 100, prices: { standard: 4.99, premium: 4.99 } }
+    },
+    tiktok: {
+        followers: { min: 100, max: 50000, per: 1000, prices: { standard: 3.49, premium: 3.49 }, tiers: SOCIAL_TIERS },
+        likes: { min: 50, max: 50000, per: 1000, prices: { standard: 1.49, premium: 1.49 }, tiers: SOCIAL_TIERS },
+        views: { min: 500, max: 1000000, per: 1000, prices: { standard: 0.29, premium: 0.29 }, tiers: VIEW_TIERS }
+    },
+    youtube: {
+        subscribers: { min: 100, max: 10000, per: 1000, prices: { standard: 19.99, premium: 19.99 }, tiers: SOCIAL_TIERS },
+        likes: { min: 50, max: 50000, per: 1000, prices: { standard: 3.99, premium: 3.99 }, tiers: SOCIAL_TIERS },
+        views: { min: 500, max: 1000000, per: 1000, prices: { standard: 1.99, premium: 1.99 }, tiers: VIEW_TIERS }
+    },
+    twitter: {
+        followers: { min: 100, max: 50000, per: 1000, prices: { standard: 4.99, premium: 4.99 }, tiers: SOCIAL_TIERS },
+        likes: { min: 50, max: 50000, per: 1000, prices: { standard: 2.99, premium: 2.99 }, tiers: SOCIAL_TIERS },
+        retweets: { min: 50, max: 50000, per: 1000, prices: { standard: 3.49, premium: 3.49 }, tiers: SOCIAL_TIERS }
+    },
+    crypto: {
+        'cmc-followers': { min: 100, max: 50000, per: 1000, prices: { standard: 14.99, premium: 14.99 }, tiers: SOCIAL_TIERS },
+        'cmc-likes': { min: 50, max: 10000, per: 1000, prices: { standard: 14.99, premium: 14.99 }, tiers: SOCIAL_TIERS },
+        'watchlist-followers': { min: 100, max: 50000, per: 1000, prices: { standard: 9.99, premium: 9.99 }, tiers: SOCIAL_TIERS },
+        'watchlist-adds': { min: 100, max: 50000, per: 1000, prices: { standard: 9.99, premium: 9.99 }, tiers: SOCIAL_TIERS },
+        'opensea-views': { min: 100, max: 100000, per: 1000, prices: { standard: 4.99, premium: 4.99 }, tiers: VIEW_TIERS },
+        'opensea-favorites': { min: 20, max: 5000, per: 100, prices: { standard: 4.99, premium: 4.99 } },
+        'opensea-combo': { min: 100, max: 10000, per: 1000, prices: { standard: 24.99, premium: 24.99 } }
+    },
+    trends: {
+        'trend-country-1h': { min: 1, max: 1, per: 1, prices: { standard: 99, premium: 99 } },
+        'trend-country-2h': { min: 1, max: 1, per: 1, prices: { standard: 179, premium: 179 } },
+        'trend-country-5h': { min: 1, max: 1, per: 1, prices: { standard: 399, premium: 399 } },
+        'trend-country-12h': { min: 1, max: 1, per: 1, prices: { standard: 899, premium: 899 } },
+        'trend-country-24h': { min: 1, max: 1, per: 1, prices: { standard: 1599, premium: 1599 } },
+        'trend-ww-1h': { min: 1, max: 1, per: 1, prices: { standard: 299, premium: 299 } },
+        'trend-ww-2h': { min: 1, max: 1, per: 1, prices: { standard: 549, premium: 549 } },
+        'trend-ww-5h': { min: 1, max: 1, per: 1, prices: { standard: 1199, premium: 1199 } },
+        'trend-ww-12h': { min: 1, max: 1, per: 1, prices: { standard: 2499, premium: 2499 } },
+        'trend-ww-24h': { min: 1, max: 1, per: 1, prices: { standard: 4499, premium: 4499 } },
+        'trend-crypto': { min: 1, max: 1, per: 1, prices: { standard: 699, premium: 699 } }
     }
+};
 
-    try {
-        const response = await fetch(JAP_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                key: JAP_API_KEY,
-                action: 'add',
-                service: serviceId,
-                link: link,
-                quantity: quantity
-            })
+// Compute the price of an order from the catalog. Never trust client amounts.
+// Returns { error, field } or the resolved quote (amounts in USD, amountCents for providers).
+function quoteOrder(platform, service, quality, quantity) {
+    const [group, key] = resolveServiceKey(platform, service);
+    const entry = PRICE_CATALOG[group]?.[key];
+    const [route] = getServiceRoutes(platform, service, quality);
+
+    if (!entry || !route) {
+        return { error: 'Unknown service', field: 'service' };
+    }
+
+    quality = (quality || 'standard').toLowerCase();
+    if (!entry.prices[quality]) quality = 'standard';
+
+    quantity = Number(quantity);
+    if (!Number.isInteger(quantity)) {
+        return { error: 'Quantity must be a whole number', field: 'quantity' };
+    }
+    if (quantity < entry.min || quantity > entry.max) {
+        return { error: `Quantity must be between ${entry.min} and ${entry.max}`, field: 'quantity' };
+    }
+
+    const subtotalCents = Math.round(quantity * entry.prices[quality] * 100 / entry.per);
+    const tier = (entry.tiers || [])
+        .filter(t => quantity >= t.minQuantity)
+        .reduce((best, t) => (!best || t.discount > best.discount ? t : best), null);
+    const discountRate = tier ? tier.discount : 0;
+    const amountCents = Math.max(Math.round(subtotalCents * (1 - discountRate)), 50);
+
+    return {
+        provider: route.provider,
+        japServiceId: route.service,
+        quality,
+        quantity,
+        subtotal: subtotalCents / 100,
+        discountRate,
+        amount: amountCents / 100,
+        amountCents
+    };
+}
+
+const MAX_CART_ITEMS = 10;
+
+// Price a checkout body: either a single item (platform/service/quality/link/
+// quantity at the top level) or a cart with an `items` array of the same.
+// An optional `promoCode` is applied on top of the catalog prices.
+// Returns { error, fields } or { isCart, items, amount, amountCents,
+// subtotal?, promoCode?, discount? }.
+function quoteCheckout(body) {
+    const isCart = Array.isArray(body.items);
+    const lines = isCart ? body.items : [body];
+
+    if (!lines.length || lines.length > MAX_CART_ITEMS) {
+        const error = `A cart must have between 1 and ${MAX_CART_ITEMS} items`;
+        return { error, fields: { items: error } };
+    }
+
+    const items = [];
+    for (const [index, line] of lines.entries()) {
+        const fail = (field, error) => ({
+            error: isCart ? `Item ${index + 1}: ${error}` : error,
+            fields: { [isCart ? `items[${index}].${field}` : field]: error }
         });
 
-        const data = await response.json();
+        const quote = quoteOrder(line.platform, line.service, line.quality, line.quantity);
+        if (quote.error) {
+            return fail(quote.field, quote.error);
+        }
 
-        if (data.order) {
-            console.log(`JAP order placed: #${data.order} for service ${serviceId}`);
-            return { success: true, orderId: data.order };
-        } else {
-            console.error('JAP error:', data.error || data);
-            return { success: false, error: data.error || 'Unknown JAP error' };
+        // Reject links the supplier would fail on before the customer pays
+        const checked = validateLink(...resolveServiceKey(line.platform, line.service), line.link);
+        if (checked.error) {
+            return fail('link', checked.error);
+        }
+
+        items.push({
+            platform: line.platform,
+            service: line.service,
+            quality: quote.quality,
+            link: checked.link,
+            quantity: quote.quantity,
+            amount: quote.amount,
+            amountCents: quote.amountCents,
+            provider: quote.provider,
+            japServiceId: quote.japServiceId
+        });
+    }
+
+    const amountCents = items.reduce((sum, item) => sum + item.amountCents, 0);
+    const checkout = { isCart, items, amount: amountCents / 100, amountCents };
+
+    if (body.promoCode) {
+        const promo = applyPromoCode(checkout, body.promoCode, body.email);
+        if (promo.error) {
+            return { error: promo.error, fields: { promoCode: promo.error } };
         }
-    } catch (error) {
-        console.error('JAP API error:', error.message);
-        return { success: false, error: error.message };
     }
+    return checkout;
 }
 
-async function checkJapOrderStatus(orderId) {
-    if (!JAP_API_KEY) return null;
+// Smallest amount a discounted item may cost (Stripe's minimum charge)
+const MIN_ITEM_CENTS = 50;
 
-    try {
-        const response = await fetch(JAP_API_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                key: JAP_API_KEY,
-                action: 'status',
-                order: orderId
-            })
-        });
+// Apply a promo code to a quoted checkout. The discount is spread over the
+// items the code covers, so item amounts (and partial refunds) match what
+// the customer actually paid. Returns { error } or {}.
+function applyPromoCode(checkout, code, customerEmail) {
+    const { promo, error } = promoCodes.checkCode(code, { email: customerEmail, subtotal: checkout.amount });
+    if (error) return { error };
 
-        return await response.json();
-    } catch (error) {
-        console.error('JAP status check error:', error.message);
-        return null;
+    const eligible = checkout.items.filter(item => promoCodes.appliesTo(promo, ...resolveServiceKey(item.platform, item.service)));
+    if (!eligible.length) {
+        return { error: 'This promo code does not apply to these services' };
+    }
+
+    let eligibleCents = eligible.reduce((sum, item) => sum + item.amountCents, 0);
+    let remaining = promo.type === 'percent'
+        ? Math.round(eligibleCents * promo.value / 100)
+        : Math.min(Math.round(promo.value * 100), eligibleCents);
+    let discountCents = 0;
+
+    for (const item of eligible) {
+        const share = Math.max(0, Math.min(
+            Math.round(remaining * item.amountCents / eligibleCents),
+            item.amountCents - MIN_ITEM_CENTS
+        ));
+        eligibleCents -= item.amountCents;
+        remaining -= share;
+        discountCents += share;
+
+        item.amountCents -= share;
+        item.amount = item.amountCents / 100;
+        item.promoCode = promo.code;
     }
+
+    checkout.subtotal = checkout.amount;
+    checkout.amountCents -= discountCents;
+    checkout.amount = checkout.amountCents / 100;
+    checkout.promoCode = promo.code;
+    checkout.discount = discountCents / 100;
+    return {};
 }
 
-// =====================================================
-// ORDER STORAGE
-// =====================================================
-const ORDERS_FILE = path.join(__dirname, 'orders.json');
+// Order and top-up IDs customers see. The random suffix keeps two checkouts
+// in the same millisecond from colliding on the UNIQUE columns after their
+// payment session was already created.
+function generatePublicId(prefix) {
+    return `${prefix}${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
 
-function loadOrders() {
-    try {
-        if (fs.existsSync(ORDERS_FILE)) {
-            return JSON.parse(fs.readFileSync(ORDERS_FILE, 'utf8'));
+// Order fields for a quoted checkout. Carts keep the per-item details in
+// order_items; single-item orders keep them on the order itself.
+function checkoutOrderFields(checkout) {
+    const promo = checkout.promoCode ? { promoCode: checkout.promoCode, discountAmount: checkout.discount } : {};
+    if (checkout.isCart) {
+        return { amount: checkout.amount, quantity: checkout.items.reduce((sum, i) => sum + i.quantity, 0), ...promo };
+    }
+    const { amountCents, ...item } = checkout.items[0];
+    return { ...item, ...promo };
+}
+
+function describeCheckoutItem(item) {
+    return `${item.platform || 'Social'} ${item.service || 'Growth'} - ${item.quantity.toLocaleString()}`;
+}
+
+// Public view of the catalog (no supplier IDs)
+function getPublicCatalog() {
+    const catalog = {};
+    for (const [group, services] of Object.entries(PRICE_CATALOG)) {
+        catalog[group] = {};
+        for (const [key, entry] of Object.entries(services)) {
+            catalog[group][key] = {
+                min: entry.min,
+                max: entry.max,
+                per: entry.per,
+                prices: entry.prices,
+                tiers: entry.tiers || []
+            };
         }
-    } catch (e) {
-        console.error('Error loading orders:', e.message);
     }
-    return [];
+    return catalog;
 }
 
-function saveOrders(orders) {
-    try {
-        fs.writeFileSync(ORDERS_FILE, JSON.stringify(orders, null, 2));
-    } catch (e) {
-        console.error('Error saving orders:', e.message);
+// =====================================================
+// SMM PROVIDERS (JAP + fallback panel, see lib/providers)
+// =====================================================
+// Place an order or cart item with its supplier. The stored service is tried
+// first, then the catalog's routes, so a panel rejecting the order fails it
+// over to the fallback. Returns the provider result; `placementFields` turns
+// a success into the fields to store on the order/item.
+async function placeSupplierOrder(record) {
+    const routes = getServiceRoutes(record.platform, record.service, record.quality);
+
+    if (record.japServiceId) {
+        const stored = { provider: record.provider || providers.DEFAULT_PROVIDER, service: record.japServiceId };
+        routes.unshift(stored);
     }
+
+    const unique = routes.filter((route, index) =>
+        routes.findIndex(r => r.provider === route.provider && String(r.service) === String(route.service)) === index);
+
+    return providers.placeOrder(unique, record.link, record.quantity);
 }
 
-function addOrder(orderData) {
-    const orders = loadOrders();
-    const newOrder = {
-        id: Date.now(),
-        ...orderData,
-        date: new Date().toISOString()
-    };
-    orders.unshift(newOrder);
-    saveOrders(orders);
-    return newOrder;
+function providerLabel(name) {
+    return providers.getProvider(name)?.label || name;
 }
 
-function updateOrderStatus(orderId, status, japOrderId = null) {
-    const orders = loadOrders();
-    const index = orders.findIndex(o => o.id === orderId || o.orderId === orderId);
-    if (index >= 0) {
-        orders[index].status = status;
-        if (japOrderId) orders[index].japOrderId = japOrderId;
-        orders[index].updatedAt = new Date().toISOString();
-        saveOrders(orders);
-        return orders[index];
-    }
-    return null;
+function placementFields(result) {
+    return {
+        japOrderId: String(result.orderId),
+        // Other panels' service IDs need not be numeric
+        japServiceId: String(result.service),
+        provider: result.provider
+    };
 }
 
-function getOrderByStripeSession(sessionId) {
-    const orders = loadOrders();
-    return orders.find(o => o.stripeSessionId === sessionId);
+// =====================================================
+// ORDER STORAGE
+// =====================================================
+// Orders live in SQLite (see lib/db.js). A legacy orders.json is imported
+// once on startup and renamed to orders.json.imported.
+const ORDERS_FILE = path.join(__dirname, 'orders.json');
+
+try {
+    const imported = orderRepo.importOrdersFromJson(ORDERS_FILE);
+    if (imported) console.log(`Imported ${imported} orders from orders.json`);
+} catch (e) {
+    console.error('Error importing orders.json:', e.message);
 }
 
 // =====================================================
 // SECURITY MIDDLEWARE
 // =====================================================
+// Render puts one proxy in front of the app. Trusting it makes req.ip the
+// customer's address (from X-Forwarded-For) for rate limits and fraud
+// screening instead of the proxy's. TRUST_PROXY takes a hop count, a subnet
+// list, or false when the app is reached directly.
+function parseTrustProxy(value) {
+    if (value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set('trust proxy', parseTrustProxy(TRUST_PROXY));
+
 app.use(helmet());
 
 app.use(cors({
@@ -261,8 +520,249 @@ const orderLimiter = rateLimit({
     message: { error: 'Too many order attempts, please wait.' }
 });
 
+const trackLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: 20,
+    message: { error: 'Too many tracking requests, please wait.' }
+});
+
+// Optionally refuse new checkouts while fulfillment is paused for a low
+// supplier balance, rather than taking payments we can't deliver
+function checkoutMaintenance(req, res, next) {
+    if (JAP_LOW_BALANCE_REFUSE_CHECKOUT === 'true' && isFulfillmentPaused()) {
+        res.set('Retry-After', String(Number(JAP_BALANCE_CHECK_MINUTES) * 60));
+        return res.status(503).json({
+            error: 'New orders are temporarily unavailable while we perform maintenance. Please try again shortly.',
+            maintenance: true
+        });
+    }
+    next();
+}
+
+// =====================================================
+// REQUEST SCHEMAS (see lib/validation.js)
+// =====================================================
+const ORDER_STATUSES = ['pending', 'review', 'paid', 'processing', 'completed', 'partial', 'canceled', 'failed', 'refunded', 'disputed', 'expired'];
+
+const ID_PARAMS = { id: { type: 'integer', required: true, min: 1 } };
+
+const listLimit = max => ({ type: 'integer', min: 1, max });
+
+const CHECKOUT_ITEM = {
+    platform: { type: 'string', max: 50 },
+    service: { type: 'string', required: true, max: 50 },
+    quality: { type: 'string', max: 20 },
+    link: { type: 'string', required: true, max: 500 },
+    quantity: { type: 'integer', required: true, min: 1 }
+};
+
+// One item at the top level, or a cart in `items`
+const CHECKOUT_SCHEMA = {
+    body: {
+        email: { type: 'email', required: true },
+        ...Object.fromEntries(Object.entries(CHECKOUT_ITEM).map(([name, spec]) => [name, { ...spec, required: false }])),
+        items: { type: 'array', min: 1, max: MAX_CART_ITEMS, items: { type: 'object', required: true, fields: CHECKOUT_ITEM } },
+        promoCode: { type: 'string', max: 32 }
+    },
+    check: req => {
+        if (req.body.items) return null;
+        const errors = {};
+        for (const field of ['service', 'link', 'quantity']) {
+            if (req.body[field] === undefined) errors[field] = `${field} is required`;
+        }
+        return errors;
+    }
+};
+
+const TRACKING_FIELDS = {
+    session_id: { type: 'string', max: 255 },
+    order_id: { type: 'string', max: 64 },
+    email: { type: 'email' }
+};
+
+const checkTrackingLookup = source => req => (req[source].session_id || (req[source].order_id && req[source].email))
+    ? null
+    : { order_id: 'Provide session_id, or order_id and email' };
+
+const PROMO_CODE_FIELDS = {
+    type: { type: 'string', values: promoCodes.TYPES },
+    value: { type: 'number', min: 0.01 },
+    platforms: { type: 'array', max: 20, items: { type: 'string', required: true, max: 50 } },
+    services: { type: 'array', max: 50, items: { type: 'string', required: true, max: 50 } },
+    minOrder: { type: 'number', min: 0 },
+    expiresAt: { type: 'date' },
+    maxUses: { type: 'integer', min: 1 },
+    maxUsesPerEmail: { type: 'integer', min: 1 },
+    active: { type: 'boolean' }
+};
+
+const checkPercentValue = req => (req.body.type === 'percent' && req.body.value > 100)
+    ? { value: 'A percentage discount cannot be more than 100' }
+    : null;
+
+const WEBHOOK_ENDPOINT_FIELDS = {
+    url: { type: 'string', max: 500, pattern: /^https?:\/\/[^\s/]+\S*$/i, message: 'url must be an http(s) URL' },
+    events: { type: 'array', max: orderEvents.EVENT_TYPES.length, items: { type: 'string', required: true, values: orderEvents.EVENT_TYPES } },
+    description: { type: 'string', max: 200 }
+};
+
+const ACCOUNT_ORDER_PARAMS = { orderId: { type: 'string', required: true, max: 64 } };
+
+const SCHEMAS = {
+    checkout: CHECKOUT_SCHEMA,
+    track: { query: TRACKING_FIELDS, check: checkTrackingLookup('query') },
+    trackRefill: { body: TRACKING_FIELDS, check: checkTrackingLookup('body') },
+    accountLogin: { body: { email: { type: 'email', required: true } } },
+    accountVerify: { body: { token: { type: 'string', required: true, max: 256 } } },
+    accountOrders: { query: { limit: listLimit(100) } },
+    accountOrder: { params: ACCOUNT_ORDER_PARAMS },
+    reorder: {
+        params: ACCOUNT_ORDER_PARAMS,
+        body: {
+            paymentMethod: { type: 'string', values: ['stripe', 'crypto', 'coinbase', 'wallet'], default: 'stripe' },
+            promoCode: { type: 'string', max: 32 }
+        }
+    },
+    accountWallet: { query: { limit: listLimit(100) } },
+    walletTopup: {
+        body: {
+            amount: { type: 'number', required: true, min: Number(WALLET_MIN_TOPUP), max: Number(WALLET_MAX_TOPUP) },
+            paymentMethod: { type: 'string', values: ['stripe', 'crypto'], default: 'stripe' }
+        }
+    },
+    saveLink: {
+        body: {
+            link: { type: 'string', required: true, max: 500 },
+            platform: { type: 'string', max: 50 },
+            label: { type: 'string', max: 100 }
+        }
+    },
+    login: {
+        body: {
+            username: { type: 'string', required: true, max: 64 },
+            password: { type: 'string', required: true, max: 256 },
+            code: { type: 'string', pattern: /^\d{6}$/, message: 'code must be 6 digits' }
+        }
+    },
+    listOrders: { query: { status: { type: 'string', values: ORDER_STATUSES }, limit: listLimit(1000) } },
+    byId: { params: ID_PARAMS },
+    updateOrder: { params: ID_PARAMS, body: { status: { type: 'string', required: true, values: ORDER_STATUSES } } },
+    refill: { params: ID_PARAMS, body: { itemId: { type: 'integer', min: 1 } } },
+    refund: { params: ID_PARAMS, body: { amount: { type: 'number', min: 0.01 } } },
+    walletCredit: {
+        params: ID_PARAMS,
+        body: {
+            amount: { type: 'number', min: 0.01 },
+            reference: { type: 'string', max: 64, pattern: /^[\w.:-]+$/, message: 'reference may only contain letters, digits and . _ : -' }
+        }
+    },
+    walletTopups: {
+        query: {
+            status: { type: 'string', values: ['pending', 'review', 'paid', 'expired', 'rejected', 'refunded', 'disputed'] },
+            limit: listLimit(500)
+        }
+    },
+    fulfillmentQueue: { query: { status: { type: 'string', values: ['queued', 'done', 'failed'] }, limit: listLimit(500) } },
+    japStatus: {
+        params: { japOrderId: { type: 'string', required: true, pattern: /^\d+$/, message: 'japOrderId must be numeric' } },
+        query: { provider: { type: 'string', max: 50 } }
+    },
+    serviceMappings: { query: { issues: { type: 'boolean' } } },
+    supplierServices: {
+        query: {
+            provider: { type: 'string', max: 50 },
+            category: { type: 'string', max: 100 },
+            active: { type: 'boolean' },
+            limit: listLimit(5000)
+        }
+    },
+    webhookEvents: {
+        query: {
+            provider: { type: 'string', values: ['stripe', 'nowpayments', 'coinbase'] },
+            status: { type: 'string', values: ['received', 'processed', 'failed'] },
+            limit: listLimit(500)
+        }
+    },
+    audit: {
+        query: {
+            orderId: { type: 'string', max: 64 },
+            actor: { type: 'string', max: 254 },
+            action: { type: 'string', max: 64 },
+            from: { type: 'date' },
+            to: { type: 'date' },
+            limit: listLimit(1000)
+        }
+    },
+    changePassword: {
+        body: {
+            currentPassword: { type: 'string', required: true, max: 256 },
+            newPassword: { type: 'string', required: true, max: 256 }
+        }
+    },
+    totpCode: { body: { code: { type: 'string', required: true, pattern: /^\d{6}$/, message: 'code must be 6 digits' } } },
+    password: { body: { password: { type: 'string', required: true, max: 256 } } },
+    totpDisable: {
+        body: {
+            password: { type: 'string', required: true, max: 256 },
+            code: { type: 'string', required: true, pattern: /^\d{6}$/, message: 'code must be 6 digits' }
+        }
+    },
+    createUser: {
+        body: {
+            username: {
+                type: 'string',
+                required: true,
+                pattern: /^[a-z0-9._-]{3,32}$/i,
+                message: 'Username must be 3-32 letters, digits, dots, dashes or underscores'
+            },
+            password: { type: 'string', required: true, max: 256 },
+            role: { type: 'string', values: admins.ROLES, default: 'viewer' }
+        }
+    },
+    createWebhookEndpoint: {
+        body: { ...WEBHOOK_ENDPOINT_FIELDS, url: { ...WEBHOOK_ENDPOINT_FIELDS.url, required: true } }
+    },
+    updateWebhookEndpoint: {
+        params: ID_PARAMS,
+        body: { ...WEBHOOK_ENDPOINT_FIELDS, active: { type: 'boolean' }, rotateSecret: { type: 'boolean' } }
+    },
+    webhookDeliveries: {
+        params: ID_PARAMS,
+        query: {
+            status: { type: 'string', values: ['pending', 'delivered', 'failed'] },
+            limit: listLimit(500)
+        }
+    },
+    eventStream: { query: { ticket: { type: 'string', max: 128 } } },
+    createPromoCode: {
+        body: {
+            ...PROMO_CODE_FIELDS,
+            code: {
+                type: 'string',
+                required: true,
+                pattern: /^[a-z0-9_-]{3,32}$/i,
+                message: 'Code must be 3-32 letters, digits, dashes or underscores'
+            },
+            type: { ...PROMO_CODE_FIELDS.type, required: true },
+            value: { ...PROMO_CODE_FIELDS.value, required: true }
+        },
+        check: checkPercentValue
+    },
+    updatePromoCode: { params: ID_PARAMS, body: PROMO_CODE_FIELDS },
+    updateUser: {
+        params: ID_PARAMS,
+        body: {
+            role: { type: 'string', values: admins.ROLES },
+            disabled: { type: 'boolean' }
+        }
+    }
+};
+
+// Signed webhooks read the raw body themselves
+const RAW_BODY_ROUTES = ['/api/webhooks/stripe', '/api/webhooks/coinbase'];
+
 app.use((req, res, next) => {
-    if (req.originalUrl === '/api/webhooks/stripe') {
+    if (RAW_BODY_ROUTES.includes(req.originalUrl)) {
         next();
     } else {
         express.json({ limit: '10kb' })(req, res, next);
@@ -272,45 +772,58 @@ app.use((req, res, next) => {
 // =====================================================
 // TELEGRAM NOTIFICATIONS
 // =====================================================
-async function sendTelegramNotification(message) {
+// `buttons`: inline buttons handled by the admin bot (see orderActionButtons)
+async function sendTelegramNotification(message, { buttons } = {}) {
     if (!TELEGRAM_BOT_TOKEN || !TELEGRAM_CHAT_ID) return;
 
     try {
-        await fetch(`https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                chat_id: TELEGRAM_CHAT_ID,
-                text: message,
-                parse_mode: 'HTML'
-            })
-        });
+        await telegram.sendMessage(TELEGRAM_CHAT_ID, message, { buttons });
     } catch (error) {
         console.error('Telegram error:', error.message);
     }
 }
 
+// Only the actions the order's current state allows
+function orderActionButtons(order) {
+    const row = [
+        ...(!fulfillmentRetryError(order) ? [{ text: '🔁 Retry JAP', data: `retry:${order.id}` }] : []),
+        ...(COMPLETABLE_STATUSES.includes(order.status) ? [{ text: '✅ Mark completed', data: `complete:${order.id}` }] : []),
+        ...(order.paymentMethod === 'stripe' ? [{ text: '💸 Refund', data: `refund:${order.id}` }] : [])
+    ];
+    return row.length ? [row] : [];
+}
+
 function formatOrderNotification(order, paymentMethod, japResult = null) {
     const maskedEmail = order.email ? 
         order.email.replace(/(.{2})(.*)(@.*)/, '$1***$3') : 'N/A';
     const maskedLink = order.link ? 
         order.link.substring(0, 30) + '...' : 'N/A';
 
+    const items = order.itemCount ? orderRepo.getOrderItems(order.id) : [];
+    const details = order.itemCount
+        ? `🧺 <b>Cart:</b> ${items.length} items
+${items.map(i => `• ${i.platform} ${i.service} (${i.quality}) x${i.quantity.toLocaleString()} - $${i.amount.toFixed(2)}`).join('\n')}`
+        : `📱 <b>Platform:</b> ${order.platform || 'Instagram'}
+📦 <b>Service:</b> ${order.service || 'Followers'}
+⭐ <b>Quality:</b> ${order.quality || 'Standard'}
+📊 <b>Quantity:</b> ${order.quantity?.toLocaleString() || 'N/A'}`;
+
+    const promoLine = order.promoCode
+        ? `\n🏷️ <b>Promo:</b> ${order.promoCode} (-$${(order.discountAmount || 0).toFixed(2)})`
+        : '';
+
     let japStatus = '';
     if (japResult) {
         japStatus = japResult.success 
-            ? `\n🤖 <b>JAP Order:</b> #${japResult.orderId}`
+            ? `\n🤖 <b>${providerLabel(japResult.provider)} Order:</b> #${japResult.orderId}`
             : `\n⚠️ <b>JAP Error:</b> ${japResult.error}`;
     }
 
     return `
 🛒 <b>NEW ORDER</b>
 
-📱 <b>Platform:</b> ${order.platform || 'Instagram'}
-📦 <b>Service:</b> ${order.service || 'Followers'}
-⭐ <b>Quality:</b> ${order.quality || 'Standard'}
-📊 <b>Quantity:</b> ${order.quantity?.toLocaleString() || 'N/A'}
-💰 <b>Amount:</b> $${order.amount?.toFixed(2) || '0.00'}
+${details}
+💰 <b>Amount:</b> $${order.amount?.toFixed(2) || '0.00'}${promoLine}
 💳 <b>Payment:</b> ${paymentMethod}
 
 🔗 <b>Link:</b> ${maskedLink}
@@ -322,547 +835,3299 @@ ${japStatus}
 }
 
 // =====================================================
-// HEALTH CHECK
+// CUSTOMER EMAILS
 // =====================================================
-app.get('/', (req, res) => {
-    res.json({ 
-        status: 'GetFame Backend v5 Running',
-        features: [
-            'Stripe',
-            'Crypto',
-            'JAP Integration',
-            'Telegram Notifications'
-        ],
-        timestamp: new Date().toISOString()
-    });
-});
+// Email sent when an order moves into each status (see lib/emailTemplates.js)
+const STATUS_EMAILS = {
+    processing: 'fulfillmentStarted',
+    completed: 'orderCompleted',
+    partial: 'partialRefund',
+    canceled: 'orderFailed',
+    failed: 'orderFailed'
+};
+
+function queueStatusEmail(order) {
+    const template = order && STATUS_EMAILS[order.status];
+    if (template) email.queueOrderEmail(order, template);
+}
 
 // =====================================================
-// STRIPE PAYMENT (Card)
+// JAP STATUS POLLER - Moves processing orders forward
 // =====================================================
-app.post('/api/order', orderLimiter, async (req, res) => {
-    try {
-        if (!stripe) {
-            return res.status(500).json({ error: 'Stripe not configured' });
-        }
-
-        const { 
-            link, 
-            email, 
-            quantity, 
-            amount,
-            platform,
-            service,
-            quality,
-            // Legacy support - if frontend sends serviceId directly
-            serviceId: legacyServiceId
-        } = req.body;
+const JAP_STATUS_MAP = {
+    'Pending': 'processing',
+    'In progress': 'processing',
+    'Processing': 'processing',
+    'Completed': 'completed',
+    'Partial': 'partial',
+    'Canceled': 'canceled'
+};
 
-        // Validate required fields
-        if (!link || !email || !quantity || !amount) {
-            return res.status(400).json({ error: 'Missing required fields' });
-        }
+const JAP_BATCH_SIZE = 100;
+let japPollRunning = false;
 
-        // Get JAP service ID (from mapping or legacy)
-        const japServiceId = legacyServiceId || getJapServiceId(platform, service, quality);
-        
-        if (!japServiceId) {
-            console.error('Could not determine JAP service ID for:', { platform, service, quality });
-            return res.status(400).json({ error: 'Invalid service configuration' });
-        }
+function formatJapStatusNotification(order) {
+    const icons = { completed: '✅', partial: '⚠️', canceled: '❌', failed: '❌' };
 
-        // Create Stripe checkout session
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            line_items: [{
-                price_data: {
-                    currency: 'usd',
-                    product_data: {
-                        name: `${platform || 'Social'} ${service || 'Growth'} - ${quantity.toLocaleString()}`,
-                        description: `Quality: ${quality || 'Standard'}`
-                    },
-                    unit_amount: Math.round(amount * 100)
-                },
-                quantity: 1
-            }],
-            mode: 'payment',
-            success_url: `${FRONTEND_URL}/success/?session_id={CHECKOUT_SESSION_ID}`,
-            cancel_url: `${FRONTEND_URL}/order/`,
-            customer_email: email,
-            metadata: {
-                link,
-                quantity: quantity.toString(),
-                platform,
-                service,
-                quality,
-                japServiceId: japServiceId.toString()
-            }
-        });
+    let progress;
+    if (order.itemCount) {
+        const counts = {};
+        for (const item of orderRepo.getOrderItems(order.id)) counts[item.status] = (counts[item.status] || 0) + 1;
+        progress = `🧺 <b>Items:</b> ${Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ')}`;
+    } else {
+        const delivered = order.remains != null
+            ? Math.max(order.quantity - order.remains, 0).toLocaleString()
+            : 'N/A';
+        progress = `🤖 <b>${providerLabel(order.provider)} Order:</b> #${order.japOrderId}
+📱 <b>Service:</b> ${order.platform || 'N/A'} ${order.service || ''}
+📊 <b>Delivered:</b> ${delivered} / ${order.quantity?.toLocaleString() || 'N/A'}`;
+    }
 
-        // Save pending order
-        addOrder({
-            orderId: `GF-${Date.now().toString(36).toUpperCase()}`,
-            stripeSessionId: session.id,
-            email,
-            link,
-            quantity,
-            amount,
-            platform,
-            service,
-            quality,
-            japServiceId,
-            status: 'pending',
-            paymentMethod: 'stripe'
-        });
+    return `
+${icons[order.status] || 'ℹ️'} <b>ORDER ${order.status.toUpperCase()}</b>
 
-        res.json({ url: session.url, sessionId: session.id });
+🆔 <b>Order:</b> ${order.orderId}
+${progress}
+⏰ <b>Time:</b> ${new Date().toLocaleString('en-US', { timeZone: 'America/New_York' })} ET
+`.trim();
+}
 
-    } catch (error) {
-        console.error('Stripe error:', error.message);
-        res.status(500).json({ error: 'Payment initialization failed' });
-    }
-});
+// Email, notify and (for card orders) refund the undelivered part once JAP
+// has finished an order
+async function onOrderFinished(order) {
+    console.log(`Order ${order.orderId} is now ${order.status}`);
+    let current = order;
 
-// =====================================================
-// STRIPE WEBHOOK - Fulfill orders after payment
-// =====================================================
-app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
-    let event;
+    // Wallet orders can only be credited back; others are when WALLET_AUTO_CREDIT is on
+    const creditWallet = order.paymentMethod === 'wallet' || WALLET_AUTO_CREDIT === 'true';
 
-    try {
-        if (STRIPE_WEBHOOK_SECRET) {
-            event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
-        } else {
-            event = JSON.parse(req.body.toString());
+    if (['partial', 'canceled'].includes(order.status) && creditWallet && order.email) {
+        const credited = creditUndeliveredToWallet(order);
+        if (credited) {
+            current = credited;
+            await sendTelegramNotification(`💰 <b>Wallet credit</b> of $${(credited.walletCredited - (order.walletCredited || 0)).toFixed(2)} for ${order.orderId}`);
         }
-    } catch (err) {
-        console.error('Stripe webhook signature verification failed:', err.message);
-        return res.status(400).send(`Webhook Error: ${err.message}`);
+    } else if (order.status === 'partial' && order.paymentMethod === 'stripe' && STRIPE_AUTO_PARTIAL_REFUNDS === 'true') {
+        const amount = partialRefundAmount(order);
+        const refund = amount > 0 ? await refundStripeOrder(order, amount) : null;
+        if (refund?.success) current = refund.order;
+        else if (refund) await sendTelegramNotification(`⚠️ <b>Auto partial refund failed</b> for ${order.orderId}: ${refund.error}`);
     }
 
-    if (event.type === 'checkout.session.completed') {
-        const session = event.data.object;
-        
-        // Get order details from metadata
-        const { link, quantity, platform, service, quality, japServiceId } = session.metadata;
-        const email = session.customer_email;
-        const amount = session.amount_total / 100;
+    queueStatusEmail(current);
+    await sendTelegramNotification(formatJapStatusNotification(current));
+}
+
+// A cart item finished: move the parent order once its derived status changes
+async function applyCartItemStatus(item, status, progress) {
+    orderRepo.updateOrderItem(item.id, { ...progress, status });
+    if (status === 'processing') return;
+
+    const order = orderRepo.getOrderById(item.orderId);
+    const derived = deriveOrderStatus(orderRepo.getOrderItems(order.id));
+    if (derived === 'processing' || derived === order.status) return;
 
-        console.log('Payment confirmed:', { platform, service, quantity, japServiceId });
+    const updated = orderRepo.transitionOrderStatus(order.id, 'processing', derived);
+    if (updated) await onOrderFinished(updated);
+}
+
+async function pollJapStatuses() {
+    if (japPollRunning) return;
+    japPollRunning = true;
 
-        // Place order with JAP
-        const japResult = await placeJapOrder(
-            parseInt(japServiceId),
-            link,
-            parseInt(quantity)
-        );
+    try {
+        // Single-item orders and cart items are polled together, batched
+        // per provider
+        const targets = [
+            ...orderRepo.listOrders({ status: 'processing' })
+                .filter(o => o.japOrderId && !o.itemCount)
+                .map(order => ({ order, japOrderId: order.japOrderId, provider: order.provider })),
+            ...orderRepo.listItemsByStatus('processing')
+                .filter(i => i.japOrderId)
+                .map(item => ({ item, japOrderId: item.japOrderId, provider: item.provider }))
+        ];
 
-        // Update order status
-        const order = getOrderByStripeSession(session.id);
-        if (order) {
-            updateOrderStatus(
-                order.id,
-                japResult.success ? 'processing' : 'pending',
-                japResult.orderId
-            );
+        const batches = [];
+        for (const provider of providers.listProviders().filter(p => p.configured)) {
+            const own = targets.filter(t => (t.provider || providers.DEFAULT_PROVIDER) === provider.name);
+            for (let i = 0; i < own.length; i += JAP_BATCH_SIZE) {
+                batches.push({ provider, batch: own.slice(i, i + JAP_BATCH_SIZE) });
+            }
         }
 
-        // Send Telegram notification
-        await sendTelegramNotification(formatOrderNotification({
-            email,
-            link,
-            quantity: parseInt(quantity),
-            amount,
-            platform,
-            service,
-            quality
-        }, 'Stripe (Card)', japResult));
-    }
+        for (const { provider, batch } of batches) {
+            const results = await provider.multiStatus(batch.map(t => t.japOrderId));
+            if (!results) continue;
 
-    res.json({ received: true });
-});
+            for (const { order, item, japOrderId } of batch) {
+                const result = results[japOrderId];
+                if (!result || result.error) {
+                    if (result?.error) console.error(`${provider.label} status for #${japOrderId}:`, result.error);
+                    continue;
+                }
+
+                const status = JAP_STATUS_MAP[result.status];
+                if (!status) {
+                    console.error(`Unknown ${provider.label} status for #${japOrderId}:`, result.status);
+                    continue;
+                }
+
+                const progress = {
+                    japStatus: result.status,
+                    startCount: result.start_count != null ? parseInt(result.start_count) : null,
+                    remains: result.remains != null ? parseInt(result.remains) : null,
+                    japCheckedAt: new Date().toISOString()
+                };
+
+                if (item) {
+                    await applyCartItemStatus(item, status, progress);
+                    continue;
+                }
+
+                if (status === 'processing') {
+                    orderRepo.updateOrder(order.id, progress);
+                    continue;
+                }
+
+                // Only move orders an admin hasn't touched in the meantime
+                const updated = orderRepo.transitionOrderStatus(order.id, 'processing', status, progress);
+                if (updated) await onOrderFinished(updated);
+            }
+        }
+
+        await pollRefillStatuses();
+    } catch (error) {
+        console.error('JAP status poller error:', error.message);
+    } finally {
+        japPollRunning = false;
+    }
+}
+
+function startJapStatusPoller() {
+    if (!providers.listProviders().some(p => p.configured)) return;
+
+    const poll = () => audit.withActor({ type: 'system', name: 'jap-poller' }, pollJapStatuses);
+    setInterval(poll, Number(JAP_POLL_INTERVAL_MINUTES) * 60 * 1000);
+    poll();
+}
+
+// =====================================================
+// ORDER FULFILLMENT
+// =====================================================
+// Move an unpaid order to 'paid'. Only one caller can ever win this, so
+// duplicate or overlapping payment webhooks cannot fulfill an order twice.
+// This is also where a promo code use is counted. Orders held for review
+// are released by an admin with `from: 'review'`.
+function markOrderPaid(order, changes = {}, { from = 'pending' } = {}) {
+    const paid = orderRepo.transitionOrderStatus(order.id, from, 'paid', changes);
+    if (paid && promoCodes.redeemForOrder(paid)) {
+        audit.record('promo_code.redeemed', { orderId: paid.id, details: { code: paid.promoCode, discount: paid.discountAmount } });
+    }
+    return paid;
+}
+
+// Parent status of a paid cart, derived from its items
+function deriveOrderStatus(items) {
+    const statuses = items.map(i => i.status);
+
+    if (statuses.includes('pending')) return 'paid';
+    if (statuses.includes('processing')) return 'processing';
+    if (statuses.every(s => s === 'completed')) return 'completed';
+    if (statuses.every(s => s === 'failed')) return 'failed';
+    if (statuses.every(s => s === 'failed' || s === 'canceled')) return 'canceled';
+    return 'partial';
+}
+
+// Place a paid order with its supplier (for carts: every item not placed yet).
+// Returns { order, japResult } with the order as it stands afterwards.
+// On failure the order stays 'paid' so it is never picked up as unpaid
+// again, and goes to the retry queue.
+async function placePaidOrder(order) {
+    if (order.itemCount) return placePaidCart(order);
+
+    const japResult = await placeSupplierOrder(order);
+
+    if (!japResult.success) {
+        return { order: await recordFulfillmentFailure(order, japResult.error), japResult };
+    }
+
+    fulfillmentQueue.markDone(order.id);
+    const updated = orderRepo.transitionOrderStatus(order.id, 'paid', 'processing', placementFields(japResult));
+    return { order: updated || order, japResult };
+}
+
+// Each cart item is its own supplier order. A permanent error fails just that
+// item; transient errors leave it pending for the retry queue.
+async function placePaidCart(order) {
+    const placed = [];
+    let lastError = null;
+
+    for (const item of orderRepo.getOrderItems(order.id).filter(i => i.status === 'pending')) {
+        const japResult = await placeSupplierOrder(item);
+
+        if (japResult.success) {
+            orderRepo.updateOrderItem(item.id, { ...placementFields(japResult), status: 'processing', lastError: null });
+            placed.push(japResult.orderId);
+        } else {
+            orderRepo.updateOrderItem(item.id, {
+                status: isPermanentJapError(japResult.error) ? 'failed' : 'pending',
+                lastError: japResult.error
+            });
+            lastError = japResult.error;
+        }
+    }
+
+    const items = orderRepo.getOrderItems(order.id);
+    const japResult = {
+        success: !lastError,
+        orderId: placed.join(', #'),
+        error: lastError
+    };
+
+    if (items.some(i => i.status === 'pending')) {
+        return { order: await recordFulfillmentFailure(order, lastError, { cart: true }), japResult };
+    }
+
+    fulfillmentQueue.markDone(order.id);
+    const updated = orderRepo.transitionOrderStatus(order.id, 'paid', deriveOrderStatus(items));
+    return { order: updated || order, japResult };
+}
+
+// Fulfill a freshly paid order and tell the customer and the team. While
+// fulfillment is paused the order waits in the retry queue instead.
+async function fulfillPaidOrder(order, paymentLabel) {
+    if (isFulfillmentPaused()) {
+        fulfillmentQueue.deferJob(order.id, FULFILLMENT_PAUSED_REASON);
+        console.log(`Order ${order.orderId} queued: ${FULFILLMENT_PAUSED_REASON}`);
+
+        const japResult = { success: false, error: `Queued - ${FULFILLMENT_PAUSED_REASON}` };
+        email.queueOrderEmail(order, 'orderConfirmation');
+        await sendTelegramNotification(formatOrderNotification(order, paymentLabel, japResult), { buttons: orderActionButtons(order) });
+        return { order, japResult };
+    }
+
+    const { order: updated, japResult } = await placePaidOrder(order);
+
+    email.queueOrderEmail(updated, 'orderConfirmation');
+    queueStatusEmail(updated);
+    await sendTelegramNotification(formatOrderNotification(updated, paymentLabel, japResult), {
+        buttons: japResult.success ? [] : orderActionButtons(updated)
+    });
+
+    return { order: updated, japResult };
+}
+
+// =====================================================
+// FULFILLMENT RETRY QUEUE
+// =====================================================
+// JAP errors that will fail the same way on every retry
+const PERMANENT_JAP_ERRORS = [
+    /incorrect link/i,
+    /invalid link/i,
+    /incorrect service/i,
+    /unknown service/i,
+    /service .*(not found|disabled|inactive)/i,
+    /quantity (less|more) than/i,
+    /private/i
+];
+
+function isPermanentJapError(error) {
+    return PERMANENT_JAP_ERRORS.some(pattern => pattern.test(error || ''));
+}
+
+// Queue a failed placement for retry, or fail the order for good.
+// For carts, permanent errors were already applied per item, and giving up
+// only fails the items that are still unplaced.
+// Returns the order as it stands afterwards.
+async function recordFulfillmentFailure(order, error, { cart = false } = {}) {
+    if (/not enough funds|insufficient (funds|balance)/i.test(error || '')) {
+        checkSupplierBalance().catch(e => console.error('Balance check error:', e.message));
+    }
+
+    const job = fulfillmentQueue.recordFailure(order.id, error, {
+        permanent: !cart && isPermanentJapError(error),
+        maxAttempts: Number(JAP_RETRY_MAX_ATTEMPTS)
+    });
+
+    if (job.status === 'queued') {
+        console.log(`Order ${order.orderId} queued for JAP retry #${job.attempts} at ${job.nextAttemptAt}`);
+        return order;
+    }
+
+    let status = 'failed';
+    if (cart) {
+        for (const item of orderRepo.getOrderItems(order.id).filter(i => i.status === 'pending')) {
+            orderRepo.updateOrderItem(item.id, { status: 'failed' });
+        }
+        status = deriveOrderStatus(orderRepo.getOrderItems(order.id));
+    }
+
+    const failed = orderRepo.transitionOrderStatus(order.id, 'paid', status);
+    if (!failed) return order;
+
+    queueStatusEmail(failed);
+    await sendTelegramNotification(`
+❌ <b>FULFILLMENT FAILED</b>
+
+🆔 <b>Order:</b> ${failed.orderId}
+📱 <b>Service:</b> ${failed.platform || 'N/A'} ${failed.service || ''}
+🔁 <b>Attempts:</b> ${job.attempts}
+⚠️ <b>JAP Error:</b> ${error}
+
+<i>Manual action required</i>
+`.trim(), { buttons: orderActionButtons(failed) });
+    return failed;
+}
+
+let fulfillmentQueueRunning = false;
+
+async function processFulfillmentQueue() {
+    if (fulfillmentQueueRunning || isFulfillmentPaused()) return;
+    fulfillmentQueueRunning = true;
+
+    try {
+        for (const job of fulfillmentQueue.listDueJobs()) {
+            const order = orderRepo.getOrderById(job.orderId);
+
+            // Fulfilled or changed by an admin in the meantime
+            if (!order || order.status !== 'paid') {
+                fulfillmentQueue.markDone(job.orderId);
+                continue;
+            }
+
+            const { order: updated, japResult } = await placePaidOrder(order);
+
+            if (updated.status !== 'paid') {
+                queueStatusEmail(updated);
+            }
+            if (japResult.success) {
+                await sendTelegramNotification(`🔁 <b>JAP retry succeeded</b> for ${order.orderId} (attempt ${job.attempts + 1}) - ${providerLabel(japResult.provider)} #${japResult.orderId}`);
+            }
+        }
+    } catch (error) {
+        console.error('Fulfillment queue error:', error.message);
+    } finally {
+        fulfillmentQueueRunning = false;
+    }
+}
+
+function startFulfillmentWorker() {
+    const run = () => audit.withActor({ type: 'system', name: 'fulfillment-queue' }, processFulfillmentQueue);
+    setInterval(run, 60 * 1000);
+    run();
+}
+
+// =====================================================
+// REFILLS & CANCELLATIONS
+// =====================================================
+const REFILL_STATUS_MAP = {
+    'Pending': 'pending',
+    'In progress': 'in_progress',
+    'Completed': 'completed',
+    'Rejected': 'rejected',
+    'Error': 'error'
+};
+
+// Supplier orders behind an order: the order itself, or its cart items
+function supplierTargets(order, statuses) {
+    const records = order.itemCount
+        ? orderRepo.getOrderItems(order.id).map(item => ({ ...item, itemId: item.id }))
+        : [{ ...order, itemId: null }];
+
+    return records.filter(r => r.japOrderId && statuses.includes(r.status));
+}
+
+// Delivered supplier orders whose service may be refilled. Services the
+// synced supplier list marks as non-refillable are skipped.
+function refillTargets(order) {
+    return supplierTargets(order, ['completed', 'partial']).filter(target => {
+        const service = supplierServices.getService(target.provider || providers.DEFAULT_PROVIDER, target.japServiceId);
+        return !service || service.refill;
+    });
+}
+
+function refillDeadline(order) {
+    return new Date(new Date(order.date).getTime() + Number(REFILL_WINDOW_DAYS) * 24 * 60 * 60 * 1000);
+}
+
+// Why an order can't be refilled right now, or null. Customers are also held
+// to the refill window and cooldown.
+function refillBlocker(order, { customer = false } = {}) {
+    if (!['completed', 'partial'].includes(order.status)) {
+        return 'Only delivered orders can be refilled';
+    }
+    if (!refillTargets(order).length) {
+        return 'This service does not support refills';
+    }
+    if (!customer) return null;
+
+    if (Date.now() > refillDeadline(order).getTime()) {
+        return 'The refill window for this order has ended';
+    }
+
+    const last = refills.getLastRefill(order.id);
+    if (last && refills.OPEN_STATUSES.includes(last.status)) {
+        return 'A refill is already in progress';
+    }
+    if (last && Date.now() - new Date(last.createdAt).getTime() < Number(REFILL_COOLDOWN_HOURS) * 60 * 60 * 1000) {
+        return `Refills can be requested once every ${REFILL_COOLDOWN_HOURS} hours`;
+    }
+    return null;
+}
+
+// Ask the supplier to refill every delivered supplier order (or one cart
+// item). Each request is stored, refused ones included.
+async function requestRefill(order, { requestedBy, itemId = null } = {}) {
+    const targets = refillTargets(order).filter(t => !itemId || t.itemId === itemId);
+    const created = [];
+
+    for (const target of targets) {
+        // The panel that placed the order may have been removed since
+        const providerName = target.provider || providers.DEFAULT_PROVIDER;
+        const provider = providers.getProvider(providerName);
+        const result = provider?.configured
+            ? await provider.refill(target.japOrderId)
+            : { success: false, error: `Supplier "${providerName}" that placed this order is no longer configured` };
+
+        created.push(refills.createRefill({
+            orderId: order.id,
+            itemId: target.itemId,
+            provider: providerName,
+            japOrderId: target.japOrderId,
+            refillId: result.refillId,
+            status: result.success ? 'pending' : 'rejected',
+            requestedBy,
+            lastError: result.error
+        }));
+    }
+
+    audit.record('order.refill_requested', {
+        orderId: order.id,
+        details: { requestedBy, refills: created.map(r => ({ japOrderId: r.japOrderId, refillId: r.refillId, status: r.status })) }
+    });
+    return created;
+}
+
+// Move open refills forward with the supplier's refill_status
+async function pollRefillStatuses() {
+    for (const refill of refills.listOpenRefills()) {
+        const provider = providers.getProvider(refill.provider);
+        if (!provider?.configured) continue;
+
+        const result = await provider.refillStatus(refill.refillId);
+        const status = REFILL_STATUS_MAP[result?.status];
+        if (!status) {
+            if (result?.error) console.error(`${provider.label} refill status for #${refill.refillId}:`, result.error);
+            continue;
+        }
+
+        if (status !== refill.status) {
+            refills.updateRefillStatus(refill.id, status);
+            console.log(`Refill #${refill.refillId} for order #${refill.orderId} is now ${status}`);
+        }
+    }
+}
+
+// Ask the supplier to cancel an order's running supplier orders. The poller
+// picks up the resulting Canceled/Partial status like any other.
+// Returns [{ japOrderId, success, error? }].
+async function cancelSupplierOrders(order) {
+    const targets = supplierTargets(order, ['processing']);
+    const results = [];
+
+    for (const provider of providers.listProviders()) {
+        const own = targets.filter(t => (t.provider || providers.DEFAULT_PROVIDER) === provider.name);
+        if (!own.length) continue;
+
+        const response = await provider.cancel(own.map(t => t.japOrderId));
+        for (const target of own) {
+            const entry = response.results?.find(r => String(r.order) === String(target.japOrderId));
+            const error = !response.success ? response.error
+                : !entry ? 'No response for this order'
+                : entry.cancel?.error || entry.error || null;
+            results.push({ japOrderId: target.japOrderId, itemId: target.itemId, success: !error, ...(error ? { error } : {}) });
+        }
+    }
+
+    return results;
+}
+
+// =====================================================
+// SUPPLIER BALANCE MONITOR - Alerts and low-balance circuit breaker
+// =====================================================
+// Below JAP_BALANCE_FLOOR automatic fulfillment pauses: paid orders wait in
+// the retry queue instead of failing with "not enough funds", and the queue
+// drains once the balance is topped up.
+const FULFILLMENT_PAUSED_REASON = 'fulfillment paused (low supplier balance)';
+
+const BALANCE_THRESHOLDS = String(JAP_BALANCE_ALERT_THRESHOLDS)
+    .split(',')
+    .map(Number)
+    .filter(t => t > 0)
+    .sort((a, b) => b - a);
+
+const balanceState = {
+    balance: null,
+    currency: null,
+    checkedAt: null,
+    paused: false,
+    alertedThreshold: null
+};
+
+function isFulfillmentPaused() {
+    return balanceState.paused;
+}
+
+function getBalanceState() {
+    return { ...balanceState, floor: Number(JAP_BALANCE_FLOOR), thresholds: BALANCE_THRESHOLDS };
+}
+
+async function checkSupplierBalance() {
+    const provider = providers.getProvider();
+    if (!provider.configured) return null;
+
+    const result = await provider.balance();
+    if (!result.success) {
+        console.error(`${provider.label} balance check failed:`, result.error);
+        return null;
+    }
+
+    const amount = `${result.balance.toFixed(2)} ${result.currency}`;
+    Object.assign(balanceState, {
+        balance: result.balance,
+        currency: result.currency,
+        checkedAt: new Date().toISOString()
+    });
+
+    // Alert once per threshold crossed on the way down. A top-up above a
+    // threshold re-arms its alert.
+    const crossed = BALANCE_THRESHOLDS.filter(t => result.balance < t).pop() ?? null;
+    if (crossed !== null && (balanceState.alertedThreshold === null || crossed < balanceState.alertedThreshold)) {
+        await sendTelegramNotification(`💸 <b>${provider.label} balance low:</b> ${amount} (below ${crossed.toFixed(2)})`);
+    }
+    balanceState.alertedThreshold = crossed;
+
+    const floor = Number(JAP_BALANCE_FLOOR);
+    if (!balanceState.paused && result.balance < floor) {
+        balanceState.paused = true;
+        console.error(`${provider.label} balance ${amount} below floor - pausing automatic fulfillment`);
+        audit.record('fulfillment.paused', { details: { balance: result.balance, floor } });
+        await sendTelegramNotification(`🛑 <b>Fulfillment paused</b>
+
+${provider.label} balance is ${amount}, below the ${floor.toFixed(2)} floor. Paid orders are queued until it is topped up.${JAP_LOW_BALANCE_REFUSE_CHECKOUT === 'true' ? '\nNew checkouts are refused.' : ''}`);
+    } else if (balanceState.paused && result.balance >= floor) {
+        balanceState.paused = false;
+        console.log(`${provider.label} balance restored (${amount}) - resuming fulfillment`);
+        audit.record('fulfillment.resumed', { details: { balance: result.balance, floor } });
+        await sendTelegramNotification(`✅ <b>Fulfillment resumed</b> - ${provider.label} balance is ${amount}. Queued orders: ${fulfillmentQueue.getQueueDepth()}`);
+        processFulfillmentQueue();
+    }
+
+    return getBalanceState();
+}
+
+function startBalanceMonitor() {
+    if (!providers.isConfigured(providers.DEFAULT_PROVIDER)) return;
+
+    const check = () => audit.withActor({ type: 'system', name: 'balance-monitor' }, checkSupplierBalance)
+        .catch(error => console.error('Balance monitor error:', error.message));
+    setInterval(check, Number(JAP_BALANCE_CHECK_MINUTES) * 60 * 1000);
+    check();
+}
+
+// =====================================================
+// SUPPLIER SERVICE SYNC - Checks catalog mappings against the panels
+// =====================================================
+// What a mapped service's category/name must mention for each catalog group.
+// Crypto entries are matched per service prefix.
+const PLATFORM_KEYWORDS = {
+    instagram: /instagram/i,
+    tiktok: /tiktok/i,
+    youtube: /youtube/i,
+    twitter: /twitter|\bx\b/i,
+    trends: /twitter|\bx\b|trend/i
+};
+
+const CRYPTO_KEYWORDS = {
+    cmc: /coinmarketcap|\bcmc\b/i,
+    watchlist: /coinmarketcap|coingecko|\bcmc\b|watchlist/i,
+    opensea: /opensea/i
+};
+
+let supplierSyncRunning = false;
+let lastMappingIssues = '';
+
+function expectedCategory(group, key) {
+    if (group === 'crypto') return CRYPTO_KEYWORDS[key.split('-')[0]] || null;
+    return PLATFORM_KEYWORDS[group] || null;
+}
+
+// Check every catalog entry's primary and fallback routes against the synced
+// supplier services. Prices are compared per `per` units, like the catalog.
+function checkServiceMappings() {
+    const mappings = [];
+
+    for (const [group, services] of Object.entries(PRICE_CATALOG)) {
+        for (const [key, entry] of Object.entries(services)) {
+            const maxDiscount = Math.max(0, ...(entry.tiers || []).map(t => t.discount));
+
+            for (const [quality, price] of Object.entries(entry.prices)) {
+                getServiceRoutes(group, key, quality).forEach((route, index) => {
+                    const supplier = supplierServices.getService(route.provider, route.service);
+                    const cost = supplier?.rate != null ? Math.round(supplier.rate * entry.per / 1000 * 10000) / 10000 : null;
+                    const issues = [];
+
+                    if (!supplierServices.getLastSync(route.provider)) {
+                        issues.push('not_synced');
+                    } else if (!supplier || !supplier.active) {
+                        issues.push('missing');
+                    } else {
+                        const category = expectedCategory(group, key);
+                        if (category && !category.test(`${supplier.category} ${supplier.name}`)) {
+                            issues.push('category_mismatch');
+                        }
+                        if (cost > price) {
+                            issues.push('rate_above_price');
+                        } else if (cost > price * (1 - maxDiscount)) {
+                            issues.push('rate_above_discounted_price');
+                        }
+                        if ((supplier.min != null && supplier.min > entry.min) || (supplier.max != null && supplier.max < entry.max)) {
+                            issues.push('quantity_out_of_range');
+                        }
+                    }
+
+                    mappings.push({
+                        group,
+                        service: key,
+                        quality,
+                        role: index === 0 ? 'primary' : 'fallback',
+                        provider: route.provider,
+                        serviceId: route.service,
+                        price,
+                        cost,
+                        supplier: supplier && {
+                            name: supplier.name,
+                            category: supplier.category,
+                            rate: supplier.rate,
+                            min: supplier.min,
+                            max: supplier.max,
+                            refill: supplier.refill,
+                            cancel: supplier.cancel,
+                            active: supplier.active
+                        },
+                        issues
+                    });
+                });
+            }
+        }
+    }
+
+    return mappings;
+}
+
+// Sync every configured provider, then alert when the set of broken mappings changes
+async function syncSupplierServices() {
+    if (supplierSyncRunning) return null;
+    supplierSyncRunning = true;
+
+    try {
+        const results = {};
+        for (const provider of providers.listProviders().filter(p => p.configured)) {
+            results[provider.name] = await supplierServices.syncProvider(provider);
+        }
+
+        const flagged = checkServiceMappings().filter(m => m.issues.some(issue => issue !== 'not_synced'));
+        const signature = flagged.map(m => `${m.group}/${m.service}/${m.quality}/${m.provider}:${m.issues.join(',')}`).join('|');
+
+        if (flagged.length && signature !== lastMappingIssues) {
+            const lines = flagged.slice(0, 15).map(m => `• ${m.group} ${m.service} (${m.quality}) → ${m.provider} #${m.serviceId}: ${m.issues.join(', ')}`);
+            await sendTelegramNotification(`
+⚠️ <b>SUPPLIER MAPPING ISSUES</b> (${flagged.length})
+
+${lines.join('\n')}${flagged.length > lines.length ? '\n…' : ''}
+`.trim());
+        }
+        lastMappingIssues = signature;
+
+        return { results, issues: flagged.length };
+    } catch (error) {
+        console.error('Supplier sync error:', error.message);
+        return null;
+    } finally {
+        supplierSyncRunning = false;
+    }
+}
+
+function startSupplierSyncWorker() {
+    if (!providers.listProviders().some(p => p.configured)) return;
+    setInterval(syncSupplierServices, Number(SUPPLIER_SYNC_INTERVAL_HOURS) * 60 * 60 * 1000);
+    syncSupplierServices();
+}
+
+// =====================================================
+// WEBHOOK EVENT LEDGER
+// =====================================================
+// Run `handler` once per provider event ID. Duplicates are acknowledged
+// without side effects; failures are recorded so the provider retry (or an
+// admin replay) can process the event again.
+async function processWebhookEvent(provider, eventId, type, payload) {
+    const event = webhookEvents.claimEvent(provider, eventId, type, payload);
+    if (!event) {
+        console.log(`Duplicate ${provider} webhook ${eventId} ignored`);
+        return { duplicate: true };
+    }
+
+    try {
+        await audit.withActor({ type: 'webhook', name: provider }, () => WEBHOOK_HANDLERS[provider](payload));
+        webhookEvents.markEventProcessed(event.id);
+        return { duplicate: false };
+    } catch (error) {
+        webhookEvents.markEventFailed(event.id, error.message);
+        throw error;
+    }
+}
+
+// =====================================================
+// HEALTH CHECK
+// =====================================================
+app.get('/', (req, res) => {
+    res.json({ 
+        status: 'GetFame Backend v5 Running',
+        features: [
+            'Stripe',
+            'Crypto',
+            'JAP Integration',
+            'JAP Status Polling',
+            'Order Tracking',
+            'Server-side Pricing',
+            'Telegram Notifications',
+            'Customer Emails',
+            'Supplier Balance Monitoring'
+        ],
+        maintenance: JAP_LOW_BALANCE_REFUSE_CHECKOUT === 'true' && isFulfillmentPaused(),
+        timestamp: new Date().toISOString()
+    });
+});
+
+// =====================================================
+// PUBLIC CATALOG
+// =====================================================
+app.get('/api/catalog', (req, res) => {
+    res.json({ currency: 'usd', catalog: getPublicCatalog() });
+});
+
+// =====================================================
+// STRIPE PAYMENT (Card)
+// =====================================================
+// Shared by /api/order and account reorders
+async function createStripeCheckout(req, res) {
+    try {
+        if (!stripe) {
+            return res.status(500).json({ error: 'Stripe not configured' });
+        }
+
+        const { email } = req.body;
+
+        // Price the order from the catalog (client amounts are ignored)
+        const checkout = quoteCheckout(req.body);
+        if (checkout.error) {
+            console.error('Could not price order:', { items: req.body.items, platform: req.body.platform, service: req.body.service, error: checkout.error });
+            return res.status(400).json({ error: checkout.error, fields: checkout.fields });
+        }
+
+        const orderFields = checkoutOrderFields(checkout);
+
+        // Card orders are screened for fraud before payment (and again once paid)
+        const screening = risk.scoreCheckout({
+            email,
+            clientIp: req.ip,
+            amount: checkout.amount,
+            links: checkout.items.map(item => item.link)
+        });
+        if (screening.score >= risk.BLOCK_SCORE) {
+            console.log('Checkout refused by fraud screening:', { email, score: screening.score, reasons: screening.reasons });
+            audit.record('order.blocked', {
+                details: { email, amount: checkout.amount, score: screening.score, reasons: screening.reasons },
+                actor: { type: 'customer', name: email, ip: req.ip }
+            });
+            return res.status(403).json({ error: 'We could not accept this order. Please contact support.' });
+        }
+
+        const orderId = generatePublicId('GF-');
+        const metadata = checkout.isCart
+            ? { orderId, itemCount: String(checkout.items.length) }
+            : {
+                orderId,
+                link: orderFields.link,
+                quantity: orderFields.quantity.toString(),
+                platform: orderFields.platform,
+                service: orderFields.service,
+                quality: orderFields.quality,
+                japServiceId: orderFields.japServiceId.toString()
+            };
+        if (checkout.promoCode) metadata.promoCode = checkout.promoCode;
+
+        // Create Stripe checkout session (one line item per cart item)
+        const session = await stripe.checkout.sessions.create({
+            payment_method_types: ['card'],
+            line_items: checkout.items.map(item => ({
+                price_data: {
+                    currency: 'usd',
+                    product_data: {
+                        name: describeCheckoutItem(item),
+                        description: `Quality: ${item.quality || 'Standard'}${item.promoCode ? ` - code ${item.promoCode}` : ''}`
+                    },
+                    unit_amount: item.amountCents
+                },
+                quantity: 1
+            })),
+            mode: 'payment',
+            success_url: `${FRONTEND_URL}/success/?session_id={CHECKOUT_SESSION_ID}`,
+            cancel_url: `${FRONTEND_URL}/order/`,
+            customer_email: email,
+            metadata
+        });
+
+        // Save pending order
+        orderRepo.createOrder({
+            ...orderFields,
+            orderId,
+            stripeSessionId: session.id,
+            email,
+            status: 'pending',
+            paymentMethod: 'stripe',
+            clientIp: req.ip,
+            riskScore: screening.score,
+            riskReasons: screening.reasons
+        }, checkout.isCart ? checkout.items : []);
+
+        res.json({ url: session.url, sessionId: session.id });
+
+    } catch (error) {
+        console.error('Stripe error:', error.message);
+        res.status(500).json({ error: 'Payment initialization failed' });
+    }
+}
+
+app.post('/api/order', orderLimiter, checkoutMaintenance, validate(SCHEMAS.checkout), createStripeCheckout);
+
+// =====================================================
+// STRIPE WEBHOOK - Fulfill orders after payment
+// =====================================================
+app.post('/api/webhooks/stripe', express.raw({ type: 'application/json' }), async (req, res) => {
+    const sig = req.headers['stripe-signature'];
+    let event;
+
+    try {
+        if (STRIPE_WEBHOOK_SECRET) {
+            event = stripe.webhooks.constructEvent(req.body, sig, STRIPE_WEBHOOK_SECRET);
+        } else {
+            event = JSON.parse(req.body.toString());
+        }
+    } catch (err) {
+        console.error('Stripe webhook signature verification failed:', err.message);
+        return res.status(400).send(`Webhook Error: ${err.message}`);
+    }
+
+    try {
+        const result = await processWebhookEvent('stripe', event.id, event.type, event);
+        res.json({ received: true, duplicate: result.duplicate });
+    } catch (error) {
+        console.error('Stripe webhook error:', error.message);
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+});
+
+async function handleStripeEvent(event) {
+    const object = event.data.object;
+
+    switch (event.type) {
+        case 'checkout.session.completed':
+            return handleCheckoutCompleted(object);
+        case 'checkout.session.expired':
+            return handleCheckoutExpired(object);
+        case 'charge.refunded':
+            return handleChargeRefunded(object);
+        case 'charge.dispute.created':
+            return handleDisputeCreated(object);
+        case 'charge.dispute.closed':
+            return handleDisputeClosed(object);
+    }
+}
+
+async function handleCheckoutCompleted(session) {
+    if (session.payment_status && session.payment_status !== 'paid') return;
+
+    const order = orderRepo.getOrderByStripeSession(session.id);
+    if (!order) {
+        const topup = wallet.getTopupByStripeSession(session.id);
+        if (topup) return settleStripeTopup(topup, session.payment_intent);
+
+        console.error('Stripe session without order:', session.id);
+        await sendTelegramNotification(`
+⚠️ <b>STRIPE PAYMENT WITHOUT ORDER</b>
+
+💰 <b>Amount:</b> $${(session.amount_total / 100).toFixed(2)}
+🆔 <b>Session:</b> ${session.id}
+
+<i>Manual fulfillment may be required</i>
+`.trim());
+        return;
+    }
+
+    // Second fraud screening, now with what Stripe knows about the card
+    const screening = await screenStripePayment(order, session.payment_intent);
+    const changes = { stripePaymentIntentId: session.payment_intent, riskScore: screening.score, riskReasons: screening.reasons };
+
+    if (screening.score >= risk.REVIEW_SCORE) {
+        const held = orderRepo.transitionOrderStatus(order.id, 'pending', 'review', changes);
+        if (held) await notifyOrderHeldForReview(held);
+        return;
+    }
+
+    const paid = markOrderPaid(order, changes);
+    if (!paid) {
+        console.log(`Order ${order.orderId} already paid, skipping fulfillment`);
+        return;
+    }
+
+    console.log('Payment confirmed:', { orderId: paid.orderId, platform: paid.platform, service: paid.service, quantity: paid.quantity });
+    await fulfillPaidOrder(paid, 'Stripe (Card)');
+}
+
+// Score a paid order (or card top-up) with its charge's Radar outcome and
+// card country. If Stripe cannot be reached the checkout score stands on its own.
+async function screenStripePayment(order, paymentIntentId) {
+    let charge = null;
+    if (paymentIntentId) {
+        try {
+            const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+            charge = paymentIntent.latest_charge;
+        } catch (error) {
+            console.error(`Could not load charge for ${order.orderId || order.topupId}:`, error.message);
+        }
+    }
+    return risk.scorePayment(order, charge);
+}
+
+async function notifyOrderHeldForReview(order) {
+    console.log(`Order ${order.orderId} held for review (risk score ${order.riskScore})`);
+    await sendTelegramNotification(`
+🛑 <b>ORDER HELD FOR REVIEW</b>
+
+🆔 <b>Order:</b> ${order.orderId}
+💰 <b>Amount:</b> $${order.amount?.toFixed(2) || 'N/A'}
+📧 <b>Email:</b> ${order.email || 'N/A'}
+⚠️ <b>Risk score:</b> ${order.riskScore}
+${(order.riskReasons || []).map(reason => `• ${reason}`).join('\n')}
+
+<i>Approve to fulfill it, or reject to refund the customer</i>
+`.trim());
+}
+
+async function handleCheckoutExpired(session) {
+    const order = orderRepo.getOrderByStripeSession(session.id);
+    const expired = order && orderRepo.transitionOrderStatus(order.id, 'pending', 'expired');
+    if (expired) {
+        console.log(`Order ${order.orderId} expired (checkout abandoned)`);
+        await sendTelegramNotification(`
+⌛ <b>CHECKOUT EXPIRED</b>
+
+🆔 <b>Order:</b> ${expired.orderId}
+💰 <b>Amount:</b> $${expired.amount?.toFixed(2) || 'N/A'}
+📧 <b>Email:</b> ${expired.email || 'N/A'}
+
+<i>The customer did not complete the payment</i>
+`.trim());
+    }
+
+    const topup = !order && wallet.getTopupByStripeSession(session.id);
+    if (topup && wallet.expireTopup(topup)) {
+        console.log(`Wallet top-up ${topup.topupId} expired (checkout abandoned)`);
+    }
+}
+
+async function handleChargeRefunded(charge) {
+    const order = await findOrderByPaymentIntent(charge.payment_intent);
+    if (!order) {
+        const topup = await findTopupByPaymentIntent(charge.payment_intent);
+        if (topup) return handleTopupRefunded(topup, charge);
+
+        console.error('Stripe refund without order:', charge.payment_intent);
+        return;
+    }
+
+    // amount_refunded is cumulative, so replays and our own refunds converge
+    const refundedAmount = charge.amount_refunded / 100;
+    const updated = orderRepo.updateOrder(order.id, {
+        refundedAmount,
+        ...(charge.refunded ? { status: 'refunded' } : {})
+    });
+
+    await sendTelegramNotification(`
+💸 <b>${charge.refunded ? 'ORDER REFUNDED' : 'PARTIAL REFUND'}</b>
+
+🆔 <b>Order:</b> ${updated.orderId}
+💰 <b>Refunded:</b> $${refundedAmount.toFixed(2)} of $${updated.amount?.toFixed(2) || '0.00'}
+📦 <b>Status:</b> ${updated.status}
+`.trim());
+}
+
+async function handleDisputeCreated(dispute) {
+    const order = await findOrderByPaymentIntent(dispute.payment_intent);
+    if (!order) {
+        const topup = await findTopupByPaymentIntent(dispute.payment_intent);
+        if (topup) return handleTopupDisputed(topup, dispute);
+
+        console.error('Stripe dispute without order:', dispute.payment_intent);
+        return;
+    }
+
+    const updated = orderRepo.updateOrder(order.id, {
+        status: 'disputed',
+        disputeStatus: dispute.status,
+        // Keep the first pre-dispute status if the event is replayed
+        preDisputeStatus: order.status === 'disputed' ? order.preDisputeStatus : order.status
+    });
+
+    await sendTelegramNotification(`
+🚨 <b>CHARGEBACK OPENED</b>
+
+🆔 <b>Order:</b> ${updated.orderId}
+💰 <b>Amount:</b> $${(dispute.amount / 100).toFixed(2)}
+❓ <b>Reason:</b> ${dispute.reason || 'N/A'}
+📧 <b>Email:</b> ${updated.email || 'N/A'}
+
+<i>Respond in the Stripe dashboard before the deadline</i>
+`.trim());
+}
+
+// `subject` prefixes the title, e.g. 'TOP-UP '
+function disputeClosedTitle(dispute, subject = '') {
+    if (dispute.status === 'lost') return `❌ <b>${subject}CHARGEBACK LOST</b>`;
+    if (dispute.status === 'won') return `✅ <b>${subject}CHARGEBACK WON</b>`;
+    return `✅ <b>${subject}DISPUTE CLOSED</b> (${dispute.status})`;
+}
+
+async function handleDisputeClosed(dispute) {
+    const order = await findOrderByPaymentIntent(dispute.payment_intent);
+    if (!order) {
+        const topup = await findTopupByPaymentIntent(dispute.payment_intent);
+        if (topup) await handleTopupDisputeClosed(topup, dispute);
+        return;
+    }
+
+    // Only a lost dispute takes the money. Won ones and inquiries closed
+    // without a chargeback (warning_closed) put the order back as it was.
+    const lost = dispute.status === 'lost';
+    const updated = orderRepo.updateOrder(order.id, {
+        status: lost ? 'refunded' : (order.preDisputeStatus || 'completed'),
+        disputeStatus: dispute.status,
+        ...(lost ? { refundedAmount: dispute.amount / 100 } : {})
+    });
+
+    await sendTelegramNotification(`
+${disputeClosedTitle(dispute)}
+
+🆔 <b>Order:</b> ${updated.orderId}
+💰 <b>Amount:</b> $${(dispute.amount / 100).toFixed(2)}
+📦 <b>Status:</b> ${updated.status}
+`.trim());
+}
+
+// =====================================================
+// STRIPE REFUNDS
+// =====================================================
+// Charges and disputes only carry the payment intent. Orders paid before we
+// stored it are found through their checkout session and backfilled.
+async function findOrderByPaymentIntent(paymentIntentId) {
+    if (!paymentIntentId) return null;
+
+    const order = orderRepo.getOrderByPaymentIntent(paymentIntentId);
+    if (order) return order;
+
+    const sessionId = await findCheckoutSessionId(paymentIntentId);
+    const legacy = sessionId && orderRepo.getOrderByStripeSession(sessionId);
+    return legacy ? orderRepo.updateOrder(legacy.id, { stripePaymentIntentId: paymentIntentId }) : null;
+}
+
+// Same for wallet top-ups (ones credited before the payment intent was stored
+// are only found through their session)
+async function findTopupByPaymentIntent(paymentIntentId) {
+    if (!paymentIntentId) return null;
+
+    const topup = wallet.getTopupByPaymentIntent(paymentIntentId);
+    if (topup) return topup;
+
+    const sessionId = await findCheckoutSessionId(paymentIntentId);
+    return sessionId ? wallet.getTopupByStripeSession(sessionId) : null;
+}
+
+async function findCheckoutSessionId(paymentIntentId) {
+    if (!stripe) return null;
+
+    try {
+        const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+        return sessions.data[0]?.id || null;
+    } catch (error) {
+        console.error('Stripe session lookup error:', error.message);
+        return null;
+    }
+}
+
+// Refund for the undelivered part of a Partial order. For carts that is the
+// undelivered share of partial items plus every item that never delivered.
+function partialRefundAmount(order) {
+    if (order.itemCount) {
+        const undelivered = orderRepo.getOrderItems(order.id).reduce((sum, item) => {
+            if (item.status === 'failed' || item.status === 'canceled') return sum + item.amount;
+            if (item.status === 'partial' && item.remains != null) return sum + item.amount * item.remains / item.quantity;
+            return sum;
+        }, 0);
+        return Math.round(undelivered * 100) / 100;
+    }
+
+    if (!order.quantity || order.remains == null) return 0;
+    return Math.round(order.amount * order.remains / order.quantity * 100) / 100;
+}
+
+async function refundStripeOrder(order, amount) {
+    if (!stripe) {
+        return { success: false, error: 'Stripe not configured' };
+    }
+
+    try {
+        let paymentIntentId = order.stripePaymentIntentId;
+        if (!paymentIntentId && order.stripeSessionId) {
+            const session = await stripe.checkout.sessions.retrieve(order.stripeSessionId);
+            paymentIntentId = session.payment_intent;
+        }
+        if (!paymentIntentId) {
+            return { success: false, error: 'No Stripe payment found for this order' };
+        }
+
+        // Keyed on the order's refunded total so far, so two refunds of the
+        // same amount started at once (admin, bot, reject) refund only once
+        const refundedCents = Math.round((order.refundedAmount || 0) * 100);
+        const refund = await stripe.refunds.create({
+            payment_intent: paymentIntentId,
+            amount: Math.round(amount * 100),
+            metadata: { orderId: order.orderId }
+        }, { idempotencyKey: `refund-${order.orderId}-${refundedCents}-${Math.round(amount * 100)}` });
+
+        const refundedAmount = Math.round(((order.refundedAmount || 0) + amount) * 100) / 100;
+        const updated = orderRepo.updateOrder(order.id, {
+            stripePaymentIntentId: paymentIntentId,
+            refundedAmount,
+            ...(refundedAmount >= order.amount ? { status: 'refunded' } : {})
+        });
+
+        console.log(`Refunded $${amount.toFixed(2)} for order ${order.orderId} (${refund.id})`);
+        return { success: true, refundId: refund.id, order: updated };
+    } catch (error) {
+        console.error('Stripe refund error:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+// =====================================================
+// CRYPTO PAYMENT (NOWPayments)
+// =====================================================
+// Create a NOWPayments invoice (orders and wallet top-ups). Returns the
+// parsed response; `invoice_url` is set on success.
+async function createNowPaymentsInvoice({ amount, orderId, description, successUrl = `${FRONTEND_URL}/success/`, cancelUrl = `${FRONTEND_URL}/order/` }) {
+    const response = await fetch('https://api.nowpayments.io/v1/invoice', {
+        method: 'POST',
+        headers: {
+            'x-api-key': NOWPAYMENTS_API_KEY,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            price_amount: amount,
+            price_currency: 'usd',
+            order_id: orderId,
+            order_description: description,
+            ipn_callback_url: `${BACKEND_URL}/api/webhooks/nowpayments`,
+            success_url: successUrl,
+            cancel_url: cancelUrl
+        })
+    });
+
+    return response.json();
+}
+
+// Shared by /api/order/crypto and account reorders
+async function createCryptoCheckout(req, res) {
+    try {
+        if (!NOWPAYMENTS_API_KEY) {
+            return res.status(500).json({ error: 'Crypto payments not configured' });
+        }
+
+        const { email } = req.body;
+
+        // Price the order from the catalog (client amounts are ignored)
+        const checkout = quoteCheckout(req.body);
+        if (checkout.error) {
+            return res.status(400).json({ error: checkout.error, fields: checkout.fields });
+        }
+
+        const orderFields = checkoutOrderFields(checkout);
+
+        const orderId = generatePublicId('gf_');
+
+        const data = await createNowPaymentsInvoice({
+            amount: checkout.amount,
+            orderId,
+            description: checkout.items.map(describeCheckoutItem).join(', ')
+        });
+
+        if (data.invoice_url) {
+            // Save pending order
+            orderRepo.createOrder({
+                ...orderFields,
+                orderId,
+                invoiceId: data.id,
+                email,
+                status: 'pending',
+                paymentMethod: 'crypto'
+            }, checkout.isCart ? checkout.items : []);
+
+            res.json({ url: data.invoice_url, invoiceId: data.id });
+        } else {
+            console.error('NOWPayments error:', data);
+            res.status(500).json({ error: 'Failed to create crypto payment' });
+        }
+    } catch (error) {
+        console.error('Crypto payment error:', error.message);
+        res.status(500).json({ error: 'Crypto payment initialization failed' });
+    }
+}
+
+app.post('/api/order/crypto', orderLimiter, checkoutMaintenance, validate(SCHEMAS.checkout), createCryptoCheckout);
+
+// =====================================================
+// NOWPAYMENTS WEBHOOK
+// =====================================================
+// NOWPayments signs the IPN body with its keys sorted (recursively)
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (!value || typeof value !== 'object') return value;
+    return Object.keys(value).sort().reduce((acc, key) => {
+        acc[key] = sortKeys(value[key]);
+        return acc;
+    }, {});
+}
+
+function verifyNowPaymentsSignature(body, signature) {
+    const expected = crypto
+        .createHmac('sha512', NOWPAYMENTS_IPN_SECRET)
+        .update(JSON.stringify(sortKeys(body)))
+        .digest();
+    const received = Buffer.from(String(signature || ''), 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+app.post('/api/webhooks/nowpayments', async (req, res) => {
+    try {
+        // With a secret configured, unsigned IPNs are rejected too
+        if (NOWPAYMENTS_IPN_SECRET && !verifyNowPaymentsSignature(req.body, req.headers['x-nowpayments-sig'])) {
+            return res.status(400).json({ error: 'Invalid signature' });
+        }
+
+        // NOWPayments has no event ID: one event per payment per status (and
+        // per amount, since partially_paid repeats as more funds arrive)
+        const { payment_id, payment_status, order_id, actually_paid } = req.body;
+        const eventId = `${payment_id || order_id}:${payment_status}:${actually_paid ?? ''}`;
+
+        const result = await processWebhookEvent('nowpayments', eventId, payment_status, req.body);
+        res.json({ success: true, duplicate: result.duplicate });
+    } catch (error) {
+        console.error('NOWPayments webhook error:', error.message);
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+});
+
+// IPN payment_status -> what it means for the order
+const NOWPAYMENTS_STATUSES = {
+    waiting: 'pending',
+    confirming: 'pending',
+    confirmed: 'paid',
+    sending: 'paid',
+    partially_paid: 'paid',
+    finished: 'paid',
+    failed: 'failed',
+    expired: 'expired',
+    refunded: 'refunded'
+};
+
+// Share of the invoice that was not paid (0 when paid in full or over)
+function nowPaymentsShortfall(ipn) {
+    const expected = Number(ipn.pay_amount);
+    const paid = Number(ipn.actually_paid);
+    if (!expected || !Number.isFinite(paid)) return 0;
+    return Math.max(expected - paid, 0) / expected;
+}
+
+function isUnderpaid(ipn) {
+    return nowPaymentsShortfall(ipn) * 100 > Number(NOWPAYMENTS_UNDERPAY_TOLERANCE_PERCENT);
+}
+
+function cryptoPaymentLabel(ipn) {
+    return `Crypto (${ipn.pay_currency?.toUpperCase()})`;
+}
+
+async function handleNowPaymentsIpn(ipn) {
+    const { payment_status, order_id, price_amount, pay_currency } = ipn;
+    const outcome = NOWPAYMENTS_STATUSES[payment_status];
+    if (!outcome) {
+        console.log(`Unknown NOWPayments status "${payment_status}" for ${order_id}`);
+        return;
+    }
+
+    const topup = wallet.getTopupByTopupId(order_id);
+    if (topup) return handleNowPaymentsTopup(topup, ipn, outcome);
+
+    const order = orderRepo.getOrderByOrderId(order_id);
+    if (!order || !(order.japServiceId || order.itemCount)) {
+        if (outcome !== 'paid') return;
+
+        // Generic notification if order not found
+        await sendTelegramNotification(`
+🛒 <b>NEW CRYPTO ORDER</b>
+
+💰 <b>Amount:</b> $${price_amount}
+🪙 <b>Currency:</b> ${pay_currency?.toUpperCase()}
+🆔 <b>Order ID:</b> ${order_id}
+
+✅ <b>Status:</b> Payment Confirmed
+⚠️ <i>Manual fulfillment may be required</i>
+`.trim());
+        return;
+    }
+
+    // Every IPN updates what the customer has sent so far
+    const tracked = orderRepo.updateOrder(order.id, {
+        cryptoPaymentStatus: payment_status,
+        cryptoPaidAmount: ipn.actually_paid != null ? Number(ipn.actually_paid) : undefined,
+        cryptoExpectedAmount: ipn.pay_amount != null ? Number(ipn.pay_amount) : undefined,
+        cryptoCurrency: pay_currency?.toLowerCase()
+    });
+
+    switch (outcome) {
+        case 'paid':
+            return settleCryptoOrder(tracked, ipn);
+        case 'failed':
+        case 'expired':
+            if (orderRepo.transitionOrderStatus(order.id, 'pending', outcome)) {
+                console.log(`Order ${order.orderId} ${outcome} (crypto payment ${payment_status})`);
+            }
+            return;
+        case 'refunded':
+            return handleCryptoRefund(tracked);
+    }
+}
+
+// Fulfill a paid crypto order, or hold it for review when the customer sent
+// less than the invoice (beyond NOWPAYMENTS_UNDERPAY_TOLERANCE_PERCENT)
+async function settleCryptoOrder(order, ipn) {
+    if (isUnderpaid(ipn)) {
+        const held = orderRepo.transitionOrderStatus(order.id, 'pending', 'review');
+        if (!held) return;
+
+        const shortfall = (nowPaymentsShortfall(ipn) * 100).toFixed(1);
+        console.log(`Order ${held.orderId} held for review: underpaid by ${shortfall}%`);
+        await sendTelegramNotification(`
+⚠️ <b>CRYPTO ORDER UNDERPAID</b>
+
+🆔 <b>Order:</b> ${held.orderId}
+💰 <b>Amount:</b> $${held.amount?.toFixed(2) || 'N/A'}
+🪙 <b>Paid:</b> ${ipn.actually_paid} of ${ipn.pay_amount} ${ipn.pay_currency?.toUpperCase()} (${shortfall}% short)
+📧 <b>Email:</b> ${held.email || 'N/A'}
+
+<i>Held for review - approve to fulfill it anyway, or reject it</i>
+`.trim());
+        return;
+    }
+
+    // 'confirmed' and 'finished' both arrive - only the first fulfills. An
+    // order held as underpaid is released once the rest of the payment lands.
+    const paid = markOrderPaid(order, {}, { from: ['pending', 'review'] });
+    if (!paid) {
+        console.log(`Order ${order.orderId} already paid, skipping fulfillment`);
+        return;
+    }
+
+    await fulfillPaidOrder(paid, cryptoPaymentLabel(ipn));
+}
+
+async function handleCryptoRefund(order) {
+    if (order.status === 'refunded') return;
+
+    const updated = orderRepo.updateOrder(order.id, { status: 'refunded', refundedAmount: order.amount });
+    await sendTelegramNotification(`
+💸 <b>CRYPTO PAYMENT REFUNDED</b>
+
+🆔 <b>Order:</b> ${updated.orderId}
+💰 <b>Amount:</b> $${updated.amount?.toFixed(2) || '0.00'}
+🪙 <b>Refunded:</b> ${updated.cryptoPaidAmount ?? 'N/A'} ${updated.cryptoCurrency?.toUpperCase() || ''}
+`.trim());
+}
+
+// Top-ups are never held: an underpaid top-up credits what actually arrived,
+// and each later IPN for more funds credits the difference
+async function handleNowPaymentsTopup(topup, ipn, outcome) {
+    if (outcome === 'failed' || outcome === 'expired') {
+        if (wallet.expireTopup(topup)) {
+            console.log(`Wallet top-up ${topup.topupId} ${outcome} (crypto payment ${ipn.payment_status})`);
+        }
+        return;
+    }
+    if (outcome !== 'paid') return;
+
+    const amountCents = isUnderpaid(ipn)
+        ? Math.floor(topup.amountCents * (1 - nowPaymentsShortfall(ipn)))
+        : topup.amountCents;
+    if (amountCents <= 0) return;
+
+    const credit = wallet.creditTopupPayment(topup, {
+        amountCents,
+        paidAmount: ipn.actually_paid != null ? Number(ipn.actually_paid) : null,
+        paidCurrency: ipn.pay_currency?.toLowerCase() || null
+    });
+    if (!credit) {
+        console.log(`Wallet top-up ${topup.topupId} already credited for ${ipn.actually_paid} ${ipn.pay_currency || ''}`);
+        return;
+    }
+
+    await notifyTopupCredited(credit.topup, cryptoPaymentLabel(ipn), credit.amountCents / 100);
+}
+
+// =====================================================
+// COINBASE COMMERCE
+// =====================================================
+const COINBASE_API_URL = 'https://api.commerce.coinbase.com';
+
+// Shared by /api/order/coinbase and account reorders
+async function createCoinbaseCheckout(req, res) {
+    try {
+        // Without the webhook secret confirmations can't be trusted, so no
+        // charge is created that could never be fulfilled
+        if (!COINBASE_COMMERCE_API_KEY || !COINBASE_WEBHOOK_SECRET) {
+            return res.status(500).json({ error: 'Coinbase payments not configured' });
+        }
+
+        const { email } = req.body;
+
+        // Price the order from the catalog (client amounts are ignored)
+        const checkout = quoteCheckout(req.body);
+        if (checkout.error) {
+            return res.status(400).json({ error: checkout.error, fields: checkout.fields });
+        }
+
+        const orderFields = checkoutOrderFields(checkout);
+
+        const orderId = generatePublicId('GF-');
+        const metadata = {
+            order_id: orderId,
+            email,
+            ...(checkout.isCart ? { item_count: String(checkout.items.length) } : {
+                platform: orderFields.platform,
+                service: orderFields.service,
+                quantity: String(orderFields.quantity)
+            }),
+            ...(checkout.promoCode ? { promo_code: checkout.promoCode } : {})
+        };
+
+        const response = await fetch(`${COINBASE_API_URL}/charges`, {
+            method: 'POST',
+            headers: {
+                'X-CC-Api-Key': COINBASE_COMMERCE_API_KEY,
+                'X-CC-Version': '2018-03-22',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name: `GetFame order ${orderId}`,
+                // Coinbase caps descriptions at 200 characters
+                description: checkout.items.map(describeCheckoutItem).join(', ').slice(0, 200),
+                pricing_type: 'fixed_price',
+                local_price: { amount: checkout.amount.toFixed(2), currency: 'USD' },
+                metadata,
+                redirect_url: `${FRONTEND_URL}/success/?order_id=${orderId}`,
+                cancel_url: `${FRONTEND_URL}/order/`
+            })
+        });
+        const { data: charge, error } = await response.json();
+
+        if (!response.ok || !charge?.hosted_url) {
+            console.error('Coinbase charge error:', error || response.status);
+            return res.status(500).json({ error: 'Failed to create Coinbase payment' });
+        }
+
+        // Save pending order (the charge ID is its invoice)
+        orderRepo.createOrder({
+            ...orderFields,
+            orderId,
+            invoiceId: charge.id,
+            email,
+            status: 'pending',
+            paymentMethod: 'coinbase'
+        }, checkout.isCart ? checkout.items : []);
+
+        res.json({ url: charge.hosted_url, chargeId: charge.id, chargeCode: charge.code });
+    } catch (error) {
+        console.error('Coinbase payment error:', error.message);
+        res.status(500).json({ error: 'Coinbase payment initialization failed' });
+    }
+}
+
+app.post('/api/order/coinbase', orderLimiter, checkoutMaintenance, validate(SCHEMAS.checkout), createCoinbaseCheckout);
+
+// Coinbase signs the exact request body, so it is verified before parsing
+function verifyCoinbaseSignature(rawBody, signature) {
+    const expected = crypto.createHmac('sha256', COINBASE_WEBHOOK_SECRET).update(rawBody).digest();
+    const received = Buffer.from(String(signature || ''), 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+app.post('/api/webhooks/coinbase', express.raw({ type: 'application/json' }), async (req, res) => {
+    let event;
+
+    // Confirmed charges are fulfilled, so unsigned events are never accepted
+    if (!COINBASE_WEBHOOK_SECRET) {
+        console.error('Coinbase webhook rejected: COINBASE_WEBHOOK_SECRET is not set');
+        return res.status(500).json({ error: 'Coinbase webhooks not configured' });
+    }
+
+    try {
+        if (!verifyCoinbaseSignature(req.body, req.headers['x-cc-webhook-signature'])) {
+            return res.status(401).json({ error: 'Invalid signature' });
+        }
+        event = JSON.parse(req.body.toString()).event;
+    } catch (err) {
+        return res.status(400).json({ error: 'Invalid payload' });
+    }
+
+    if (!event?.id) {
+        return res.status(400).json({ error: 'Invalid event' });
+    }
+
+    try {
+        console.log('Coinbase webhook:', event.type);
+        const result = await processWebhookEvent('coinbase', event.id, event.type, event);
+        res.json({ success: true, duplicate: result.duplicate });
+    } catch (error) {
+        console.error('Coinbase webhook error:', error.message);
+        res.status(500).json({ error: 'Webhook processing failed' });
+    }
+});
+
+async function handleCoinbaseEvent(event) {
+    const charge = event.data || {};
+
+    switch (event.type) {
+        case 'charge:confirmed':
+        case 'charge:resolved':
+            return handleChargeConfirmed(charge);
+        case 'charge:failed':
+            return handleChargeFailed(charge);
+        case 'charge:delayed':
+            return handleChargeDelayed(charge);
+    }
+}
+
+function findCoinbaseOrder(charge) {
+    const orderId = charge.metadata?.order_id;
+    return (orderId && orderRepo.getOrderByOrderId(orderId))
+        || (charge.id && orderRepo.getOrderByInvoiceId(charge.id))
+        || null;
+}
+
+// What the customer actually sent, e.g. "0.0042 BTC"
+function coinbasePaymentLabel(charge) {
+    const payment = (charge.payments || []).find(p => p.value?.crypto);
+    return payment ? `${payment.value.crypto.amount} ${payment.value.crypto.currency}` : 'N/A';
+}
+
+// A charge whose payment arrived late (delayed) or that an admin resolved in
+// the Coinbase dashboard may already have expired here; reopen it so it can
+// be paid.
+function reopenCoinbaseOrder(order) {
+    if (order.status !== 'expired') return order;
+    return orderRepo.transitionOrderStatus(order.id, 'expired', 'pending') || order;
+}
+
+// Confirmed (or manually resolved) charges are fulfilled like any other paid order
+async function handleChargeConfirmed(charge) {
+    const order = findCoinbaseOrder(charge);
+    if (!order) {
+        console.error('Coinbase charge without order:', charge.id);
+        await sendTelegramNotification(`
+⚠️ <b>COINBASE PAYMENT WITHOUT ORDER</b>
+
+💰 <b>Amount:</b> $${charge.pricing?.local?.amount || 'N/A'}
+🪙 <b>Paid:</b> ${coinbasePaymentLabel(charge)}
+🆔 <b>Charge:</b> ${charge.code || charge.id}
+
+<i>Manual fulfillment may be required</i>
+`.trim());
+        return;
+    }
+
+    // 'confirmed' and 'resolved' can both arrive - only the first fulfills
+    const paid = markOrderPaid(reopenCoinbaseOrder(order));
+    if (!paid) {
+        console.log(`Order ${order.orderId} already paid, skipping fulfillment`);
+        return;
+    }
+
+    const currency = (charge.payments || []).find(p => p.value?.crypto)?.value.crypto.currency;
+    await fulfillPaidOrder(paid, `Coinbase${currency ? ` (${currency})` : ''}`);
+}
+
+// The charge expired unpaid, or was underpaid. Unpaid orders expire like an
+// abandoned Stripe checkout; an underpayment needs someone to resolve it.
+async function handleChargeFailed(charge) {
+    const order = findCoinbaseOrder(charge);
+    if (!order) return;
+
+    if (!charge.payments?.length) {
+        if (orderRepo.transitionOrderStatus(order.id, 'pending', 'expired')) {
+            console.log(`Order ${order.orderId} expired (Coinbase charge unpaid)`);
+        }
+        return;
+    }
+
+    await sendTelegramNotification(`
+⚠️ <b>COINBASE CHARGE UNDERPAID</b>
+
+🆔 <b>Order:</b> ${order.orderId}
+💰 <b>Amount:</b> $${order.amount?.toFixed(2) || 'N/A'}
+🪙 <b>Paid:</b> ${coinbasePaymentLabel(charge)}
+📧 <b>Email:</b> ${order.email || 'N/A'}
+
+<i>Resolve the charge in the Coinbase dashboard to fulfill it, or refund the customer</i>
+`.trim());
+}
+
+// The payment arrived after the charge expired. Coinbase holds it until it
+// is resolved in the dashboard, which sends charge:resolved.
+async function handleChargeDelayed(charge) {
+    const order = findCoinbaseOrder(charge);
+    if (!order) return;
+
+    const updated = reopenCoinbaseOrder(order);
+
+    await sendTelegramNotification(`
+⏰ <b>COINBASE PAYMENT DELAYED</b>
+
+🆔 <b>Order:</b> ${updated.orderId}
+💰 <b>Amount:</b> $${updated.amount?.toFixed(2) || 'N/A'}
+🪙 <b>Paid:</b> ${coinbasePaymentLabel(charge)}
+📦 <b>Status:</b> ${updated.status}
+
+<i>Payment arrived after the charge expired - resolve it in the Coinbase dashboard to fulfill the order</i>
+`.trim());
+}
+
+const WEBHOOK_HANDLERS = {
+    stripe: handleStripeEvent,
+    nowpayments: handleNowPaymentsIpn,
+    coinbase: handleCoinbaseEvent
+};
+
+// =====================================================
+// ORDER TRACKING (Public)
+// =====================================================
+function deliveredQuantity(record) {
+    if (record.status === 'completed') return record.quantity;
+    if (record.remains != null) return Math.max(record.quantity - record.remains, 0);
+    return null;
+}
+
+// Customer-safe view of an order: never expose supplier IDs or the full link.
+// Signed-in account owners get their links back (`includeLinks`).
+function toPublicOrder(order, { includeLinks = false } = {}) {
+    const delivered = deliveredQuantity(order);
+
+    // Cart items without links or supplier IDs
+    const items = order.itemCount
+        ? orderRepo.getOrderItems(order.id).map(item => ({
+            platform: item.platform,
+            service: item.service,
+            quality: item.quality,
+            link: includeLinks ? item.link : undefined,
+            quantity: item.quantity,
+            delivered: deliveredQuantity(item),
+            status: item.status,
+            amount: item.amount
+        }))
+        : undefined;
+
+    return {
+        orderId: order.orderId,
+        status: order.status,
+        platform: order.platform,
+        service: order.service,
+        quality: order.quality,
+        quantity: order.quantity,
+        delivered,
+        startCount: order.startCount ?? null,
+        amount: order.amount,
+        promoCode: order.promoCode || null,
+        discount: order.discountAmount || 0,
+        walletCredited: order.walletCredited || 0,
+        paymentMethod: order.paymentMethod,
+        link: includeLinks ? order.link || null : order.link ? order.link.substring(0, 20) + '...' : null,
+        items,
+        refill: {
+            available: !refillBlocker(order, { customer: true }),
+            until: order.date ? refillDeadline(order).toISOString() : null,
+            history: refills.listRefills(order.id).map(r => ({ status: r.status, createdAt: r.createdAt }))
+        },
+        createdAt: order.date,
+        updatedAt: order.updatedAt || order.date
+    };
+}
+
+// Look up the customer's order from session_id, or order_id + email.
+// Returns { order } or { status, error }.
+function findTrackedOrder({ session_id: sessionId, order_id: orderId, email }) {
+    let order = null;
+
+    if (sessionId) {
+        order = orderRepo.getOrderByStripeSession(sessionId);
+    } else if (orderId && email) {
+        order = orderRepo.getOrderByOrderId(orderId);
+        // Same response for a wrong email as for a missing order
+        if (order && (order.email || '').toLowerCase() !== email.toLowerCase()) {
+            order = null;
+        }
+    } else {
+        return { status: 400, error: 'Provide session_id, or order_id and email' };
+    }
+
+    return order ? { order } : { status: 404, error: 'Order not found' };
+}
+
+app.get('/api/orders/track', trackLimiter, validate(SCHEMAS.track), (req, res) => {
+    const { order, status, error } = findTrackedOrder(req.query);
+    if (!order) {
+        return res.status(status).json({ error });
+    }
+
+    res.json({ order: toPublicOrder(order) });
+});
+
+// Customer refill request, within the refill window
+app.post('/api/orders/track/refill', trackLimiter, validate(SCHEMAS.trackRefill), async (req, res) => {
+    const { order, status, error } = findTrackedOrder(req.body);
+    if (!order) {
+        return res.status(status).json({ error });
+    }
+
+    const blocker = refillBlocker(order, { customer: true });
+    if (blocker) {
+        return res.status(400).json({ error: blocker });
+    }
+
+    try {
+        const created = await audit.withActor({ type: 'customer', name: order.email, ip: req.ip }, () =>
+            requestRefill(order, { requestedBy: 'customer' }));
+
+        if (!created.some(r => r.status === 'pending')) {
+            return res.status(502).json({ error: 'The refill could not be requested. Please contact support.' });
+        }
+
+        await sendTelegramNotification(`🔄 <b>Refill requested</b> by customer for ${order.orderId}`);
+        res.json({ success: true, order: toPublicOrder(orderRepo.getOrderById(order.id)) });
+    } catch (err) {
+        console.error('Refill request error:', err.message);
+        res.status(500).json({ error: 'Refill request failed' });
+    }
+});
+
+// =====================================================
+// CUSTOMER ACCOUNTS
+// =====================================================
+// Optional, passwordless accounts (see lib/customers.js). Orders are matched
+// by email, so an account sees every order placed with its address.
+const accountLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: { error: 'Too many login requests, please wait.' }
+});
+
+// Bearer session token from /api/account/verify. Sets req.customer and req.customerSessionId.
+function customerAuth(req, res, next) {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const session = customers.verifySessionToken(authHeader.split(' ')[1]);
+    if (!session) {
+        return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    req.customer = session.customer;
+    req.customerSessionId = session.sessionId;
+    audit.withActor({ type: 'customer', name: session.customer.email, ip: req.ip }, next);
+}
+
+// One of the signed-in customer's orders, by its GF-/gf_ order ID
+function findAccountOrder(req) {
+    const order = orderRepo.getOrderByOrderId(req.params.orderId);
+    return order && (order.email || '').toLowerCase() === req.customer.email.toLowerCase() ? order : null;
+}
+
+// Email a login link. The answer is the same whether or not the address has
+// orders, and when the per-email link limit is hit, so it can't be used to
+// probe for customers.
+app.post('/api/account/login', accountLoginLimiter, validate(SCHEMAS.accountLogin), async (req, res) => {
+    if (!RESEND_API_KEY) {
+        return res.status(503).json({ error: 'Account login is not available right now' });
+    }
+
+    const address = req.body.email;
+    const login = customers.createLoginToken(address, { ip: req.ip });
+    if (login) {
+        const url = `${FRONTEND_URL}/account/login/?token=${encodeURIComponent(login.token)}`;
+        const result = await email.sendLoginEmail(address, url, customers.LOGIN_TOKEN_MINUTES);
+        if (!result.success) {
+            console.error('Login email error:', result.error);
+            return res.status(502).json({ error: 'Could not send the login email, please try again' });
+        }
+    }
+
+    res.json({ success: true });
+});
+
+// Exchange the emailed token for a session
+app.post('/api/account/verify', accountLoginLimiter, validate(SCHEMAS.accountVerify), (req, res) => {
+    const customer = customers.consumeLoginToken(req.body.token);
+    if (!customer) {
+        return res.status(401).json({ error: 'This login link is invalid or has expired' });
+    }
+
+    const session = customers.createSession(customer.id, { ip: req.ip, userAgent: req.headers['user-agent'] });
+    audit.record('customer.login', { actor: { type: 'customer', name: customer.email, ip: req.ip } });
+    res.json({ success: true, token: session.token, expiresAt: session.expiresAt, customer });
+});
+
+app.post('/api/account/logout', customerAuth, (req, res) => {
+    customers.revokeSession(req.customerSessionId);
+    res.json({ success: true });
+});
+
+app.get('/api/account', customerAuth, (req, res) => {
+    res.json({ customer: req.customer });
+});
+
+app.get('/api/account/orders', customerAuth, validate(SCHEMAS.accountOrders), (req, res) => {
+    const orders = orderRepo.listOrdersByEmail(req.customer.email, { limit: req.query.limit || 50 });
+    res.json({ orders: orders.map(order => toPublicOrder(order, { includeLinks: true })) });
+});
+
+app.get('/api/account/orders/:orderId', customerAuth, validate(SCHEMAS.accountOrder), (req, res) => {
+    const order = findAccountOrder(req);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({ order: toPublicOrder(order, { includeLinks: true }) });
+});
+
+const REORDER_CHECKOUTS = {
+    stripe: createStripeCheckout,
+    crypto: createCryptoCheckout,
+    coinbase: createCoinbaseCheckout,
+    wallet: createWalletCheckout
+};
+
+// Turn a past order back into a checkout body. It is priced, validated and
+// paid like any new order (current prices, links re-checked).
+function reorderCheckoutBody(order, customerEmail, promoCode) {
+    const line = ({ platform, service, quality, link, quantity }) => ({ platform, service, quality, link, quantity });
+    return order.itemCount
+        ? { email: customerEmail, items: orderRepo.getOrderItems(order.id).map(line), promoCode }
+        : { email: customerEmail, ...line(order), promoCode };
+}
+
+app.post('/api/account/orders/:orderId/reorder', orderLimiter, checkoutMaintenance, customerAuth, validate(SCHEMAS.reorder), (req, res, next) => {
+    const order = findAccountOrder(req);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+
+    res.locals.checkout = REORDER_CHECKOUTS[req.body.paymentMethod];
+    req.body = reorderCheckoutBody(order, req.customer.email, req.body.promoCode);
+    next();
+}, validate(SCHEMAS.checkout), (req, res) => res.locals.checkout(req, res));
+
+// Saved profile links
+app.get('/api/account/links', customerAuth, (req, res) => {
+    res.json({ links: customers.listSavedLinks(req.customer.id) });
+});
+
+app.post('/api/account/links', customerAuth, validate(SCHEMAS.saveLink), (req, res) => {
+    const saved = customers.saveLink(req.customer.id, req.body);
+    if (saved.error) {
+        return res.status(400).json({ error: saved.error });
+    }
+    res.status(201).json({ success: true, link: saved });
+});
+
+app.delete('/api/account/links/:id', customerAuth, validate(SCHEMAS.byId), (req, res) => {
+    if (!customers.deleteSavedLink(req.customer.id, req.params.id)) {
+        return res.status(404).json({ error: 'Link not found' });
+    }
+    res.json({ success: true });
+});
+
+// =====================================================
+// CUSTOMER WALLET
+// =====================================================
+// Prepaid balance on a double-entry ledger (lib/wallet.js). Top-ups use the
+// normal Stripe checkout / NOWPayments invoice flows and are credited by
+// their webhooks; orders paid from the balance are placed right away.
+
+// Credit a top-up once its payment webhook confirms it
+async function creditWalletTopup(topup, paymentLabel, payment = {}) {
+    const paid = wallet.completeTopup(topup, payment);
+    if (!paid) {
+        console.log(`Wallet top-up ${topup.topupId} already credited`);
+        return;
+    }
+
+    await notifyTopupCredited(paid, paymentLabel, paid.credited);
+}
+
+// `amount` is what this payment added to the wallet
+async function notifyTopupCredited(topup, paymentLabel, amount) {
+    const customer = customers.getCustomer(topup.customerId);
+    const partial = topup.credited < topup.amount
+        ? ` (partial payment: $${topup.credited.toFixed(2)} of $${topup.amount.toFixed(2)} so far)`
+        : '';
+    audit.record('wallet.topup', { details: { topupId: topup.topupId, customer: customer?.email, amount } });
+    await sendTelegramNotification(`👛 <b>Wallet top-up</b> of $${amount.toFixed(2)}${partial} via ${paymentLabel} (${topup.topupId})`);
+}
+
+// Card top-ups are screened like card orders: a risky one is held uncredited
+// until an admin approves it, so a stolen card can't top up and spend at once
+async function settleStripeTopup(topup, paymentIntentId) {
+    const screening = await screenStripePayment(topup, paymentIntentId);
+    const payment = { stripePaymentIntentId: paymentIntentId, riskScore: screening.score, riskReasons: screening.reasons };
+
+    if (screening.score >= risk.REVIEW_SCORE) {
+        const held = wallet.holdTopup(topup, payment);
+        if (held) await notifyTopupHeldForReview(held);
+        return;
+    }
+    return creditWalletTopup(topup, 'Stripe (Card)', payment);
+}
+
+async function notifyTopupHeldForReview(topup) {
+    const customer = customers.getCustomer(topup.customerId);
+    console.log(`Wallet top-up ${topup.topupId} held for review (risk score ${topup.riskScore})`);
+    await sendTelegramNotification(`
+🛑 <b>TOP-UP HELD FOR REVIEW</b>
+
+🆔 <b>Top-up:</b> ${topup.topupId}
+💰 <b>Amount:</b> $${topup.amount.toFixed(2)}
+📧 <b>Email:</b> ${customer?.email || 'N/A'}
+⚠️ <b>Risk score:</b> ${topup.riskScore}
+${topup.riskReasons.map(reason => `• ${reason}`).join('\n')}
+
+<i>Approve to credit the wallet, or reject to refund the card</i>
+`.trim());
+}
+
+// Refunds and chargebacks of a credited top-up are taken back from the
+// balance, even below zero, so the money can't be spent twice
+async function notifyTopupReversed(topup, title, amountCents) {
+    const balance = wallet.getBalance(topup.customerId) / 100;
+    await sendTelegramNotification(`
+${title}
+
+🆔 <b>Top-up:</b> ${topup.topupId}
+💰 <b>Amount:</b> $${(amountCents / 100).toFixed(2)} of $${topup.amount.toFixed(2)}
+↩️ <b>Taken back from the wallet:</b> $${(topup.reversedCents / 100).toFixed(2)}
+👛 <b>Wallet balance now:</b> $${balance.toFixed(2)}${balance < 0 ? ' ⚠️' : ''}
+`.trim());
+}
+
+async function handleTopupRefunded(topup, charge) {
+    // amount_refunded is cumulative, so replays converge
+    const reversed = wallet.reverseTopup(topup, Math.max(topup.reversedCents, charge.amount_refunded), {
+        status: charge.refunded ? 'refunded' : topup.status,
+        reason: 'refund'
+    });
+    audit.record('wallet.topup_reversed', { details: { topupId: topup.topupId, reason: 'refund', reversed: reversed.reversedCents / 100 } });
+    await notifyTopupReversed(reversed, `💸 <b>${charge.refunded ? 'TOP-UP REFUNDED' : 'TOP-UP PARTIALLY REFUNDED'}</b>`, charge.amount_refunded);
+}
+
+async function handleTopupDisputed(topup, dispute) {
+    if (topup.status === 'disputed') return;
+
+    const reversed = wallet.reverseTopup(topup, topup.reversedCents + dispute.amount, { status: 'disputed', reason: `dispute-${dispute.id}` });
+    audit.record('wallet.topup_reversed', { details: { topupId: topup.topupId, reason: 'dispute', reversed: reversed.reversedCents / 100 } });
+    await notifyTopupReversed(reversed, '🚨 <b>TOP-UP CHARGEBACK OPENED</b>', dispute.amount);
+}
+
+// A lost chargeback stays reversed; a won one (or an inquiry closed without
+// a chargeback) gives the disputed amount back
+async function handleTopupDisputeClosed(topup, dispute) {
+    if (topup.status !== 'disputed') return;
+
+    const closed = dispute.status === 'lost'
+        ? wallet.reverseTopup(topup, topup.reversedCents, { status: 'refunded', reason: `dispute-lost-${dispute.id}` })
+        : wallet.reverseTopup(topup, topup.reversedCents - dispute.amount, {
+            status: topup.creditedCents != null ? 'paid' : 'review',
+            reason: `dispute-${dispute.status}-${dispute.id}`
+        });
+    await notifyTopupReversed(closed, disputeClosedTitle(dispute, 'TOP-UP '), dispute.amount);
+}
+
+// Undelivered value of a finished order: the missing part of a Partial
+// order, or all of a Canceled one
+function undeliveredAmount(order) {
+    if (order.status === 'canceled' && !order.itemCount) return order.amount || 0;
+    return partialRefundAmount(order);
+}
+
+// What is left of an order's payment after refunds and wallet credits
+function uncreditedAmount(order) {
+    return Math.round(((order.amount || 0) - (order.refundedAmount || 0) - (order.walletCredited || 0)) * 100) / 100;
+}
+
+// Credit an amount of an order to the wallet of the order's email (the
+// account is created if needed). Returns the updated order, or null when
+// `reference` was already credited.
+function creditOrderToWallet(order, amount, { reference = null, automatic = false } = {}) {
+    const customer = customers.ensureCustomer(order.email);
+    const credited = wallet.creditOrder(customer.id, order, Math.round(amount * 100), {
+        reference,
+        description: `${automatic ? 'Undelivered part of' : 'Credit for'} order ${order.orderId}`
+    });
+    if (!credited) return null;
+
+    audit.record('wallet.credited', { orderId: order.id, details: { amount, automatic } });
+    return orderRepo.updateOrder(order.id, {
+        walletCredited: Math.round(((order.walletCredited || 0) + amount) * 100) / 100
+    });
+}
+
+// Automatic credit for a Partial/Canceled order, instead of a card refund
+function creditUndeliveredToWallet(order) {
+    const amount = Math.min(undeliveredAmount(order), uncreditedAmount(order));
+    if (amount <= 0) return null;
+    return creditOrderToWallet(order, amount, { reference: `order:${order.id}:undelivered`, automatic: true });
+}
+
+// Shared by /api/order/wallet and account reorders. Pays from the balance
+// and places the order with the supplier immediately.
+async function createWalletCheckout(req, res) {
+    try {
+        const checkout = quoteCheckout(req.body);
+        if (checkout.error) {
+            return res.status(400).json({ error: checkout.error, fields: checkout.fields });
+        }
+
+        const orderId = generatePublicId('GF-');
+        const payment = wallet.payForOrder(req.customer.id, checkout.amountCents, () => markOrderPaid(
+            orderRepo.createOrder({
+                ...checkoutOrderFields(checkout),
+                orderId,
+                email: req.customer.email,
+                status: 'pending',
+                paymentMethod: 'wallet'
+            }, checkout.isCart ? checkout.items : [])
+        ));
+        if (payment.error) {
+            return res.status(402).json({ error: payment.error, balance: payment.balance, amount: checkout.amount });
+        }
+
+        const { order } = await fulfillPaidOrder(payment.order, 'Wallet');
+        res.json({
+            success: true,
+            order: toPublicOrder(order, { includeLinks: true }),
+            balance: wallet.getBalance(req.customer.id) / 100
+        });
+    } catch (error) {
+        console.error('Wallet checkout error:', error.message);
+        res.status(500).json({ error: 'Wallet payment failed' });
+    }
+}
+
+// Same body as /api/order; the account's email is used
+app.post('/api/order/wallet', orderLimiter, checkoutMaintenance, customerAuth, (req, res, next) => {
+    req.body = { ...req.body, email: req.customer.email };
+    next();
+}, validate(SCHEMAS.checkout), createWalletCheckout);
+
+app.get('/api/account/wallet', customerAuth, validate(SCHEMAS.accountWallet), (req, res) => {
+    res.json({
+        balance: wallet.getBalance(req.customer.id) / 100,
+        transactions: wallet.listTransactions(req.customer.id, { limit: req.query.limit || 50 })
+    });
+});
+
+app.post('/api/account/wallet/topup', orderLimiter, customerAuth, validate(SCHEMAS.walletTopup), async (req, res) => {
+    const { amount, paymentMethod } = req.body;
+    const amountCents = Math.round(amount * 100);
+    const topupId = generatePublicId('WT-');
+
+    try {
+        if (paymentMethod === 'stripe') {
+            if (!stripe) {
+                return res.status(500).json({ error: 'Stripe not configured' });
+            }
+
+            // Screened like a card order (and again once paid)
+            const screening = risk.scoreCheckout({ email: req.customer.email, clientIp: req.ip, amount: amountCents / 100 });
+            if (screening.score >= risk.BLOCK_SCORE) {
+                console.log('Top-up refused by fraud screening:', { email: req.customer.email, score: screening.score, reasons: screening.reasons });
+                audit.record('wallet.topup_blocked', {
+                    details: { email: req.customer.email, amount: amountCents / 100, score: screening.score, reasons: screening.reasons },
+                    actor: { type: 'customer', name: req.customer.email, ip: req.ip }
+                });
+                return res.status(403).json({ error: 'We could not accept this top-up. Please contact support.' });
+            }
+
+            const session = await stripe.checkout.sessions.create({
+                payment_method_types: ['card'],
+                line_items: [{
+                    price_data: {
+                        currency: 'usd',
+                        product_data: { name: 'GetFame wallet top-up' },
+                        unit_amount: amountCents
+                    },
+                    quantity: 1
+                }],
+                mode: 'payment',
+                success_url: `${FRONTEND_URL}/account/?topup=${topupId}`,
+                cancel_url: `${FRONTEND_URL}/account/`,
+                customer_email: req.customer.email,
+                metadata: { topupId }
+            });
+
+            wallet.createTopup({
+                topupId,
+                customerId: req.customer.id,
+                amountCents,
+                paymentMethod,
+                stripeSessionId: session.id,
+                clientIp: req.ip,
+                riskScore: screening.score,
+                riskReasons: screening.reasons
+            });
+            return res.json({ url: session.url, topupId });
+        }
+
+        if (!NOWPAYMENTS_API_KEY) {
+            return res.status(500).json({ error: 'Crypto payments not configured' });
+        }
+
+        const data = await createNowPaymentsInvoice({
+            amount: amountCents / 100,
+            orderId: topupId,
+            description: 'GetFame wallet top-up',
+            successUrl: `${FRONTEND_URL}/account/?topup=${topupId}`,
+            cancelUrl: `${FRONTEND_URL}/account/`
+        });
+        if (!data.invoice_url) {
+            console.error('NOWPayments error:', data);
+            return res.status(500).json({ error: 'Failed to create crypto payment' });
+        }
+
+        wallet.createTopup({ topupId, customerId: req.customer.id, amountCents, paymentMethod, invoiceId: data.id });
+        res.json({ url: data.invoice_url, topupId });
+    } catch (error) {
+        console.error('Wallet top-up error:', error.message);
+        res.status(500).json({ error: 'Top-up initialization failed' });
+    }
+});
 
 // =====================================================
-// CRYPTO PAYMENT (NOWPayments)
+// ADMIN API
 // =====================================================
-app.post('/api/order/crypto', orderLimiter, async (req, res) => {
+// Bearer session token from /api/admin/login. Sets req.admin and req.adminSessionId.
+function adminAuth(req, res, next) {
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const session = admins.verifySessionToken(authHeader.split(' ')[1]);
+    if (!session) {
+        return res.status(401).json({ error: 'Invalid or expired session' });
+    }
+
+    req.admin = session.admin;
+    req.adminSessionId = session.sessionId;
+    audit.withActor({ type: 'admin', name: session.admin.username, ip: req.ip }, next);
+}
+
+// Viewers can read everything; state-changing routes need an operator
+function requireOperator(req, res, next) {
+    if (req.admin?.role !== 'operator') {
+        return res.status(403).json({ error: 'Operator role required' });
+    }
+    next();
+}
+
+app.post('/api/admin/login', rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: { error: 'Too many login attempts' }
+}), validate(SCHEMAS.login), async (req, res) => {
+    const { username, password, code } = req.body;
+
+    const result = await admins.authenticate(username, password, code);
+    audit.record('admin.login', {
+        actor: { type: 'admin', name: username, ip: req.ip },
+        details: { success: !result.error, error: result.error }
+    });
+
+    if (result.error) {
+        return res.status(401).json({ error: result.error, totpRequired: result.totpRequired || undefined });
+    }
+
+    const session = admins.createSession(result.admin.id, { ip: req.ip, userAgent: req.headers['user-agent'] });
+    res.json({ success: true, token: session.token, expiresAt: session.expiresAt, admin: result.admin });
+});
+
+app.post('/api/admin/logout', adminAuth, (req, res) => {
+    admins.revokeSession(req.adminSessionId);
+    audit.record('admin.logout');
+    res.json({ success: true });
+});
+
+app.get('/api/admin/me', adminAuth, (req, res) => {
+    res.json({ admin: req.admin });
+});
+
+app.get('/api/admin/orders', adminAuth, validate(SCHEMAS.listOrders), (req, res) => {
+    const { status, limit } = req.query;
+    const orders = orderRepo.listOrders({ status, limit });
+    res.json({ orders });
+});
+
+app.get('/api/admin/orders/:id', adminAuth, validate(SCHEMAS.byId), (req, res) => {
+    const order = orderRepo.getOrderById(req.params.id);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+    res.json({
+        order,
+        items: order.itemCount ? orderRepo.getOrderItems(order.id) : [],
+        refills: refills.listRefills(order.id),
+        emails: email.listOrderEmails(order.id),
+        fulfillment: fulfillmentQueue.getJob(order.id)
+    });
+});
+
+// Dashboard numbers, shared by the admin API and the Telegram bot
+function getAdminStats() {
+    const orders = orderRepo.listOrders();
+    
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const weekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
+    const monthAgo = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    return {
+        total: {
+            orders: orders.length,
+            revenue: orders.reduce((sum, o) => sum + (o.amount || 0), 0),
+            completed: orders.filter(o => o.status === 'completed').length,
+            partial: orders.filter(o => o.status === 'partial').length,
+            canceled: orders.filter(o => o.status === 'canceled').length,
+            refunded: orders.filter(o => o.status === 'refunded').length,
+            refundedAmount: orders.reduce((sum, o) => sum + (o.refundedAmount || 0), 0),
+            disputed: orders.filter(o => o.status === 'disputed').length,
+            review: orders.filter(o => o.status === 'review').length,
+            pending: orders.filter(o => ['pending', 'processing', 'paid'].includes(o.status)).length
+        },
+        today: {
+            orders: orders.filter(o => new Date(o.date) >= today).length,
+            revenue: orders.filter(o => new Date(o.date) >= today).reduce((sum, o) => sum + (o.amount || 0), 0)
+        },
+        week: {
+            orders: orders.filter(o => new Date(o.date) >= weekAgo).length,
+            revenue: orders.filter(o => new Date(o.date) >= weekAgo).reduce((sum, o) => sum + (o.amount || 0), 0)
+        },
+        month: {
+            orders: orders.filter(o => new Date(o.date) >= monthAgo).length,
+            revenue: orders.filter(o => new Date(o.date) >= monthAgo).reduce((sum, o) => sum + (o.amount || 0), 0)
+        },
+        promoCodes: promoCodes.getCodeStats(),
+        wallet: wallet.getLedgerTotals(),
+        fulfillmentQueue: fulfillmentQueue.getQueueDepth(),
+        supplierBalance: getBalanceState()
+    };
+}
+
+app.get('/api/admin/stats', adminAuth, (req, res) => {
+    res.json(getAdminStats());
+});
+
+app.patch('/api/admin/orders/:id', adminAuth, requireOperator, validate(SCHEMAS.updateOrder), async (req, res) => {
+    const updated = orderRepo.updateOrderStatus(req.params.id, req.body.status);
+    if (!updated) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+    queueStatusEmail(updated);
+    res.json({ success: true, order: updated });
+});
+
+// Orders a manual retry may place with the supplier
+const RETRYABLE_STATUSES = ['paid', 'failed'];
+// Orders that can be marked completed by hand
+const COMPLETABLE_STATUSES = ['processing', 'partial', 'failed'];
+
+// Why the order can't be (re)placed with the supplier, or null if it can.
+// Only paid or failed orders with nothing placed yet qualify: anything else
+// would fulfill an unpaid order or pay for a second supplier order.
+function fulfillmentRetryError(order) {
+    if (!RETRYABLE_STATUSES.includes(order.status)) {
+        return `Order is ${order.status}, only paid or failed orders can be placed`;
+    }
+    if (order.itemCount) {
+        const unplaced = orderRepo.getOrderItems(order.id).some(i => i.status === 'pending' || i.status === 'failed');
+        return unplaced ? null : 'All cart items have already been placed';
+    }
+    return order.japOrderId ? `Already placed with the supplier (#${order.japOrderId})` : null;
+}
+
+// Place an order with the supplier by hand (carts: every item that failed or
+// was never placed). Shared by the admin API and the Telegram bot.
+// Returns { success, japOrderId, order }, or { success: false, error } with
+// `invalid` set when there was nothing that could be placed.
+async function fulfillManually(order) {
+    const retryError = fulfillmentRetryError(order);
+    if (retryError) {
+        return { success: false, invalid: true, error: retryError };
+    }
+
+    if (order.itemCount) {
+        const retryItems = orderRepo.getOrderItems(order.id).filter(i => i.status === 'pending' || i.status === 'failed');
+        retryItems.forEach(item => orderRepo.updateOrderItem(item.id, { status: 'pending', lastError: null }));
+        const paid = orderRepo.updateOrder(order.id, { status: 'paid' });
+        const { order: updated, japResult } = await placePaidOrder(paid);
+
+        audit.record('order.fulfilled_manually', { orderId: order.id, details: { japOrderId: japResult.orderId, items: retryItems.length } });
+        queueStatusEmail(updated);
+
+        return { success: japResult.success, error: japResult.error, japOrderId: japResult.orderId, order: updated };
+    }
+
+    if (!order.japServiceId || !order.link || !order.quantity) {
+        return { success: false, invalid: true, error: 'Missing order details for fulfillment' };
+    }
+
+    const japResult = await placeSupplierOrder(order);
+    if (!japResult.success) {
+        return { success: false, error: japResult.error };
+    }
+
+    fulfillmentQueue.markDone(order.id);
+    const updated = orderRepo.transitionOrderStatus(order.id, RETRYABLE_STATUSES, 'processing', placementFields(japResult))
+        || orderRepo.updateOrder(order.id, placementFields(japResult));
+    audit.record('order.fulfilled_manually', { orderId: order.id, details: { japOrderId: japResult.orderId, provider: japResult.provider } });
+    queueStatusEmail(updated);
+
+    return { success: true, japOrderId: japResult.orderId, order: updated };
+}
+
+// Manual JAP fulfillment endpoint
+app.post('/api/admin/fulfill/:id', adminAuth, requireOperator, validate(SCHEMAS.byId), async (req, res) => {
+    const order = orderRepo.getOrderById(req.params.id);
+
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const result = await fulfillManually(order);
+    if (!result.success) {
+        return res.status(result.invalid ? 400 : 500).json({ error: result.error, status: result.order?.status });
+    }
+    res.json({ success: true, japOrderId: result.japOrderId, status: result.order.status });
+});
+
+// Orders held for review: approve to fulfill, reject to cancel
+app.post('/api/admin/orders/:id/approve', adminAuth, requireOperator, validate(SCHEMAS.byId), async (req, res) => {
+    try {
+        const order = orderRepo.getOrderById(req.params.id);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+
+        const paid = markOrderPaid(order, {}, { from: 'review' });
+        if (!paid) {
+            return res.status(400).json({ error: 'Only orders held for review can be approved' });
+        }
+
+        audit.record('order.approved', { orderId: order.id });
+        const { order: updated, japResult } = await fulfillPaidOrder(paid, `${paid.paymentMethod} (approved after review)`);
+        res.json({ success: true, order: updated, japOrderId: japResult.orderId || null });
+    } catch (error) {
+        console.error('Order approval error:', error.message);
+        res.status(500).json({ error: 'Failed to approve order' });
+    }
+});
+
+app.post('/api/admin/orders/:id/reject', adminAuth, requireOperator, validate(SCHEMAS.byId), async (req, res) => {
+    const order = orderRepo.getOrderById(req.params.id);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const rejected = orderRepo.transitionOrderStatus(order.id, 'review', 'canceled');
+    if (!rejected) {
+        return res.status(400).json({ error: 'Only orders held for review can be rejected' });
+    }
+
+    audit.record('order.rejected', { orderId: order.id, details: { riskScore: order.riskScore } });
+
+    // Card payments are refunded straight away; crypto refunds are manual
+    if (rejected.paymentMethod === 'stripe') {
+        const refund = await refundStripeOrder(rejected, rejected.amount);
+        if (!refund.success) {
+            return res.status(500).json({ error: `Order rejected but the refund failed: ${refund.error}`, order: rejected });
+        }
+        audit.record('order.refunded', { orderId: order.id, details: { amount: rejected.amount, refundId: refund.refundId } });
+        return res.json({ success: true, order: refund.order, refundId: refund.refundId });
+    }
+
+    queueStatusEmail(rejected);
+    res.json({ success: true, order: rejected });
+});
+
+// Ask the supplier to refill a delivered order (all items, or body.itemId)
+app.post('/api/admin/orders/:id/refill', adminAuth, requireOperator, validate(SCHEMAS.refill), async (req, res) => {
+    const order = orderRepo.getOrderById(req.params.id);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const blocker = refillBlocker(order);
+    if (blocker) {
+        return res.status(400).json({ error: blocker });
+    }
+
+    const created = await requestRefill(order, { requestedBy: 'admin', itemId: req.body.itemId || null });
+    if (!created.length) {
+        return res.status(400).json({ error: 'No refillable item matches' });
+    }
+
+    res.json({ success: created.some(r => r.status === 'pending'), refills: created });
+});
+
+// Ask the supplier to cancel a running order
+app.post('/api/admin/orders/:id/cancel', adminAuth, requireOperator, validate(SCHEMAS.byId), async (req, res) => {
+    const order = orderRepo.getOrderById(req.params.id);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.status !== 'processing') {
+        return res.status(400).json({ error: 'Only processing orders can be canceled with the supplier' });
+    }
+
+    const results = await cancelSupplierOrders(order);
+    audit.record('order.cancel_requested', { orderId: order.id, details: { results } });
+
+    res.json({ success: results.some(r => r.success), results });
+});
+
+// Refund a card order through Stripe. Without `amount`: whatever is still
+// refundable (for a partial order, its undelivered part). Shared by the admin
+// API and the Telegram bot. Returns { success, amount, refundId, order }, or
+// { success: false, error } with `invalid` set when nothing was attempted.
+async function refundOrder(order, amount) {
+    if (order.paymentMethod !== 'stripe') {
+        return { success: false, invalid: true, error: 'Only card orders can be refunded through Stripe' };
+    }
+
+    const refundable = uncreditedAmount(order);
+    if (refundable <= 0) {
+        return { success: false, invalid: true, error: 'Order is already fully refunded or credited' };
+    }
+
+    if (amount === undefined) {
+        amount = order.status === 'partial' ? Math.min(partialRefundAmount(order), refundable) : refundable;
+    }
+    if (amount > refundable) {
+        return { success: false, invalid: true, error: `Refund amount must be between 0.01 and ${refundable.toFixed(2)}` };
+    }
+
+    const result = await refundStripeOrder(order, amount);
+    if (!result.success) return result;
+
+    audit.record('order.refunded', { orderId: order.id, details: { amount, refundId: result.refundId } });
+    await sendTelegramNotification(`💸 <b>Admin refund</b> of $${amount.toFixed(2)} for ${order.orderId}`);
+    return { ...result, amount };
+}
+
+app.post('/api/admin/orders/:id/refund', adminAuth, requireOperator, validate(SCHEMAS.refund), async (req, res) => {
+    const order = orderRepo.getOrderById(req.params.id);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const result = await refundOrder(order, req.body.amount);
+    if (!result.success) {
+        return res.status(result.invalid ? 400 : 500).json({ error: result.error });
+    }
+    res.json({ success: true, refundId: result.refundId, order: result.order });
+});
+
+// Orders whose payment actually arrived
+const CREDITABLE_STATUSES = ['paid', 'processing', 'partial', 'canceled', 'failed', 'completed'];
+
+// Credit an order to the customer's wallet instead of refunding the card.
+// Without an amount, Partial/Canceled orders are credited for their
+// undelivered part and everything else for what is left of the payment.
+app.post('/api/admin/orders/:id/wallet-credit', adminAuth, requireOperator, validate(SCHEMAS.walletCredit), async (req, res) => {
+    const order = orderRepo.getOrderById(req.params.id);
+    if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!order.email) {
+        return res.status(400).json({ error: 'Order has no customer email' });
+    }
+    if (!CREDITABLE_STATUSES.includes(order.status)) {
+        return res.status(400).json({ error: `Order is ${order.status}; only paid orders can be credited` });
+    }
+
+    const creditable = uncreditedAmount(order);
+    if (creditable <= 0) {
+        return res.status(400).json({ error: 'Order is already fully refunded or credited' });
+    }
+
+    let { amount } = req.body;
+    if (amount === undefined) {
+        amount = ['partial', 'canceled'].includes(order.status) ? Math.min(undeliveredAmount(order), creditable) : creditable;
+    }
+    if (amount > creditable) {
+        return res.status(400).json({ error: `Credit amount must be between 0.01 and ${creditable.toFixed(2)}` });
+    }
+
+    // A resent request (same reference, or the same amount without one) is
+    // not credited twice
+    const reference = `order:${order.id}:manual:${req.body.reference || Math.round(amount * 100)}`;
+    const updated = creditOrderToWallet(order, amount, { reference });
+    if (!updated) {
+        return res.status(409).json({ error: 'This credit was already made', order });
+    }
+
+    await sendTelegramNotification(`💰 <b>Admin wallet credit</b> of $${amount.toFixed(2)} for ${order.orderId}`);
+    res.json({ success: true, order: updated });
+});
+
+// Wallet top-ups, e.g. ?status=review for card top-ups held by fraud screening
+app.get('/api/admin/wallet/topups', adminAuth, validate(SCHEMAS.walletTopups), (req, res) => {
+    const { status, limit = 100 } = req.query;
+    res.json({ topups: wallet.listTopups({ status, limit }) });
+});
+
+app.post('/api/admin/wallet/topups/:id/approve', adminAuth, requireOperator, validate(SCHEMAS.byId), async (req, res) => {
+    const topup = wallet.getTopup(req.params.id);
+    if (!topup) {
+        return res.status(404).json({ error: 'Top-up not found' });
+    }
+
+    const paid = wallet.completeTopup(topup, { from: 'review' });
+    if (!paid) {
+        return res.status(400).json({ error: 'Only top-ups held for review can be approved' });
+    }
+
+    audit.record('wallet.topup_approved', { details: { topupId: topup.topupId, amount: paid.credited } });
+    await sendTelegramNotification(`👛 <b>Wallet top-up</b> of $${paid.credited.toFixed(2)} approved after review (${paid.topupId})`);
+    res.json({ success: true, topup: paid });
+});
+
+// Rejecting refunds the card; the refund webhook then marks the top-up refunded
+app.post('/api/admin/wallet/topups/:id/reject', adminAuth, requireOperator, validate(SCHEMAS.byId), async (req, res) => {
+    const topup = wallet.getTopup(req.params.id);
+    if (!topup) {
+        return res.status(404).json({ error: 'Top-up not found' });
+    }
+    if (!wallet.rejectTopup(topup)) {
+        return res.status(400).json({ error: 'Only top-ups held for review can be rejected' });
+    }
+
+    audit.record('wallet.topup_rejected', { details: { topupId: topup.topupId, riskScore: topup.riskScore } });
+
+    try {
+        const refund = await stripe.refunds.create({
+            payment_intent: topup.stripePaymentIntentId,
+            metadata: { topupId: topup.topupId }
+        }, { idempotencyKey: `topup-${topup.topupId}-reject` });
+        res.json({ success: true, topup: wallet.getTopup(topup.id), refundId: refund.id });
+    } catch (error) {
+        console.error('Stripe refund error:', error.message);
+        res.status(500).json({ error: `Top-up rejected but the refund failed: ${error.message}`, topup: wallet.getTopup(topup.id) });
+    }
+});
+
+// JAP placement retry queue
+app.get('/api/admin/fulfillment-queue', adminAuth, validate(SCHEMAS.fulfillmentQueue), (req, res) => {
+    const { status, limit = 100 } = req.query;
+    res.json({
+        depth: fulfillmentQueue.getQueueDepth(),
+        jobs: fulfillmentQueue.listJobs({ status, limit })
+    });
+});
+
+// Check a supplier order's status (?provider= defaults to JAP)
+app.get('/api/admin/jap-status/:japOrderId', adminAuth, validate(SCHEMAS.japStatus), async (req, res) => {
+    const provider = providers.getProvider(req.query.provider);
+    if (!provider) {
+        return res.status(400).json({ error: 'Unknown provider' });
+    }
+
+    const status = await provider.status(req.params.japOrderId);
+    res.json(status || { error: 'Could not fetch status' });
+});
+
+// Catalog -> supplier mappings with their issues (?issues=true for flagged only)
+app.get('/api/admin/service-mappings', adminAuth, validate(SCHEMAS.serviceMappings), (req, res) => {
+    const mappings = checkServiceMappings();
+    const syncedAt = {};
+    for (const provider of providers.listProviders()) {
+        syncedAt[provider.name] = supplierServices.getLastSync(provider.name);
+    }
+
+    res.json({
+        syncedAt,
+        issueCount: mappings.filter(m => m.issues.length).length,
+        mappings: req.query.issues ? mappings.filter(m => m.issues.length) : mappings
+    });
+});
+
+// Synced supplier service lists
+app.get('/api/admin/supplier-services', adminAuth, validate(SCHEMAS.supplierServices), (req, res) => {
+    const { provider, category, active, limit = 1000 } = req.query;
+    res.json({
+        services: supplierServices.listServices({ provider, category, activeOnly: !!active, limit })
+    });
+});
+
+app.post('/api/admin/supplier-services/sync', adminAuth, requireOperator, async (req, res) => {
+    const result = await syncSupplierServices();
+    if (!result) {
+        return res.status(409).json({ error: 'Sync already running or failed' });
+    }
+
+    audit.record('supplier_services.synced', { details: result });
+    res.json({ success: true, ...result });
+});
+
+// Every provider with its live balance (null when not configured)
+function listProviderBalances() {
+    return Promise.all(providers.listProviders().map(async provider => ({
+        name: provider.name,
+        label: provider.label,
+        configured: provider.configured,
+        fallback: provider.name === providers.FALLBACK_PROVIDER,
+        balance: provider.configured ? await provider.balance() : null
+    })));
+}
+
+app.get('/api/admin/providers', adminAuth, async (req, res) => {
+    res.json({ providers: await listProviderBalances() });
+});
+
+// Re-check the JAP balance now (e.g. right after a top-up) instead of
+// waiting for the monitor
+app.post('/api/admin/providers/balance-check', adminAuth, requireOperator, async (req, res) => {
+    const state = await checkSupplierBalance();
+    if (!state) {
+        return res.status(502).json({ error: 'Could not fetch the supplier balance' });
+    }
+    res.json(state);
+});
+
+// Stored webhook events
+app.get('/api/admin/webhook-events', adminAuth, validate(SCHEMAS.webhookEvents), (req, res) => {
+    const { provider, status, limit = 100 } = req.query;
+    const events = webhookEvents.listEvents({ provider, status, limit });
+    res.json({ events });
+});
+
+// Re-run a stored webhook event. Order status guards still prevent double
+// fulfillment, so replaying an already-processed event is safe.
+app.post('/api/admin/webhook-events/:id/replay', adminAuth, requireOperator, validate(SCHEMAS.byId), async (req, res) => {
+    const event = webhookEvents.getEvent(req.params.id);
+    if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+    }
+
+    webhookEvents.markEventReplayed(event.id);
+    audit.record('webhook.replayed', { details: { eventId: event.id, provider: event.provider, type: event.type } });
     try {
-        if (!NOWPAYMENTS_API_KEY) {
-            return res.status(500).json({ error: 'Crypto payments not configured' });
+        await WEBHOOK_HANDLERS[event.provider](event.payload);
+        webhookEvents.markEventProcessed(event.id);
+        res.json({ success: true, event: webhookEvents.getEvent(event.id) });
+    } catch (error) {
+        webhookEvents.markEventFailed(event.id, error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Audit log. orderId accepts the numeric id or the GF-/gf_ order ID.
+app.get('/api/admin/audit', adminAuth, validate(SCHEMAS.audit), (req, res) => {
+    const { orderId, actor, action, from, to, limit = 100 } = req.query;
+
+    let orderKey;
+    if (orderId) {
+        const order = /^\d+$/.test(orderId)
+            ? orderRepo.getOrderById(parseInt(orderId))
+            : orderRepo.getOrderByOrderId(orderId);
+        if (!order) {
+            return res.json({ entries: [] });
         }
+        orderKey = order.id;
+    }
 
-        const { 
-            link, 
-            email, 
-            quantity, 
-            amount,
-            platform,
-            service,
-            quality,
-            serviceId: legacyServiceId
-        } = req.body;
+    const entries = audit.query({ orderId: orderKey, actor, action, from, to, limit });
+    res.json({ entries });
+});
 
-        // Get JAP service ID
-        const japServiceId = legacyServiceId || getJapServiceId(platform, service, quality);
+// Promo codes. Usage counts only include webhook-confirmed payments.
+app.get('/api/admin/promo-codes', adminAuth, (req, res) => {
+    res.json({ promoCodes: promoCodes.listCodes() });
+});
 
-        const orderId = `gf_${Date.now()}`;
+app.post('/api/admin/promo-codes', adminAuth, requireOperator, validate(SCHEMAS.createPromoCode), (req, res) => {
+    try {
+        const promo = promoCodes.createCode(req.body);
+        audit.record('promo_code.created', { details: promo });
+        res.status(201).json({ success: true, promoCode: promo });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'Promo code already exists' });
+        }
+        console.error('Create promo code error:', error.message);
+        res.status(500).json({ error: 'Could not create promo code' });
+    }
+});
 
-        // Create NOWPayments invoice
-        const response = await fetch('https://api.nowpayments.io/v1/invoice', {
-            method: 'POST',
-            headers: {
-                'x-api-key': NOWPAYMENTS_API_KEY,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                price_amount: amount,
-                price_currency: 'usd',
-                order_id: orderId,
-                order_description: `${platform} ${service} x${quantity}`,
-                ipn_callback_url: `https://getfame-backend.onrender.com/api/webhooks/nowpayments`,
-                success_url: `${FRONTEND_URL}/success/`,
-                cancel_url: `${FRONTEND_URL}/order/`
-            })
-        });
+app.patch('/api/admin/promo-codes/:id', adminAuth, requireOperator, validate(SCHEMAS.updatePromoCode), (req, res) => {
+    const existing = promoCodes.getCode(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Promo code not found' });
+    }
+    if ((req.body.type || existing.type) === 'percent' && (req.body.value ?? existing.value) > 100) {
+        return sendValidationError(res, { value: 'A percentage discount cannot be more than 100' });
+    }
 
-        const data = await response.json();
+    const promo = promoCodes.updateCode(existing.id, req.body);
+    audit.record('promo_code.updated', { details: { id: promo.id, code: promo.code, changes: req.body } });
+    res.json({ success: true, promoCode: promo });
+});
 
-        if (data.invoice_url) {
-            // Save pending order
-            addOrder({
-                orderId,
-                invoiceId: data.id,
-                email,
-                link,
-                quantity,
-                amount,
-                platform,
-                service,
-                quality,
-                japServiceId,
-                status: 'pending',
-                paymentMethod: 'crypto'
-            });
+// Outbound webhooks: endpoints our other systems register for order events
+app.get('/api/admin/webhook-endpoints', adminAuth, requireOperator, (req, res) => {
+    res.json({ endpoints: outboundWebhooks.listEndpoints(), eventTypes: orderEvents.EVENT_TYPES });
+});
 
-            res.json({ url: data.invoice_url, invoiceId: data.id });
-        } else {
-            console.error('NOWPayments error:', data);
-            res.status(500).json({ error: 'Failed to create crypto payment' });
-        }
-    } catch (error) {
-        console.error('Crypto payment error:', error.message);
-        res.status(500).json({ error: 'Crypto payment initialization failed' });
+// The signing secret is only shown in this response (and when rotated)
+app.post('/api/admin/webhook-endpoints', adminAuth, requireOperator, validate(SCHEMAS.createWebhookEndpoint), (req, res) => {
+    const endpoint = outboundWebhooks.createEndpoint(req.body);
+    audit.record('webhook_endpoint.created', { details: { id: endpoint.id, url: endpoint.url, events: endpoint.events } });
+    res.status(201).json({ success: true, endpoint });
+});
+
+app.patch('/api/admin/webhook-endpoints/:id', adminAuth, requireOperator, validate(SCHEMAS.updateWebhookEndpoint), (req, res) => {
+    const endpoint = outboundWebhooks.updateEndpoint(req.params.id, req.body);
+    if (!endpoint) {
+        return res.status(404).json({ error: 'Webhook endpoint not found' });
     }
+
+    audit.record('webhook_endpoint.updated', { details: { id: endpoint.id, changes: req.body } });
+    res.json({ success: true, endpoint });
 });
 
-// =====================================================
-// NOWPAYMENTS WEBHOOK
-// =====================================================
-app.post('/api/webhooks/nowpayments', async (req, res) => {
-    try {
-        // Verify signature
-        if (NOWPAYMENTS_IPN_SECRET) {
-            const receivedSig = req.headers['x-nowpayments-sig'];
-            if (receivedSig) {
-                const sortedParams = Object.keys(req.body)
-                    .sort()
-                    .reduce((acc, key) => {
-                        acc[key] = req.body[key];
-                        return acc;
-                    }, {});
-                
-                const expectedSig = crypto
-                    .createHmac('sha512', NOWPAYMENTS_IPN_SECRET)
-                    .update(JSON.stringify(sortedParams))
-                    .digest('hex');
-
-                if (receivedSig !== expectedSig) {
-                    return res.status(400).json({ error: 'Invalid signature' });
-                }
-            }
-        }
+app.delete('/api/admin/webhook-endpoints/:id', adminAuth, requireOperator, validate(SCHEMAS.byId), (req, res) => {
+    const endpoint = outboundWebhooks.getEndpoint(req.params.id);
+    if (!endpoint || !outboundWebhooks.deleteEndpoint(endpoint.id)) {
+        return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
 
-        const { payment_status, order_id, price_amount, pay_currency } = req.body;
-
-        if (payment_status === 'finished' || payment_status === 'confirmed') {
-            // Find the order
-            const orders = loadOrders();
-            const order = orders.find(o => o.orderId === order_id);
-
-            if (order && order.japServiceId) {
-                // Place JAP order
-                const japResult = await placeJapOrder(
-                    order.japServiceId,
-                    order.link,
-                    order.quantity
-                );
-
-                // Update order
-                updateOrderStatus(
-                    order.id,
-                    japResult.success ? 'processing' : 'pending',
-                    japResult.orderId
-                );
-
-                // Send notification
-                await sendTelegramNotification(formatOrderNotification(
-                    order,
-                    `Crypto (${pay_currency?.toUpperCase()})`,
-                    japResult
-                ));
-            } else {
-                // Generic notification if order not found
-                await sendTelegramNotification(`
-🛒 <b>NEW CRYPTO ORDER</b>
+    audit.record('webhook_endpoint.deleted', { details: { id: endpoint.id, url: endpoint.url } });
+    res.json({ success: true });
+});
 
-💰 <b>Amount:</b> $${price_amount}
-🪙 <b>Currency:</b> ${pay_currency?.toUpperCase()}
-🆔 <b>Order ID:</b> ${order_id}
+// Delivery log of one endpoint, newest first
+app.get('/api/admin/webhook-endpoints/:id/deliveries', adminAuth, requireOperator, validate(SCHEMAS.webhookDeliveries), (req, res) => {
+    if (!outboundWebhooks.getEndpoint(req.params.id)) {
+        return res.status(404).json({ error: 'Webhook endpoint not found' });
+    }
 
-✅ <b>Status:</b> Payment Confirmed
-⚠️ <i>Manual fulfillment may be required</i>
-`.trim());
-            }
-        }
+    const { status, limit = 100 } = req.query;
+    res.json({ deliveries: outboundWebhooks.listDeliveries({ endpointId: req.params.id, status, limit }) });
+});
 
-        res.json({ success: true });
-    } catch (error) {
-        console.error('NOWPayments webhook error:', error.message);
-        res.status(500).json({ error: 'Webhook processing failed' });
+app.post('/api/admin/webhook-deliveries/:id/redeliver', adminAuth, requireOperator, validate(SCHEMAS.byId), (req, res) => {
+    const delivery = outboundWebhooks.redeliver(req.params.id);
+    if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
     }
+
+    audit.record('webhook_delivery.redelivered', { details: { id: delivery.id, eventId: delivery.eventId } });
+    res.json({ success: true, delivery });
 });
 
-// =====================================================
-// COINBASE COMMERCE WEBHOOK
-// =====================================================
-app.post('/api/webhooks/coinbase', async (req, res) => {
-    try {
-        const COINBASE_WEBHOOK_SECRET = process.env.COINBASE_WEBHOOK_SECRET;
-        
-        // Verify signature if secret is configured
-        if (COINBASE_WEBHOOK_SECRET) {
-            const signature = req.headers['x-cc-webhook-signature'];
-            const payload = JSON.stringify(req.body);
-            
-            const computedSignature = crypto
-                .createHmac('sha256', COINBASE_WEBHOOK_SECRET)
-                .update(payload)
-                .digest('hex');
-
-            if (signature !== computedSignature) {
-                return res.status(401).json({ error: 'Invalid signature' });
-            }
-        }
+// Live order events for the dashboard (Server-Sent Events). Browsers'
+// EventSource cannot send an Authorization header, so the dashboard first
+// exchanges its session for a one-time ticket valid for a minute and opens
+// /api/admin/events?ticket=...; clients that can set headers may skip that.
+// The stream closes once its session is revoked or its admin disabled.
+const STREAM_TICKET_TTL_MS = 60 * 1000;
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+const streamTickets = new Map();
 
-        const event = req.body.event;
-        const eventType = event?.type;
-        const charge = event?.data;
-
-        console.log('Coinbase webhook:', eventType);
-
-        if (eventType === 'charge:confirmed' || eventType === 'charge:completed') {
-            // Extract order info from charge
-            const metadata = charge.metadata || {};
-            const orderId = metadata.order_id || charge.name?.match(/GF-([A-Z0-9-]+)/)?.[0];
-            
-            // Try to find order or create new one
-            let order = loadOrders().find(o => o.orderId === orderId);
-            
-            if (!order) {
-                // Parse items from metadata if available
-                let items = [];
-                try {
-                    items = JSON.parse(metadata.items || '[]');
-                } catch (e) {}
-
-                order = {
-                    orderId,
-                    email: metadata.email || charge.customer_email,
-                    link: metadata.username,
-                    amount: parseFloat(charge.pricing?.local?.amount || 0),
-                    status: 'pending',
-                    paymentMethod: 'coinbase',
-                    items
-                };
-            }
+app.post('/api/admin/events/ticket', adminAuth, (req, res) => {
+    const now = Date.now();
+    for (const [ticket, entry] of streamTickets) {
+        if (entry.expiresAt <= now) streamTickets.delete(ticket);
+    }
 
-            // For Coinbase orders, we need to fulfill manually or via items
-            // Send notification for manual processing
-            await sendTelegramNotification(`
-🛒 <b>COINBASE ORDER CONFIRMED</b>
+    const ticket = crypto.randomBytes(24).toString('base64url');
+    streamTickets.set(ticket, { adminId: req.admin.id, sessionId: req.adminSessionId, expiresAt: now + STREAM_TICKET_TTL_MS });
+    res.json({ ticket, expiresAt: new Date(now + STREAM_TICKET_TTL_MS).toISOString() });
+});
 
-🆔 <b>Order:</b> ${orderId}
-💰 <b>Amount:</b> $${charge.pricing?.local?.amount || 'N/A'}
-📧 <b>Email:</b> ${order.email || 'N/A'}
-🔗 <b>Username:</b> ${order.link || metadata.username || 'N/A'}
+function streamAuth(req, res, next) {
+    if (!req.query.ticket) return adminAuth(req, res, next);
 
-✅ <b>Status:</b> Payment Confirmed
-⏰ <b>Time:</b> ${new Date().toLocaleString('en-US', { timeZone: 'America/New_York' })} ET
+    const entry = streamTickets.get(req.query.ticket);
+    streamTickets.delete(req.query.ticket);
+    const session = entry && entry.expiresAt > Date.now() && admins.getActiveSession(entry.sessionId);
+    if (!session) {
+        return res.status(401).json({ error: 'Invalid or expired ticket' });
+    }
 
-📋 <i>Check dashboard for order details</i>
-`.trim());
+    req.admin = session.admin;
+    req.adminSessionId = session.sessionId;
+    audit.withActor({ type: 'admin', name: session.admin.username, ip: req.ip }, next);
+}
 
-            // Update order status
-            if (order.id) {
-                updateOrderStatus(order.id, 'paid');
-            }
-        }
+app.get('/api/admin/events', streamAuth, validate(SCHEMAS.eventStream), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: 5000\n\n`);
 
-        res.json({ success: true });
-    } catch (error) {
-        console.error('Coinbase webhook error:', error.message);
-        res.status(500).json({ error: 'Webhook processing failed' });
+    const unsubscribe = orderEvents.subscribe(event => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+    const heartbeat = setInterval(() => {
+        if (admins.getActiveSession(req.adminSessionId)) return res.write(': heartbeat\n\n');
+        close();
+        res.end();
+    }, STREAM_HEARTBEAT_MS);
+
+    function close() {
+        clearInterval(heartbeat);
+        unsubscribe();
     }
+    req.on('close', close);
 });
 
-// =====================================================
-// ADMIN API
-// =====================================================
-function adminAuth(req, res, next) {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'Unauthorized' });
+// Change own password. Every other session of this admin is revoked.
+app.post('/api/admin/change-password', adminAuth, validate(SCHEMAS.changePassword), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!(await admins.checkPassword(req.admin.id, currentPassword))) {
+        return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
-    const token = authHeader.split(' ')[1];
-    
-    try {
-        const decoded = Buffer.from(token, 'base64').toString('utf8');
-        const [username, passwordHash] = decoded.split(':');
-        
-        if (username === 'admin' && passwordHash === ADMIN_PASSWORD_HASH) {
-            next();
-        } else {
-            res.status(401).json({ error: 'Invalid credentials' });
-        }
-    } catch (e) {
-        res.status(401).json({ error: 'Invalid token' });
+    const invalid = admins.validatePassword(newPassword);
+    if (invalid) {
+        return sendValidationError(res, { newPassword: invalid });
     }
-}
 
-app.post('/api/admin/login', rateLimit({
-    windowMs: 15 * 60 * 1000,
-    max: 5,
-    message: { error: 'Too many login attempts' }
-}), async (req, res) => {
-    const { username, password, passwordHash } = req.body;
+    await admins.setPassword(req.admin.id, newPassword);
+    const revoked = admins.revokeAdminSessions(req.admin.id, req.adminSessionId);
+    audit.record('admin.password_changed', { details: { revokedSessions: revoked } });
+    res.json({ success: true, revokedSessions: revoked });
+});
 
-    // Support both plain password and pre-hashed
-    let hash = passwordHash;
-    if (!hash && password) {
-        hash = crypto.createHash('sha256').update(password).digest('hex');
+// Two-factor (TOTP) enrollment
+app.post('/api/admin/totp/setup', adminAuth, (req, res) => {
+    if (req.admin.totpEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
     }
+    res.json(admins.beginTotpSetup(req.admin.id));
+});
 
-    if (username === 'admin' && hash === ADMIN_PASSWORD_HASH) {
-        const token = Buffer.from(`${username}:${hash}`).toString('base64');
-        res.json({ success: true, token });
-    } else {
-        res.status(401).json({ error: 'Invalid credentials' });
+app.post('/api/admin/totp/enable', adminAuth, validate(SCHEMAS.totpCode), (req, res) => {
+    if (!admins.confirmTotpSetup(req.admin.id, req.body.code)) {
+        return res.status(400).json({ error: 'Invalid two-factor code' });
     }
+    audit.record('admin.totp_enabled');
+    res.json({ success: true });
 });
 
-app.get('/api/admin/orders', adminAuth, (req, res) => {
-    const orders = loadOrders();
-    res.json({ orders });
+// Needs the password and a current code, so a stolen password alone (even
+// with a live session) can't remove the second factor
+app.post('/api/admin/totp/disable', adminAuth, validate(SCHEMAS.totpDisable), async (req, res) => {
+    if (!req.admin.totpEnabled) {
+        return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await admins.checkPassword(req.admin.id, req.body.password))) {
+        return res.status(401).json({ error: 'Password is incorrect' });
+    }
+    if (!admins.checkTotp(req.admin.id, req.body.code)) {
+        return res.status(401).json({ error: 'Invalid two-factor code' });
+    }
+    admins.disableTotp(req.admin.id);
+    audit.record('admin.totp_disabled');
+    res.json({ success: true });
 });
 
-app.get('/api/admin/stats', adminAuth, (req, res) => {
-    const orders = loadOrders();
-    
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const weekAgo = new Date(today.getTime() - 7 * 24 * 60 * 60 * 1000);
-    const monthAgo = new Date(today.getTime() - 30 * 24 * 60 * 60 * 1000);
+// Admin accounts
+app.get('/api/admin/users', adminAuth, requireOperator, (req, res) => {
+    res.json({ users: admins.listAdmins() });
+});
 
-    const stats = {
-        total: {
-            orders: orders.length,
-            revenue: orders.reduce((sum, o) => sum + (o.amount || 0), 0),
-            completed: orders.filter(o => o.status === 'completed').length,
-            pending: orders.filter(o => ['pending', 'processing', 'paid'].includes(o.status)).length
-        },
-        today: {
-            orders: orders.filter(o => new Date(o.date) >= today).length,
-            revenue: orders.filter(o => new Date(o.date) >= today).reduce((sum, o) => sum + (o.amount || 0), 0)
-        },
-        week: {
-            orders: orders.filter(o => new Date(o.date) >= weekAgo).length,
-            revenue: orders.filter(o => new Date(o.date) >= weekAgo).reduce((sum, o) => sum + (o.amount || 0), 0)
-        },
-        month: {
-            orders: orders.filter(o => new Date(o.date) >= monthAgo).length,
-            revenue: orders.filter(o => new Date(o.date) >= monthAgo).reduce((sum, o) => sum + (o.amount || 0), 0)
-        }
-    };
+app.post('/api/admin/users', adminAuth, requireOperator, validate(SCHEMAS.createUser), async (req, res) => {
+    const { username, password, role } = req.body;
+
+    const invalid = admins.validatePassword(password);
+    if (invalid) {
+        return sendValidationError(res, { password: invalid });
+    }
 
-    res.json(stats);
+    try {
+        const user = await admins.createAdmin({ username, password, role });
+        audit.record('admin.user_created', { details: { userId: user.id, username: user.username, role } });
+        res.status(201).json({ success: true, user });
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        console.error('Create admin error:', error.message);
+        res.status(500).json({ error: 'Could not create user' });
+    }
 });
 
-app.patch('/api/admin/orders/:id', adminAuth, async (req, res) => {
+app.patch('/api/admin/users/:id', adminAuth, requireOperator, validate(SCHEMAS.updateUser), (req, res) => {
     const { id } = req.params;
-    const { status } = req.body;
+    const { role, disabled } = req.body;
 
-    if (!['pending', 'processing', 'completed', 'failed', 'paid'].includes(status)) {
-        return res.status(400).json({ error: 'Invalid status' });
+    if (id === req.admin.id && (disabled || (role && role !== 'operator'))) {
+        return res.status(400).json({ error: 'You cannot demote or disable your own account' });
     }
 
-    const updated = updateOrderStatus(parseInt(id), status);
-    res.json({ success: true, order: updated });
+    const user = admins.updateAdmin(id, { role, disabled });
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    audit.record('admin.user_updated', { details: { userId: id, role, disabled } });
+    res.json({ success: true, user });
 });
 
-// Manual JAP fulfillment endpoint
-app.post('/api/admin/fulfill/:id', adminAuth, async (req, res) => {
-    const { id } = req.params;
-    const orders = loadOrders();
-    const order = orders.find(o => o.id === parseInt(id));
+app.post('/api/admin/users/:id/revoke-sessions', adminAuth, requireOperator, validate(SCHEMAS.byId), (req, res) => {
+    const user = admins.getAdmin(req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    const revoked = admins.revokeAdminSessions(user.id);
+    audit.record('admin.sessions_revoked', { details: { userId: user.id, revokedSessions: revoked } });
+    res.json({ success: true, revokedSessions: revoked });
+});
+
+// =====================================================
+// TELEGRAM ADMIN BOT - Commands and order buttons
+// =====================================================
+// Updates arrive on POST /api/webhooks/telegram (TELEGRAM_BOT_MODE=webhook,
+// registered at startup) or by long polling (TELEGRAM_BOT_MODE=polling).
+// Only TELEGRAM_CHAT_ID and the chat/user IDs in TELEGRAM_ALLOWED_IDS are
+// answered; anyone allowed can act on orders like an operator.
+const TELEGRAM_ALLOWED = new Set(
+    [TELEGRAM_CHAT_ID, ...String(TELEGRAM_ALLOWED_IDS).split(',')]
+        .map(id => String(id || '').trim())
+        .filter(Boolean)
+);
+
+const TELEGRAM_POLL_TIMEOUT_SECONDS = 25;
+
+function isTelegramAllowed(chat, from) {
+    return TELEGRAM_ALLOWED.has(String(chat?.id)) || TELEGRAM_ALLOWED.has(String(from?.id));
+}
+
+function telegramActor(from) {
+    return { type: 'telegram', name: from?.username ? `@${from.username}` : String(from?.id) };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function money(amount) {
+    return `$${(amount || 0).toFixed(2)}`;
+}
+
+// Accepts the numeric id or the GF-/gf_ order ID
+function findBotOrder(ref) {
+    if (!ref) return null;
+    return /^\d+$/.test(ref) ? orderRepo.getOrderById(Number(ref)) : orderRepo.getOrderByOrderId(ref);
+}
+
+function formatBotOrder(order) {
+    const items = order.itemCount ? orderRepo.getOrderItems(order.id) : [];
+    const details = order.itemCount
+        ? items.map(i => `• ${i.platform} ${i.service} x${i.quantity.toLocaleString()} - ${i.status}${i.japOrderId ? ` (#${i.japOrderId})` : ''}\n  ${escapeHtml(i.link)}`).join('\n')
+        : `📦 ${order.platform || 'N/A'} ${order.service || ''} (${order.quality || 'standard'}) x${order.quantity?.toLocaleString() || 'N/A'}
+🔗 ${escapeHtml(order.link || 'N/A')}
+🤖 <b>Supplier order:</b> ${order.japOrderId ? `#${order.japOrderId} (${providerLabel(order.provider)})` : 'not placed'}`;
+
+    const riskLine = order.riskScore ? `\n⚠️ <b>Risk score:</b> ${order.riskScore} - ${escapeHtml((order.riskReasons || []).join('; '))}` : '';
+    const refunded = order.refundedAmount ? `\n💸 <b>Refunded:</b> ${money(order.refundedAmount)}` : '';
+
+    return `
+🆔 <b>${escapeHtml(order.orderId)}</b> (#${order.id})
+
+📋 <b>Status:</b> ${order.status}
+💰 <b>Amount:</b> ${money(order.amount)}
+💳 <b>Payment:</b> ${order.paymentMethod || 'N/A'}
+📧 <b>Email:</b> ${escapeHtml(order.email || 'N/A')}
+${details}${refunded}${riskLine}
+⏰ <b>Created:</b> ${new Date(order.date).toLocaleString('en-US', { timeZone: 'America/New_York' })} ET
+`.trim();
+}
+
+function formatStatsMessage(stats) {
+    const period = ({ orders, revenue }) => `${orders} orders · ${money(revenue)}`;
+    const supplier = stats.supplierBalance;
+
+    return `
+📊 <b>STATS</b>
+
+📅 <b>Today:</b> ${period(stats.today)}
+🗓️ <b>7 days:</b> ${period(stats.week)}
+📆 <b>30 days:</b> ${period(stats.month)}
+🏁 <b>All time:</b> ${period(stats.total)}
+
+⏳ Open: ${stats.total.pending}
+🛑 In review: ${stats.total.review}
+✅ Completed: ${stats.total.completed}
+🟠 Partial: ${stats.total.partial}
+❌ Canceled: ${stats.total.canceled}
+💸 Refunded: ${stats.total.refunded} (${money(stats.total.refundedAmount)})
+🚨 Disputed: ${stats.total.disputed}
+
+🔁 <b>Retry queue:</b> ${stats.fulfillmentQueue}
+👛 <b>Wallet balances:</b> ${money(stats.wallet.customers)}
+🏦 <b>Supplier balance:</b> ${supplier.balance != null ? `${supplier.balance.toFixed(2)} ${supplier.currency}` : 'unknown'}${supplier.paused ? ' - fulfillment paused' : ''}
+`.trim();
+}
+
+// Command handlers get the text after the command and return { text, buttons }
+const BOT_COMMANDS = {
+    start: botHelp,
+    help: botHelp,
+    orders: botOrders,
+    order: botOrder,
+    stats: () => ({ text: formatStatsMessage(getAdminStats()) }),
+    balance: botBalance
+};
+
+function botHelp() {
+    return {
+        text: `
+🤖 <b>GetFame admin bot</b>
+
+/orders [status] - latest 10 orders
+/order &lt;id&gt; - order details and actions
+/stats - sales and queue numbers
+/balance - supplier balances
+`.trim()
+    };
+}
+
+function botOrders(status) {
+    if (status && !ORDER_STATUSES.includes(status)) {
+        return { text: `Unknown status. Use one of: ${ORDER_STATUSES.join(', ')}` };
+    }
+
+    const orders = orderRepo.listOrders({ status: status || undefined, limit: 10 });
+    if (!orders.length) {
+        return { text: 'No orders found.' };
+    }
+
+    const lines = orders.map(o =>
+        `#${o.id} <b>${escapeHtml(o.orderId)}</b> · ${o.status} · ${money(o.amount)} · ${o.itemCount ? `cart (${o.itemCount})` : `${o.platform || ''} ${o.service || ''}`}`
+    );
+    return { text: `🧾 <b>Latest ${status ? `${status} ` : ''}orders</b>\n\n${lines.join('\n')}` };
+}
 
+function botOrder(ref) {
+    const order = findBotOrder(ref);
     if (!order) {
-        return res.status(404).json({ error: 'Order not found' });
+        return { text: ref ? 'Order not found.' : 'Usage: /order &lt;id&gt;' };
     }
+    return { text: formatBotOrder(order), buttons: orderActionButtons(order) };
+}
 
-    if (!order.japServiceId || !order.link || !order.quantity) {
-        return res.status(400).json({ error: 'Missing order details for fulfillment' });
+async function botBalance() {
+    const lines = (await listProviderBalances()).filter(p => p.configured).map(p => {
+        const label = `${p.label}${p.fallback ? ' (fallback)' : ''}`;
+        return p.balance.success
+            ? `• ${label}: ${p.balance.balance.toFixed(2)} ${p.balance.currency}`
+            : `• ${label}: ⚠️ ${escapeHtml(p.balance.error)}`;
+    });
+
+    const paused = isFulfillmentPaused() ? `\n\n🛑 Fulfillment is paused (floor ${Number(JAP_BALANCE_FLOOR).toFixed(2)})` : '';
+    return { text: `🏦 <b>Supplier balances</b>\n\n${lines.join('\n') || 'No supplier configured.'}${paused}` };
+}
+
+// Button actions get the order and return { toast, text }. The refund button
+// asks for confirmation first.
+const BOT_ACTIONS = {
+    retry: async order => {
+        const result = await fulfillManually(order);
+        return result.success
+            ? { toast: 'Placed', text: `✅ ${escapeHtml(order.orderId)} placed with the supplier: #${result.japOrderId}` }
+            : { toast: 'Failed', text: `❌ Could not place ${escapeHtml(order.orderId)}: ${escapeHtml(result.error)}` };
+    },
+    complete: async order => {
+        const updated = orderRepo.transitionOrderStatus(order.id, COMPLETABLE_STATUSES, 'completed');
+        if (!updated) {
+            return { toast: `Order is ${order.status}`, text: `⚠️ ${escapeHtml(order.orderId)} is ${order.status} and can't be marked completed` };
+        }
+
+        queueStatusEmail(updated);
+        return { toast: 'Marked completed', text: `✅ ${escapeHtml(order.orderId)} marked completed` };
+    },
+    refund: async (order, query) => {
+        await telegram.editButtons(query.message.chat.id, query.message.message_id, [[
+            { text: '💸 Confirm refund', data: `refund-confirm:${order.id}` },
+            { text: 'Cancel', data: `refund-cancel:${order.id}` }
+        ]]);
+        return { toast: 'Confirm the refund' };
+    },
+    'refund-confirm': async (order, query) => {
+        await telegram.editButtons(query.message.chat.id, query.message.message_id, orderActionButtons(order));
+
+        const result = await refundOrder(order);
+        return result.success
+            ? { toast: 'Refunded', text: `💸 Refunded ${money(result.amount)} for ${escapeHtml(order.orderId)}` }
+            : { toast: 'Refund failed', text: `❌ Could not refund ${escapeHtml(order.orderId)}: ${escapeHtml(result.error)}` };
+    },
+    'refund-cancel': async (order, query) => {
+        await telegram.editButtons(query.message.chat.id, query.message.message_id, orderActionButtons(order));
+        return { toast: 'Refund canceled' };
     }
+};
 
-    const japResult = await placeJapOrder(order.japServiceId, order.link, order.quantity);
+async function handleTelegramMessage(message) {
+    const match = message.text?.match(/^\/(\w+)(?:@\w+)?\s*([\s\S]*)$/);
+    if (!match) return;
 
-    if (japResult.success) {
-        updateOrderStatus(order.id, 'processing', japResult.orderId);
-        res.json({ success: true, japOrderId: japResult.orderId });
-    } else {
-        res.status(500).json({ error: japResult.error });
+    const command = BOT_COMMANDS[match[1].toLowerCase()];
+    const reply = command ? await command(match[2].trim()) : { text: 'Unknown command. Try /help' };
+    await telegram.sendMessage(message.chat.id, reply.text, { buttons: reply.buttons, replyTo: message.message_id });
+}
+
+async function handleTelegramCallback(query) {
+    const [action, id] = String(query.data || '').split(':');
+    const handler = BOT_ACTIONS[action];
+    const order = handler && query.message && orderRepo.getOrderById(Number(id));
+    if (!order) {
+        return telegram.answerCallback(query.id, 'Order not found');
     }
-});
 
-// Check JAP order status
-app.get('/api/admin/jap-status/:japOrderId', adminAuth, async (req, res) => {
-    const { japOrderId } = req.params;
-    const status = await checkJapOrderStatus(japOrderId);
-    res.json(status || { error: 'Could not fetch status' });
-});
+    const result = await audit.withActor(telegramActor(query.from), () => handler(order, query));
+    await telegram.answerCallback(query.id, result.toast);
+    if (result.text) {
+        await telegram.sendMessage(query.message.chat.id, result.text, { replyTo: query.message.message_id });
+    }
+}
 
-// Change admin password
-app.post('/api/admin/change-password', adminAuth, async (req, res) => {
-    const { currentPassword, newPassword } = req.body;
+// Updates from anyone not whitelisted are logged (with the IDs to allow) and ignored
+async function handleTelegramUpdate(update) {
+    const message = update.message;
+    const query = update.callback_query;
+    const chat = message?.chat || query?.message?.chat;
+    const from = message?.from || query?.from;
 
-    const currentHash = crypto.createHash('sha256').update(currentPassword).digest('hex');
-    
-    if (currentHash !== ADMIN_PASSWORD_HASH) {
-        return res.status(401).json({ error: 'Current password is incorrect' });
+    try {
+        if (!isTelegramAllowed(chat, from)) {
+            console.log(`Telegram update from chat ${chat?.id} / user ${from?.id} ignored (not in TELEGRAM_ALLOWED_IDS)`);
+            return;
+        }
+
+        if (query) {
+            await handleTelegramCallback(query);
+        } else if (message) {
+            await audit.withActor(telegramActor(from), () => handleTelegramMessage(message));
+        }
+    } catch (error) {
+        console.error('Telegram bot error:', error.message);
     }
+}
 
-    // Note: In production, you'd update the environment variable
-    // For now, just return success - user needs to update env var manually
-    const newHash = crypto.createHash('sha256').update(newPassword).digest('hex');
-    
-    res.json({ 
-        success: true, 
-        message: 'Update ADMIN_PASSWORD_HASH in your environment variables to: ' + newHash 
-    });
+app.post('/api/webhooks/telegram', (req, res) => {
+    const secret = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''));
+    const expected = Buffer.from(String(TELEGRAM_WEBHOOK_SECRET || ''));
+    if (TELEGRAM_BOT_MODE !== 'webhook' || !expected.length || secret.length !== expected.length || !crypto.timingSafeEqual(secret, expected)) {
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    // Acknowledge first: Telegram resends updates that take too long
+    res.json({ ok: true });
+    handleTelegramUpdate(req.body || {});
 });
 
+async function pollTelegramUpdates() {
+    let offset = 0;
+
+    for (;;) {
+        try {
+            const updates = await telegram.getUpdates({ offset, timeout: TELEGRAM_POLL_TIMEOUT_SECONDS });
+            for (const update of updates) {
+                offset = update.update_id + 1;
+                await handleTelegramUpdate(update);
+            }
+        } catch (error) {
+            console.error('Telegram polling error:', error.message);
+            await new Promise(resolve => setTimeout(resolve, 5000));
+        }
+    }
+}
+
+function startTelegramBot() {
+    if (!telegram.isConfigured() || TELEGRAM_BOT_MODE === 'off') return;
+
+    if (TELEGRAM_BOT_MODE === 'webhook') {
+        if (!TELEGRAM_WEBHOOK_SECRET) {
+            console.error('TELEGRAM_WEBHOOK_SECRET not set - Telegram bot disabled');
+            return;
+        }
+        telegram.setWebhook(`${BACKEND_URL}/api/webhooks/telegram`, TELEGRAM_WEBHOOK_SECRET)
+            .then(() => console.log('Telegram bot webhook registered'))
+            .catch(error => console.error('Telegram webhook registration error:', error.message));
+    } else if (TELEGRAM_BOT_MODE === 'polling') {
+        // getUpdates is refused while a webhook is set
+        telegram.deleteWebhook()
+            .catch(error => console.error('Telegram deleteWebhook error:', error.message))
+            .then(pollTelegramUpdates);
+        console.log('Telegram bot polling for updates');
+    } else {
+        console.error(`Unknown TELEGRAM_BOT_MODE "${TELEGRAM_BOT_MODE}" - use webhook, polling or off`);
+    }
+}
+
 // =====================================================
 // ERROR HANDLING
 // =====================================================
@@ -883,6 +4148,20 @@ app.listen(PORT, () => {
     console.log('Features enabled:');
     console.log('- Stripe:', !!STRIPE_SECRET_KEY);
     console.log('- NOWPayments:', !!NOWPAYMENTS_API_KEY);
-    console.log('- JAP API:', !!JAP_API_KEY);
-    console.log('- Telegram:', !!TELEGRAM_BOT_TOKEN);
+    console.log('- Coinbase Commerce:', !!(COINBASE_COMMERCE_API_KEY && COINBASE_WEBHOOK_SECRET));
+    console.log('- JAP API:', providers.isConfigured('jap'));
+    console.log('- Fallback SMM panel:', providers.FALLBACK_PROVIDER || false);
+    console.log('- Telegram:', !!TELEGRAM_BOT_TOKEN, `(bot: ${TELEGRAM_BOT_MODE})`);
+    console.log('- Email:', !!RESEND_API_KEY);
+
+    admins.bootstrapAdmin(ADMIN_USERNAME, ADMIN_PASSWORD)
+        .catch(error => console.error('Admin bootstrap error:', error.message));
+
+    startJapStatusPoller();
+    email.startEmailWorker();
+    startFulfillmentWorker();
+    startSupplierSyncWorker();
+    startBalanceMonitor();
+    startTelegramBot();
+    outboundWebhooks.startDeliveryWorker();
 });
@@ -0,0 +1,191 @@
+// =====================================================
+// EMAIL QUEUE - Retries, permanent failures, dedupe
+// =====================================================
+// Runs lib/email.js against a local fake Resend API (RESEND_API_URL).
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeApi, waitFor, tempDatabase } = require('./helpers');
+
+const RETRY_BASE_MS = 60 * 1000;
+
+let resend;
+let database;
+let email;
+let orderRepo;
+let getDb;
+
+// Replies the fake Resend API will give, in order; 200 once they run out
+let replies = [];
+let orderCount = 0;
+
+function createOrder(status = 'completed') {
+    orderCount++;
+    return orderRepo.createOrder({
+        orderId: `GF-TEST${orderCount}`,
+        email: `customer${orderCount}@example.com`,
+        platform: 'Instagram',
+        service: 'Followers',
+        quantity: 1000,
+        amount: 9.99,
+        status,
+        paymentMethod: 'stripe'
+    });
+}
+
+function emailRow(orderId) {
+    return getDb().prepare('SELECT * FROM order_emails WHERE order_id = ?').get(orderId);
+}
+
+// Make a queued email due now instead of waiting out its backoff
+function makeDue(orderId) {
+    getDb()
+        .prepare('UPDATE order_emails SET next_attempt_at = ? WHERE order_id = ?')
+        .run(new Date(Date.now() - 1000).toISOString(), orderId);
+}
+
+function assertBackoff(row, attempts) {
+    const delay = Date.parse(row.next_attempt_at) - Date.now();
+    const expected = RETRY_BASE_MS * 2 ** (attempts - 1);
+    assert.ok(delay > expected - 5000 && delay <= expected, `retry in ${delay}ms, expected ~${expected}ms`);
+}
+
+before(async () => {
+    resend = await startFakeApi(() => {
+        const reply = replies.shift();
+        return reply || { status: 200, body: { id: `email_${resend.requests.length}` } };
+    });
+    database = tempDatabase();
+
+    process.env.DATABASE_PATH = database.path;
+    process.env.RESEND_API_KEY = 're_test';
+    process.env.RESEND_API_URL = resend.url;
+
+    email = require('../lib/email');
+    orderRepo = require('../lib/orders');
+    ({ getDb } = require('../lib/db'));
+});
+
+after(async () => {
+    await resend.close();
+    getDb().close();
+    database.cleanup();
+});
+
+beforeEach(() => {
+    replies = [];
+    resend.requests.length = 0;
+});
+
+describe('email queue', () => {
+    it('sends a queued email through Resend', async () => {
+        const order = createOrder();
+        assert.equal(email.queueOrderEmail(order, 'orderCompleted'), true);
+
+        const row = await waitFor(() => emailRow(order.id)?.status === 'sent' && emailRow(order.id));
+        assert.equal(row.attempts, 1);
+        assert.equal(row.provider_id, 'email_1');
+
+        assert.equal(resend.requests.length, 1);
+        const [request] = resend.requests;
+        assert.equal(request.url, '/emails');
+        assert.equal(request.headers.authorization, 'Bearer re_test');
+        assert.deepEqual(request.body.to, [order.email]);
+        assert.match(request.body.subject, new RegExp(order.orderId));
+    });
+
+    it('retries 5xx responses and network errors with exponential backoff', async () => {
+        replies = [
+            { status: 503, body: { message: 'Service unavailable' } },
+            { destroy: true }
+        ];
+        const order = createOrder();
+        email.queueOrderEmail(order, 'orderCompleted');
+
+        let row = await waitFor(() => emailRow(order.id)?.attempts === 1 && emailRow(order.id));
+        assert.equal(row.status, 'queued');
+        assert.equal(row.last_error, 'Service unavailable');
+        assertBackoff(row, 1);
+
+        // Not due yet - nothing is sent
+        await email.processEmailQueue();
+        assert.equal(resend.requests.length, 1);
+
+        makeDue(order.id);
+        await email.processEmailQueue();
+        row = emailRow(order.id);
+        assert.equal(resend.requests.length, 2);
+        assert.equal(row.status, 'queued');
+        assert.equal(row.attempts, 2);
+        assert.ok(row.last_error);
+        assertBackoff(row, 2);
+
+        makeDue(order.id);
+        await email.processEmailQueue();
+        row = emailRow(order.id);
+        assert.equal(resend.requests.length, 3);
+        assert.equal(row.status, 'sent');
+        assert.equal(row.attempts, 3);
+        assert.equal(row.last_error, null);
+    });
+
+    it('gives up after the last attempt', async () => {
+        replies = Array.from({ length: 5 }, () => ({ status: 500, body: {} }));
+        const order = createOrder();
+        email.queueOrderEmail(order, 'orderCompleted');
+        await waitFor(() => emailRow(order.id)?.attempts === 1);
+
+        for (let attempt = 2; attempt <= 5; attempt++) {
+            makeDue(order.id);
+            await email.processEmailQueue();
+        }
+
+        const row = emailRow(order.id);
+        assert.equal(row.status, 'failed');
+        assert.equal(row.attempts, 5);
+        assert.equal(row.last_error, 'Resend HTTP 500');
+        assert.equal(resend.requests.length, 5);
+    });
+
+    it('stops after a permanent 4xx', async () => {
+        replies = [{ status: 422, body: { message: 'Invalid `to` field' } }];
+        const order = createOrder();
+        email.queueOrderEmail(order, 'orderCompleted');
+
+        const row = await waitFor(() => emailRow(order.id)?.status === 'failed' && emailRow(order.id));
+        assert.equal(row.attempts, 1);
+        assert.equal(row.last_error, 'Invalid `to` field');
+
+        makeDue(order.id);
+        await email.processEmailQueue();
+        assert.equal(resend.requests.length, 1);
+    });
+
+    it('retries rate limiting (429) rather than treating it as permanent', async () => {
+        replies = [{ status: 429, body: { message: 'Too many requests' } }];
+        const order = createOrder();
+        email.queueOrderEmail(order, 'orderCompleted');
+
+        const row = await waitFor(() => emailRow(order.id)?.attempts === 1 && emailRow(order.id));
+        assert.equal(row.status, 'queued');
+        assertBackoff(row, 1);
+    });
+
+    it('sends one email per order and template when the same status change is queued twice', async () => {
+        const order = createOrder();
+        assert.equal(email.queueOrderEmail(order, 'orderCompleted'), true);
+        assert.equal(email.queueOrderEmail(order, 'orderCompleted'), false);
+
+        await waitFor(() => emailRow(order.id)?.status === 'sent');
+        assert.equal(email.queueOrderEmail(order, 'orderCompleted'), false);
+
+        makeDue(order.id);
+        await email.processEmailQueue();
+        assert.equal(resend.requests.length, 1);
+        assert.equal(getDb().prepare('SELECT COUNT(*) AS n FROM order_emails WHERE order_id = ?').get(order.id).n, 1);
+
+        // A different template for the same order is its own email
+        assert.equal(email.queueOrderEmail(order, 'fulfillmentStarted'), true);
+        await waitFor(() => resend.requests.length === 2);
+        assert.deepEqual(email.listOrderEmails(order.id).map(row => row.template), ['orderCompleted', 'fulfillmentStarted']);
+    });
+});
@@ -0,0 +1,123 @@
+// =====================================================
+// ADMIN EVENT STREAM - Ticket and session checks
+// =====================================================
+// Starts server.js with a bootstrap admin and opens /api/admin/events the
+// way the dashboard does: exchange the session for a ticket, then connect.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { waitFor, tempDatabase, startServer } = require('./helpers');
+
+const ADMIN_PASSWORD = 'supersecret1';
+
+let database;
+let getDb;
+let server;
+let operatorToken;
+
+async function api(method, url, { token, body } = {}) {
+    const response = await fetch(`${server.url}${url}`, {
+        method,
+        headers: {
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...(body ? { 'Content-Type': 'application/json' } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function login(username, password) {
+    const { status, body } = await api('POST', '/api/admin/login', { body: { username, password } });
+    assert.equal(status, 200);
+    return body.token;
+}
+
+async function ticketFor(token) {
+    const { status, body } = await api('POST', '/api/admin/events/ticket', { token });
+    assert.equal(status, 200);
+    return body.ticket;
+}
+
+// Connect to the stream; resolves with the status and, for an open stream,
+// its first chunk (the connection is dropped right after)
+async function openStream(query) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/api/admin/events${query}`, { signal: controller.signal });
+    if (response.status !== 200) {
+        return { status: response.status, body: await response.json() };
+    }
+
+    const reader = response.body.getReader();
+    const { value } = await reader.read();
+    controller.abort();
+    return { status: 200, type: response.headers.get('content-type'), first: Buffer.from(value).toString() };
+}
+
+before(async () => {
+    // Migrate the database here first so the server and the test never race
+    database = tempDatabase();
+    process.env.DATABASE_PATH = database.path;
+    ({ getDb } = require('../lib/db'));
+    getDb();
+
+    server = await startServer({
+        DATABASE_PATH: database.path,
+        ADMIN_PASSWORD,
+        ADMIN_SESSION_SECRET: 'test-session-secret'
+    });
+    // The first admin is created (password hashed) just after startup
+    await waitFor(() => getDb().prepare('SELECT COUNT(*) AS n FROM admins').get().n > 0);
+    operatorToken = await login('admin', ADMIN_PASSWORD);
+});
+
+after(async () => {
+    await server?.stop();
+    getDb?.().close();
+    database?.cleanup();
+});
+
+describe('admin event stream', () => {
+    it('opens with a fresh ticket', async () => {
+        const stream = await openStream(`?ticket=${await ticketFor(operatorToken)}`);
+        assert.equal(stream.status, 200);
+        assert.match(stream.type, /^text\/event-stream/);
+        assert.match(stream.first, /^retry: 5000/);
+    });
+
+    it('refuses a ticket that was already used', async () => {
+        const ticket = await ticketFor(operatorToken);
+        assert.equal((await openStream(`?ticket=${ticket}`)).status, 200);
+        assert.equal((await openStream(`?ticket=${ticket}`)).status, 401);
+    });
+
+    it('answers unauthenticated requests with 401 before validating the query', async () => {
+        assert.equal((await openStream('')).status, 401);
+        assert.equal((await openStream('?ticket=unknown')).status, 401);
+
+        const invalid = await openStream(`?ticket=${'x'.repeat(200)}`);
+        assert.equal(invalid.status, 401);
+        assert.equal(invalid.body.fields, undefined);
+    });
+
+    it('refuses a ticket whose session was revoked', async () => {
+        const token = await login('admin', ADMIN_PASSWORD);
+        const ticket = await ticketFor(token);
+        assert.equal((await api('POST', '/api/admin/logout', { token })).status, 200);
+
+        assert.equal((await openStream(`?ticket=${ticket}`)).status, 401);
+    });
+
+    it('refuses a ticket whose admin was disabled', async () => {
+        const created = await api('POST', '/api/admin/users', {
+            token: operatorToken,
+            body: { username: 'viewer1', password: 'viewerpass1', role: 'viewer' }
+        });
+        assert.equal(created.status, 201);
+
+        const ticket = await ticketFor(await login('viewer1', 'viewerpass1'));
+        const disabled = await api('PATCH', `/api/admin/users/${created.body.user.id}`, { token: operatorToken, body: { disabled: true } });
+        assert.equal(disabled.status, 200);
+
+        assert.equal((await openStream(`?ticket=${ticket}`)).status, 401);
+    });
+});
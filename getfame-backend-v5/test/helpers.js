@@ -0,0 +1,113 @@
+// =====================================================
+// TEST HELPERS - Fake upstream APIs, temp databases, the server
+// =====================================================
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const http = require('http');
+const { spawn } = require('child_process');
+
+// Local HTTP server standing in for a third-party API. `handler` gets
+// ({ method, url, headers, body }) and returns { status, body } - or
+// { destroy: true } to drop the connection like a network failure.
+// Every request is recorded in `requests`.
+async function startFakeApi(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', async () => {
+            let body = {};
+            try { body = raw ? JSON.parse(raw) : {}; } catch { body = raw; }
+
+            const request = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(request);
+
+            const reply = (await handler(request)) || {};
+            if (reply.destroy) return req.socket.destroy();
+
+            res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(reply.body ?? {}));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+
+    return {
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+// Poll until `check` returns something truthy (and return it)
+async function waitFor(check, { timeout = 5000, interval = 20 } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+        const value = await check();
+        if (value) return value;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, interval));
+    }
+}
+
+// Fresh directory for a throwaway SQLite database; remove it with cleanup()
+function tempDatabase() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'getfame-test-'));
+    return {
+        path: path.join(dir, 'test.db'),
+        cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+    };
+}
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        }).on('error', reject);
+    });
+}
+
+// Run server.js in a child process with only the given environment (plus
+// PATH and a free PORT) and wait until it answers. stop() ends it.
+async function startServer(env) {
+    const port = await freePort();
+    const url = `http://127.0.0.1:${port}`;
+    let output = '';
+
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: { PATH: process.env.PATH, NODE_ENV: 'test', PORT: String(port), BACKEND_URL: url, ...env }
+    });
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const stop = async () => {
+        if (child.exitCode !== null) return;
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill();
+        await exited;
+    };
+
+    try {
+        await waitFor(() => child.exitCode === null && fetch(url).then(res => res.ok, () => false), { timeout: 15000 });
+    } catch {
+        await stop();
+        throw new Error(`Server did not start\n${output}`);
+    }
+
+    return { url, stop, output: () => output };
+}
+
+module.exports = {
+    startFakeApi,
+    waitFor,
+    tempDatabase,
+    startServer
+};
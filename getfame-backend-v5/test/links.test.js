@@ -0,0 +1,36 @@
+// =====================================================
+// ORDER LINKS - Per-platform validation and normalization
+// =====================================================
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateLink } = require('../lib/links');
+
+describe('validateLink', () => {
+    it('normalizes profile links with or without a scheme', () => {
+        const link = 'https://www.instagram.com/john.doe/';
+        assert.deepEqual(validateLink('instagram', 'followers', 'https://instagram.com/john.doe'), { link });
+        assert.deepEqual(validateLink('instagram', 'followers', 'instagram.com/john.doe'), { link });
+        assert.deepEqual(validateLink('instagram', 'followers', 'm.instagram.com/john.doe/'), { link });
+    });
+
+    it('accepts bare usernames, dotted ones included, where a profile is expected', () => {
+        assert.deepEqual(validateLink('instagram', 'followers', 'john_doe'), { link: 'https://www.instagram.com/john_doe/' });
+        assert.deepEqual(validateLink('instagram', 'followers', '@john.doe'), { link: 'https://www.instagram.com/john.doe/' });
+        assert.deepEqual(validateLink('instagram', 'followers', 'john.doe'), { link: 'https://www.instagram.com/john.doe/' });
+        assert.deepEqual(validateLink('tiktok', 'followers', 'jane.doe'), { link: 'https://www.tiktok.com/@jane.doe' });
+    });
+
+    it('asks for a link when a username is given for a post service', () => {
+        assert.deepEqual(validateLink('instagram', 'likes', 'john.doe'), { error: 'Instagram likes need a link to a post, not a username' });
+    });
+
+    it('rejects links from another platform', () => {
+        assert.deepEqual(validateLink('instagram', 'followers', 'https://www.tiktok.com/@jane.doe'), { error: 'Instagram followers need a link from Instagram' });
+        assert.deepEqual(validateLink('instagram', 'followers', 'tiktok.com/@jane.doe'), { error: 'Instagram followers need a link from Instagram' });
+    });
+
+    it('rejects input that is neither a link nor a username', () => {
+        assert.deepEqual(validateLink('instagram', 'followers', 'not a link'), { error: 'Please enter a valid Instagram link' });
+        assert.deepEqual(validateLink('instagram', 'followers', ''), { error: 'Link is required' });
+    });
+});
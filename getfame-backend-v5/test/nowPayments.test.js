@@ -0,0 +1,161 @@
+// =====================================================
+// NOWPAYMENTS IPN - Crypto order settlement
+// =====================================================
+// Starts server.js with an IPN secret and a local fake JAP API, seeds
+// crypto orders into its database and posts signed IPNs.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startFakeApi, waitFor, tempDatabase, startServer } = require('./helpers');
+
+const IPN_SECRET = 'test-ipn-secret';
+const JAP_ORDER_ID = 5151;
+
+let jap;
+let database;
+let server;
+let orderRepo;
+let getDb;
+
+let orderCount = 0;
+let paymentCount = 0;
+
+function createOrder(fields = {}) {
+    orderCount++;
+    return orderRepo.createOrder({
+        orderId: `gf_TEST${orderCount}`,
+        email: `customer${orderCount}@example.com`,
+        platform: 'Instagram',
+        service: 'Followers',
+        quality: 'standard',
+        japServiceId: '7446',
+        link: `https://instagram.com/crypto${orderCount}`,
+        quantity: 1000,
+        amount: 20,
+        status: 'pending',
+        paymentMethod: 'crypto',
+        ...fields
+    });
+}
+
+function sortKeys(value) {
+    if (Array.isArray(value)) return value.map(sortKeys);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, sortKeys(value[key])]));
+    }
+    return value;
+}
+
+async function postIpn(ipn) {
+    const signature = crypto.createHmac('sha512', IPN_SECRET).update(JSON.stringify(sortKeys(ipn))).digest('hex');
+    const response = await fetch(`${server.url}/api/webhooks/nowpayments`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-nowpayments-sig': signature },
+        body: JSON.stringify(ipn)
+    });
+    assert.equal(response.status, 200);
+    return response.json();
+}
+
+function ipnFor(order, paymentId, payment_status, actually_paid) {
+    return {
+        payment_id: paymentId,
+        payment_status,
+        order_id: order.orderId,
+        price_amount: order.amount,
+        price_currency: 'usd',
+        pay_amount: 0.001,
+        actually_paid,
+        pay_currency: 'btc'
+    };
+}
+
+function placements(order) {
+    return jap.requests.filter(r => r.body.action === 'add' && r.body.link === order.link);
+}
+
+before(async () => {
+    jap = await startFakeApi(({ body }) => {
+        if (body.action === 'add') return { body: { order: JAP_ORDER_ID } };
+        if (body.action === 'balance') return { body: { balance: '100.00', currency: 'USD' } };
+        if (body.action === 'services') return { body: [] };
+        return { body: {} };
+    });
+
+    // Migrate the database here first so the server and the test never race
+    database = tempDatabase();
+    process.env.DATABASE_PATH = database.path;
+    orderRepo = require('../lib/orders');
+    ({ getDb } = require('../lib/db'));
+    getDb();
+
+    server = await startServer({
+        DATABASE_PATH: database.path,
+        NOWPAYMENTS_IPN_SECRET: IPN_SECRET,
+        JAP_API_KEY: 'jap-test',
+        JAP_API_URL: jap.url
+    });
+});
+
+after(async () => {
+    await server?.stop();
+    await jap?.close();
+    getDb?.().close();
+    database?.cleanup();
+});
+
+describe('nowpayments orders', () => {
+    it('fulfills an order paid in full', async () => {
+        const order = createOrder();
+        const paymentId = ++paymentCount;
+
+        await postIpn(ipnFor(order, paymentId, 'confirmed', 0.001));
+        await postIpn(ipnFor(order, paymentId, 'finished', 0.001));
+
+        const updated = await waitFor(() => {
+            const current = orderRepo.getOrderById(order.id);
+            return current.status === 'processing' && current;
+        });
+        assert.equal(updated.japOrderId, String(JAP_ORDER_ID));
+        assert.equal(placements(order).length, 1);
+    });
+
+    it('holds an underpaid order for review', async () => {
+        const order = createOrder();
+        await postIpn(ipnFor(order, ++paymentCount, 'partially_paid', 0.0005));
+
+        const held = orderRepo.getOrderById(order.id);
+        assert.equal(held.status, 'review');
+        assert.equal(held.cryptoPaidAmount, 0.0005);
+        assert.equal(placements(order).length, 0);
+    });
+
+    it('fulfills a held order once the rest of the payment arrives (partially_paid -> finished)', async () => {
+        const order = createOrder();
+        const paymentId = ++paymentCount;
+
+        await postIpn(ipnFor(order, paymentId, 'partially_paid', 0.0005));
+        assert.equal(orderRepo.getOrderById(order.id).status, 'review');
+
+        await postIpn(ipnFor(order, paymentId, 'finished', 0.001));
+        const updated = await waitFor(() => {
+            const current = orderRepo.getOrderById(order.id);
+            return current.status === 'processing' && current;
+        });
+        assert.equal(updated.japOrderId, String(JAP_ORDER_ID));
+        assert.equal(updated.cryptoPaidAmount, 0.001);
+        assert.equal(placements(order).length, 1);
+    });
+
+    it('does not release an underpaid order an admin already rejected', async () => {
+        const order = createOrder();
+        const paymentId = ++paymentCount;
+
+        await postIpn(ipnFor(order, paymentId, 'partially_paid', 0.0005));
+        orderRepo.transitionOrderStatus(order.id, 'review', 'canceled');
+
+        await postIpn(ipnFor(order, paymentId, 'finished', 0.001));
+        assert.equal(orderRepo.getOrderById(order.id).status, 'canceled');
+        assert.equal(placements(order).length, 0);
+    });
+});
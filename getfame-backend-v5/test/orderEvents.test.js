@@ -0,0 +1,116 @@
+// =====================================================
+// ORDER EVENTS - Only committed changes reach subscribers
+// =====================================================
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDatabase } = require('./helpers');
+
+let database;
+let orderEvents;
+let orderRepo;
+let getDb;
+
+let events = [];
+let unsubscribe;
+let orderCount = 0;
+
+function createOrder() {
+    orderCount++;
+    return orderRepo.createOrder({
+        orderId: `GF-EVENT${orderCount}`,
+        email: `customer${orderCount}@example.com`,
+        platform: 'Instagram',
+        service: 'Followers',
+        quantity: 1000,
+        amount: 9.99,
+        status: 'pending',
+        paymentMethod: 'stripe'
+    });
+}
+
+// Events are emitted on setImmediate after the commit
+function settle() {
+    return new Promise(resolve => setImmediate(resolve));
+}
+
+before(() => {
+    database = tempDatabase();
+    process.env.DATABASE_PATH = database.path;
+
+    orderEvents = require('../lib/orderEvents');
+    orderRepo = require('../lib/orders');
+    ({ getDb } = require('../lib/db'));
+
+    unsubscribe = orderEvents.subscribe(event => events.push(event));
+});
+
+after(() => {
+    unsubscribe();
+    getDb().close();
+    database.cleanup();
+});
+
+beforeEach(() => {
+    events = [];
+});
+
+describe('order events', () => {
+    it('emits created and status change events once committed', async () => {
+        const order = createOrder();
+        orderRepo.updateOrder(order.id, { status: 'paid' });
+        await settle();
+
+        assert.deepEqual(events.map(event => event.type), ['order.created', 'order.paid']);
+        assert.equal(events[1].data.order.orderId, order.orderId);
+    });
+
+    it('holds events until the surrounding transaction commits', async () => {
+        const db = getDb();
+        const order = db.transaction(() => {
+            const created = createOrder();
+            orderRepo.updateOrder(created.id, { status: 'paid' });
+            assert.equal(events.length, 0);
+            return created;
+        })();
+        await settle();
+
+        assert.deepEqual(events.map(event => event.type), ['order.created', 'order.paid']);
+        assert.equal(events[0].data.order.orderId, order.orderId);
+    });
+
+    it('drops events from a transaction that rolls back', async () => {
+        const db = getDb();
+        let orderId;
+        assert.throws(() => db.transaction(() => {
+            orderId = createOrder().orderId;
+            throw new Error('rollback');
+        })(), /rollback/);
+        await settle();
+
+        assert.equal(orderRepo.getOrderByOrderId(orderId), null);
+        assert.equal(events.length, 0);
+    });
+
+    it('drops events from a rolled back savepoint but keeps the rest', async () => {
+        const db = getDb();
+        const order = createOrder();
+        await settle();
+        events = [];
+
+        db.transaction(() => {
+            orderRepo.updateOrder(order.id, { status: 'paid' });
+            try {
+                db.transaction(() => {
+                    orderRepo.updateOrder(order.id, { status: 'processing' });
+                    throw new Error('rollback');
+                })();
+            } catch {
+                // The savepoint is rolled back; the outer transaction carries on
+            }
+        })();
+        await settle();
+
+        assert.equal(orderRepo.getOrderById(order.id).status, 'paid');
+        assert.deepEqual(events.map(event => event.type), ['order.paid']);
+    });
+});
@@ -0,0 +1,184 @@
+// =====================================================
+// STRIPE DISPUTES - Chargebacks opened and closed
+// =====================================================
+// Starts server.js with a webhook secret (and STRIPE_API_URL on a local fake
+// so nothing reaches Stripe), seeds card orders and wallet top-ups and posts
+// signed dispute events.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const Stripe = require('stripe');
+const { startFakeApi, tempDatabase, startServer } = require('./helpers');
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+const stripe = new Stripe('sk_test_disputes');
+
+let stripeApi;
+let database;
+let server;
+let orderRepo;
+let wallet;
+let customers;
+let getDb;
+
+let orderCount = 0;
+let eventCount = 0;
+let topupCount = 0;
+
+function createOrder(fields = {}) {
+    orderCount++;
+    return orderRepo.createOrder({
+        orderId: `GF-DISPUTE${orderCount}`,
+        email: `customer${orderCount}@example.com`,
+        platform: 'Instagram',
+        service: 'Followers',
+        japServiceId: '7446',
+        link: 'https://instagram.com/example',
+        quantity: 1000,
+        amount: 25,
+        status: 'completed',
+        paymentMethod: 'stripe',
+        stripePaymentIntentId: `pi_dispute_${orderCount}`,
+        ...fields
+    });
+}
+
+// A paid $40 card top-up; returns it with its customer
+function createPaidTopup() {
+    topupCount++;
+    const customer = customers.ensureCustomer(`topup${topupCount}@example.com`);
+    const topup = wallet.createTopup({ topupId: `WT-DISPUTE${topupCount}`, customerId: customer.id, amountCents: 4000, paymentMethod: 'stripe' });
+    return { customer, topup: wallet.completeTopup(topup, { stripePaymentIntentId: `pi_topup_${topupCount}` }) };
+}
+
+async function postEvent(type, object) {
+    const payload = JSON.stringify({ id: `evt_${++eventCount}`, type, data: { object } });
+    const response = await fetch(`${server.url}/api/webhooks/stripe`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Stripe-Signature': stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET })
+        },
+        body: payload
+    });
+    assert.equal(response.status, 200);
+}
+
+function dispute(paymentIntent, status, amount = 2500) {
+    return { id: `dp_${eventCount + 1}`, object: 'dispute', payment_intent: paymentIntent, amount, status, reason: 'fraudulent' };
+}
+
+// Open a dispute on `paymentIntent` and close it with `status`
+async function disputeAndClose(paymentIntent, status, amount) {
+    const opened = dispute(paymentIntent, 'needs_response', amount);
+    await postEvent('charge.dispute.created', opened);
+    await postEvent('charge.dispute.closed', { ...opened, status });
+}
+
+before(async () => {
+    stripeApi = await startFakeApi(() => ({ status: 404, body: { error: { message: 'Not found' } } }));
+
+    // Migrate the database here first so the server and the test never race
+    database = tempDatabase();
+    process.env.DATABASE_PATH = database.path;
+    orderRepo = require('../lib/orders');
+    wallet = require('../lib/wallet');
+    customers = require('../lib/customers');
+    ({ getDb } = require('../lib/db'));
+    getDb();
+
+    server = await startServer({
+        DATABASE_PATH: database.path,
+        STRIPE_SECRET_KEY: 'sk_test_disputes',
+        STRIPE_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        STRIPE_API_URL: stripeApi.url
+    });
+});
+
+after(async () => {
+    await server?.stop();
+    await stripeApi?.close();
+    getDb?.().close();
+    database?.cleanup();
+});
+
+describe('stripe order disputes', () => {
+    it('marks the order disputed when a chargeback opens', async () => {
+        const order = createOrder();
+        await postEvent('charge.dispute.created', dispute(order.stripePaymentIntentId, 'needs_response'));
+
+        const updated = orderRepo.getOrderById(order.id);
+        assert.equal(updated.status, 'disputed');
+        assert.equal(updated.preDisputeStatus, 'completed');
+    });
+
+    it('restores the order when the dispute is won', async () => {
+        const order = createOrder({ status: 'partial' });
+        await disputeAndClose(order.stripePaymentIntentId, 'won');
+
+        const updated = orderRepo.getOrderById(order.id);
+        assert.equal(updated.status, 'partial');
+        assert.equal(updated.disputeStatus, 'won');
+        assert.ok(!updated.refundedAmount);
+    });
+
+    it('restores the order when an inquiry closes without a chargeback (warning_closed)', async () => {
+        const order = createOrder();
+        await disputeAndClose(order.stripePaymentIntentId, 'warning_closed');
+
+        const updated = orderRepo.getOrderById(order.id);
+        assert.equal(updated.status, 'completed');
+        assert.equal(updated.disputeStatus, 'warning_closed');
+        assert.ok(!updated.refundedAmount);
+    });
+
+    it('marks the order refunded when the dispute is lost', async () => {
+        const order = createOrder();
+        await disputeAndClose(order.stripePaymentIntentId, 'lost');
+
+        const updated = orderRepo.getOrderById(order.id);
+        assert.equal(updated.status, 'refunded');
+        assert.equal(updated.refundedAmount, 25);
+    });
+});
+
+describe('stripe top-up disputes', () => {
+    it('takes the disputed amount back out of the wallet while the dispute is open', async () => {
+        const { customer, topup } = createPaidTopup();
+        assert.equal(wallet.getBalance(customer.id), 4000);
+
+        await postEvent('charge.dispute.created', dispute(topup.stripePaymentIntentId, 'needs_response', 4000));
+        assert.equal(wallet.getBalance(customer.id), 0);
+        assert.equal(wallet.getTopup(topup.id).status, 'disputed');
+    });
+
+    it('gives the amount back when the dispute is won', async () => {
+        const { customer, topup } = createPaidTopup();
+        await disputeAndClose(topup.stripePaymentIntentId, 'won', 4000);
+
+        assert.equal(wallet.getBalance(customer.id), 4000);
+        const closed = wallet.getTopup(topup.id);
+        assert.equal(closed.status, 'paid');
+        assert.equal(closed.reversedCents, 0);
+    });
+
+    it('gives the amount back when an inquiry closes without a chargeback (warning_closed)', async () => {
+        const { customer, topup } = createPaidTopup();
+        await disputeAndClose(topup.stripePaymentIntentId, 'warning_closed', 4000);
+
+        assert.equal(wallet.getBalance(customer.id), 4000);
+        const closed = wallet.getTopup(topup.id);
+        assert.equal(closed.status, 'paid');
+        assert.equal(closed.reversedCents, 0);
+    });
+
+    it('keeps the amount reversed when the dispute is lost', async () => {
+        const { customer, topup } = createPaidTopup();
+        await disputeAndClose(topup.stripePaymentIntentId, 'lost', 4000);
+
+        assert.equal(wallet.getBalance(customer.id), 0);
+        const closed = wallet.getTopup(topup.id);
+        assert.equal(closed.status, 'refunded');
+        assert.equal(closed.reversedCents, 4000);
+    });
+});
@@ -0,0 +1,57 @@
+// =====================================================
+// SUPPLIER SERVICES - Syncing provider service lists
+// =====================================================
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { tempDatabase } = require('./helpers');
+
+let database;
+let supplierServices;
+let getDb;
+
+// Minimal provider whose `services` action returns `list`
+function fakeProvider(name, list) {
+    return { name, label: name, services: async () => list };
+}
+
+before(() => {
+    database = tempDatabase();
+    process.env.DATABASE_PATH = database.path;
+    supplierServices = require('../lib/supplierServices');
+    ({ getDb } = require('../lib/db'));
+});
+
+after(() => {
+    getDb().close();
+    database.cleanup();
+});
+
+describe('supplier service sync', () => {
+    it('stores numeric and non-numeric service IDs as strings', async () => {
+        const result = await supplierServices.syncProvider(fakeProvider('panel', [
+            { service: 'ig-followers-hq', name: 'Followers HQ', rate: '1.20', min: '50', max: '10000' },
+            { service: 12, name: 'Likes', rate: '0.40' },
+            { service: '9', name: 'Views', rate: '0.01' }
+        ]));
+        assert.deepEqual(result, { success: true, count: 3, removed: 0 });
+
+        const services = supplierServices.listServices({ provider: 'panel' });
+        assert.deepEqual(services.map(s => s.serviceId), ['9', '12', 'ig-followers-hq']);
+
+        const service = supplierServices.getService('panel', 'ig-followers-hq');
+        assert.equal(service.name, 'Followers HQ');
+        assert.equal(service.rate, 1.2);
+        assert.equal(service.min, 50);
+        assert.equal(supplierServices.getService('panel', 12).serviceId, '12');
+    });
+
+    it('marks services that disappeared from the list inactive', async () => {
+        await supplierServices.syncProvider(fakeProvider('shrinking', [{ service: 1, name: 'A' }, { service: 2, name: 'B' }]));
+        await new Promise(resolve => setTimeout(resolve, 5));
+        const result = await supplierServices.syncProvider(fakeProvider('shrinking', [{ service: 1, name: 'A' }]));
+
+        assert.equal(result.removed, 1);
+        assert.equal(supplierServices.getService('shrinking', 1).active, true);
+        assert.equal(supplierServices.getService('shrinking', 2).active, false);
+    });
+});
@@ -0,0 +1,353 @@
+// =====================================================
+// TELEGRAM ADMIN BOT - Whitelist, commands and buttons
+// =====================================================
+// Starts server.js in webhook mode against local fakes of the Telegram Bot
+// API (TELEGRAM_API_URL), JAP (JAP_API_URL) and Stripe (STRIPE_API_URL),
+// posts updates to /api/webhooks/telegram and checks what the bot sends back.
+// Orders are seeded straight into the server's database.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startFakeApi, waitFor, tempDatabase, startServer } = require('./helpers');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const GROUP_CHAT_ID = -1001;
+const ADMIN_USER_ID = 222;
+const STRANGER_ID = 333;
+const JAP_ORDER_ID = 4242;
+
+let telegram;
+let jap;
+let stripe;
+let database;
+let server;
+let baseUrl;
+let orderRepo;
+let getDb;
+
+let updateId = 0;
+let orderCount = 0;
+
+function createOrder(fields = {}) {
+    orderCount++;
+    return orderRepo.createOrder({
+        orderId: `GF-BOT${orderCount}`,
+        email: `customer${orderCount}@example.com`,
+        platform: 'Instagram',
+        service: 'Followers',
+        quality: 'standard',
+        japServiceId: '7446',
+        link: 'https://instagram.com/example',
+        quantity: 1000,
+        amount: 9.99,
+        status: 'paid',
+        paymentMethod: 'stripe',
+        ...fields
+    });
+}
+
+function postUpdate(update, secret = WEBHOOK_SECRET) {
+    return fetch(`${baseUrl}/api/webhooks/telegram`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(secret ? { 'X-Telegram-Bot-Api-Secret-Token': secret } : {})
+        },
+        body: JSON.stringify(update)
+    });
+}
+
+// Send a command as `from` in `chat` (a private chat with the sender by default)
+async function sendCommand(text, { from = ADMIN_USER_ID, chat = from } = {}) {
+    const messageId = ++updateId;
+    const response = await postUpdate({
+        update_id: messageId,
+        message: { message_id: messageId, chat: { id: chat }, from: { id: from, username: 'boss' }, text }
+    });
+    assert.equal(response.status, 200);
+    return messageId;
+}
+
+// Press an inline button on a bot message (in the group chat by default)
+async function pressButton(data, { from = ADMIN_USER_ID, chat = GROUP_CHAT_ID } = {}) {
+    const id = ++updateId;
+    const response = await postUpdate({
+        update_id: id,
+        callback_query: {
+            id: `query-${id}`,
+            from: { id: from, username: 'boss' },
+            data,
+            message: { message_id: 500 + id, chat: { id: chat } }
+        }
+    });
+    assert.equal(response.status, 200);
+    return { queryId: `query-${id}`, messageId: 500 + id };
+}
+
+function botCalls(method, match = () => true) {
+    return telegram.requests.filter(r => r.url.endsWith(`/${method}`) && match(r.body)).map(r => r.body);
+}
+
+function replyTo(messageId) {
+    return waitFor(() => botCalls('sendMessage', body => body.reply_to_message_id === messageId)[0]);
+}
+
+function answerOf(queryId) {
+    return waitFor(() => botCalls('answerCallbackQuery', body => body.callback_query_id === queryId)[0]);
+}
+
+function buttonData(markup) {
+    return (markup?.inline_keyboard || []).flat().map(button => button.callback_data);
+}
+
+before(async () => {
+    telegram = await startFakeApi(() => ({ body: { ok: true, result: true } }));
+    jap = await startFakeApi(({ body }) => {
+        if (body.action === 'add') return { body: { order: JAP_ORDER_ID } };
+        if (body.action === 'balance') return { body: { balance: '100.00', currency: 'USD' } };
+        if (body.action === 'services') return { body: [] };
+        return { body: {} };
+    });
+    stripe = await startFakeApi(({ url, body }) => {
+        if (url === '/v1/refunds') {
+            const amount = Number(new URLSearchParams(body).get('amount'));
+            return { body: { id: `re_${stripe.requests.length}`, object: 'refund', amount, status: 'succeeded' } };
+        }
+        return { status: 404, body: { error: { message: 'Not found' } } };
+    });
+
+    // Migrate the database here first so the server and the test never race
+    database = tempDatabase();
+    process.env.DATABASE_PATH = database.path;
+    orderRepo = require('../lib/orders');
+    ({ getDb } = require('../lib/db'));
+    getDb();
+
+    server = await startServer({
+        DATABASE_PATH: database.path,
+        TELEGRAM_BOT_TOKEN: '123:test',
+        TELEGRAM_API_URL: telegram.url,
+        TELEGRAM_BOT_MODE: 'webhook',
+        TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET,
+        TELEGRAM_CHAT_ID: String(GROUP_CHAT_ID),
+        TELEGRAM_ALLOWED_IDS: String(ADMIN_USER_ID),
+        JAP_API_KEY: 'jap-test',
+        JAP_API_URL: jap.url,
+        STRIPE_SECRET_KEY: 'sk_test_bot',
+        STRIPE_API_URL: stripe.url
+    });
+    baseUrl = server.url;
+
+    await waitFor(() => botCalls('setWebhook')[0]).catch(error => {
+        throw new Error(`${error.message}: webhook was never registered\n${server.output()}`);
+    });
+});
+
+after(async () => {
+    await server?.stop();
+    await Promise.all([telegram, jap, stripe].filter(Boolean).map(fake => fake.close()));
+    getDb?.().close();
+    database?.cleanup();
+});
+
+describe('telegram webhook', () => {
+    it('registers the webhook with the secret at startup', () => {
+        const [call] = botCalls('setWebhook');
+        assert.equal(call.url, `${baseUrl}/api/webhooks/telegram`);
+        assert.equal(call.secret_token, WEBHOOK_SECRET);
+    });
+
+    it('rejects updates with a wrong or missing secret token', async () => {
+        const update = { update_id: ++updateId, message: { message_id: updateId, chat: { id: ADMIN_USER_ID }, from: { id: ADMIN_USER_ID }, text: '/help' } };
+
+        assert.equal((await postUpdate(update, 'wrong-secret')).status, 401);
+        assert.equal((await postUpdate(update, `${WEBHOOK_SECRET}x`)).status, 401);
+        assert.equal((await postUpdate(update, null)).status, 401);
+
+        // A later, valid update is answered - the rejected ones never were
+        const messageId = await sendCommand('/help');
+        await replyTo(messageId);
+        assert.equal(botCalls('sendMessage', body => body.reply_to_message_id === update.message.message_id).length, 0);
+    });
+});
+
+describe('telegram whitelist', () => {
+    it('ignores messages from chats and users that are not allowed', async () => {
+        const ignored = await sendCommand('/stats', { from: STRANGER_ID });
+        const answered = await sendCommand('/stats');
+        await replyTo(answered);
+
+        assert.equal(botCalls('sendMessage', body => body.reply_to_message_id === ignored).length, 0);
+        assert.equal(botCalls('sendMessage', body => body.chat_id === STRANGER_ID).length, 0);
+    });
+
+    it('answers anyone in the whitelisted chat', async () => {
+        const messageId = await sendCommand('/help', { from: STRANGER_ID, chat: GROUP_CHAT_ID });
+        const reply = await replyTo(messageId);
+        assert.equal(reply.chat_id, GROUP_CHAT_ID);
+        assert.match(reply.text, /GetFame admin bot/);
+    });
+
+    it('ignores buttons pressed by users that are not allowed', async () => {
+        const order = createOrder({ status: 'processing', japOrderId: '900' });
+        const ignored = await pressButton(`complete:${order.id}`, { from: STRANGER_ID, chat: STRANGER_ID });
+        const answered = await pressButton(`nope:${order.id}`);
+        await answerOf(answered.queryId);
+
+        assert.equal(botCalls('answerCallbackQuery', body => body.callback_query_id === ignored.queryId).length, 0);
+        assert.equal(orderRepo.getOrderById(order.id).status, 'processing');
+    });
+});
+
+describe('telegram commands', () => {
+    it('/orders lists the latest orders, optionally by status', async () => {
+        const paid = createOrder();
+        const completed = createOrder({ status: 'completed' });
+
+        let reply = await replyTo(await sendCommand('/orders'));
+        assert.match(reply.text, /Latest orders/);
+        assert.ok(reply.text.includes(paid.orderId));
+        assert.ok(reply.text.includes(completed.orderId));
+
+        reply = await replyTo(await sendCommand('/orders completed'));
+        assert.match(reply.text, /Latest completed orders/);
+        assert.ok(reply.text.includes(completed.orderId));
+        assert.ok(!reply.text.includes(paid.orderId));
+
+        reply = await replyTo(await sendCommand('/orders bogus'));
+        assert.match(reply.text, /^Unknown status/);
+    });
+
+    it('/order <id> shows the order with the buttons that apply to it', async () => {
+        const order = createOrder({ status: 'failed' });
+
+        let reply = await replyTo(await sendCommand(`/order ${order.id}`));
+        assert.ok(reply.text.includes(order.orderId));
+        assert.match(reply.text, /Status:<\/b> failed/);
+        assert.match(reply.text, /Supplier order:<\/b> not placed/);
+        assert.deepEqual(buttonData(reply.reply_markup), [`retry:${order.id}`, `complete:${order.id}`, `refund:${order.id}`]);
+
+        // By order ID too; a completed wallet order has nothing to act on
+        const done = createOrder({ status: 'completed', paymentMethod: 'wallet', japOrderId: '901' });
+        reply = await replyTo(await sendCommand(`/order ${done.orderId}`));
+        assert.ok(reply.text.includes(done.orderId));
+        assert.equal(reply.reply_markup, undefined);
+
+        reply = await replyTo(await sendCommand('/order GF-MISSING'));
+        assert.equal(reply.text, 'Order not found.');
+
+        reply = await replyTo(await sendCommand('/order'));
+        assert.match(reply.text, /^Usage: \/order/);
+    });
+
+    it('/stats summarizes orders', async () => {
+        const total = getDb().prepare('SELECT COUNT(*) AS n FROM orders').get().n;
+        const reply = await replyTo(await sendCommand('/stats'));
+        assert.match(reply.text, /STATS/);
+        assert.match(reply.text, new RegExp(`All time:</b> ${total} orders`));
+    });
+
+    it('/balance shows the supplier balances', async () => {
+        const reply = await replyTo(await sendCommand('/balance'));
+        assert.match(reply.text, /Supplier balances/);
+        assert.match(reply.text, /JAP: 100\.00 USD/);
+    });
+
+    it('answers unknown commands with a hint', async () => {
+        const reply = await replyTo(await sendCommand('/launch'));
+        assert.equal(reply.text, 'Unknown command. Try /help');
+    });
+});
+
+describe('telegram order buttons', () => {
+    it('retry: places an unplaced failed order with the supplier', async () => {
+        const order = createOrder({ status: 'failed' });
+        const { queryId, messageId } = await pressButton(`retry:${order.id}`);
+
+        assert.equal((await answerOf(queryId)).text, 'Placed');
+        assert.match((await replyTo(messageId)).text, new RegExp(`placed with the supplier: #${JAP_ORDER_ID}`));
+
+        const placed = jap.requests.find(r => r.body.action === 'add' && r.body.link === order.link);
+        assert.equal(placed.body.quantity, 1000);
+
+        const updated = orderRepo.getOrderById(order.id);
+        assert.equal(updated.status, 'processing');
+        assert.equal(updated.japOrderId, String(JAP_ORDER_ID));
+    });
+
+    it('retry: refuses orders that were already placed', async () => {
+        const order = createOrder({ status: 'processing', japOrderId: '902' });
+        const adds = jap.requests.filter(r => r.body.action === 'add').length;
+        const { queryId, messageId } = await pressButton(`retry:${order.id}`);
+
+        assert.equal((await answerOf(queryId)).text, 'Failed');
+        assert.match((await replyTo(messageId)).text, /Could not place .*Order is processing/);
+        assert.equal(jap.requests.filter(r => r.body.action === 'add').length, adds);
+    });
+
+    it('complete: marks a processing order completed', async () => {
+        const order = createOrder({ status: 'processing', japOrderId: '903' });
+        const { queryId, messageId } = await pressButton(`complete:${order.id}`);
+
+        assert.equal((await answerOf(queryId)).text, 'Marked completed');
+        assert.match((await replyTo(messageId)).text, /marked completed/);
+        assert.equal(orderRepo.getOrderById(order.id).status, 'completed');
+    });
+
+    it('complete: refuses orders that are not in progress', async () => {
+        const order = createOrder({ status: 'pending' });
+        const { queryId, messageId } = await pressButton(`complete:${order.id}`);
+
+        assert.equal((await answerOf(queryId)).text, 'Order is pending');
+        assert.match((await replyTo(messageId)).text, /is pending and can't be marked completed/);
+        assert.equal(orderRepo.getOrderById(order.id).status, 'pending');
+    });
+
+    it('refund: asks for confirmation, refund-cancel puts the buttons back', async () => {
+        const order = createOrder({ status: 'failed', stripePaymentIntentId: 'pi_cancel' });
+        const refunds = stripe.requests.length;
+
+        const refund = await pressButton(`refund:${order.id}`);
+        assert.equal((await answerOf(refund.queryId)).text, 'Confirm the refund');
+        const confirm = botCalls('editMessageReplyMarkup', body => body.message_id === refund.messageId)[0];
+        assert.equal(confirm.chat_id, GROUP_CHAT_ID);
+        assert.deepEqual(buttonData(confirm.reply_markup), [`refund-confirm:${order.id}`, `refund-cancel:${order.id}`]);
+
+        const cancel = await pressButton(`refund-cancel:${order.id}`);
+        assert.equal((await answerOf(cancel.queryId)).text, 'Refund canceled');
+        const restored = botCalls('editMessageReplyMarkup', body => body.message_id === cancel.messageId)[0];
+        assert.deepEqual(buttonData(restored.reply_markup), [`retry:${order.id}`, `complete:${order.id}`, `refund:${order.id}`]);
+
+        assert.equal(stripe.requests.length, refunds);
+        assert.equal(orderRepo.getOrderById(order.id).status, 'failed');
+    });
+
+    it('refund-confirm: refunds the order through Stripe', async () => {
+        const order = createOrder({ status: 'failed', stripePaymentIntentId: 'pi_confirm' });
+        const { queryId, messageId } = await pressButton(`refund-confirm:${order.id}`);
+
+        assert.equal((await answerOf(queryId)).text, 'Refunded');
+        assert.match((await replyTo(messageId)).text, new RegExp(`Refunded \\$9\\.99 for ${order.orderId}`));
+
+        const request = stripe.requests.find(r => r.url === '/v1/refunds' && r.body.includes('pi_confirm'));
+        const params = new URLSearchParams(request.body);
+        assert.equal(params.get('amount'), '999');
+        assert.equal(request.headers['idempotency-key'], `refund-${order.orderId}-0-999`);
+
+        const updated = orderRepo.getOrderById(order.id);
+        assert.equal(updated.status, 'refunded');
+        assert.equal(updated.refundedAmount, 9.99);
+    });
+
+    it('refund-confirm: reports orders that cannot be refunded', async () => {
+        const order = createOrder({ status: 'failed', paymentMethod: 'wallet' });
+        const { queryId, messageId } = await pressButton(`refund-confirm:${order.id}`);
+
+        assert.equal((await answerOf(queryId)).text, 'Refund failed');
+        assert.match((await replyTo(messageId)).text, /Only card orders can be refunded/);
+    });
+
+    it('answers buttons for unknown orders', async () => {
+        const { queryId } = await pressButton('complete:999999');
+        assert.equal((await answerOf(queryId)).text, 'Order not found');
+    });
+});